@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Atomic File Writes
+ * Whole-file saves go to a temp file that is renamed over the original, so a crash never
+ * leaves half a file. Everything written to one file runs one at a time, in the order it
+ * was queued, so the last save always wins.
+ */
+
+const queues = new Map(); // absolute file path -> promise of the last queued operation
+let tempCounter = 0;
+
+/**
+ * Run task after everything already queued for file; resolves or rejects with task
+ */
+function queueWrite(file, task) {
+  const key = path.resolve(file);
+  const result = (queues.get(key) || Promise.resolve()).then(task);
+  const settled = result.catch(() => {});
+  queues.set(key, settled);
+  settled.then(() => {
+    if (queues.get(key) === settled) {
+      queues.delete(key);
+    }
+  });
+  return result;
+}
+
+/**
+ * Replace file with data (a string, or a function called when the write runs)
+ */
+function writeFileAtomic(file, data) {
+  return queueWrite(file, () => replaceFile(file, typeof data === 'function' ? data() : data));
+}
+
+/**
+ * Write + rename without queueing - only for tasks already running in the file's queue
+ */
+async function replaceFile(file, data) {
+  const tempFile = `${file}.${process.pid}.${++tempCounter}.tmp`;
+  try {
+    await fs.promises.writeFile(tempFile, data, 'utf8');
+    await fs.promises.rename(tempFile, file);
+  } catch (error) {
+    await fs.promises.rm(tempFile, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Synchronous version, for startup migrations that must finish before anything else runs
+ */
+function writeFileAtomicSync(file, data) {
+  const tempFile = `${file}.${process.pid}.${++tempCounter}.tmp`;
+  try {
+    fs.writeFileSync(tempFile, data, 'utf8');
+    fs.renameSync(tempFile, file);
+  } catch (error) {
+    fs.rmSync(tempFile, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Wait for everything queued for file so far
+ */
+function flushWrites(file) {
+  return queues.get(path.resolve(file)) || Promise.resolve();
+}
+
+module.exports = { queueWrite, writeFileAtomic, replaceFile, writeFileAtomicSync, flushWrites };
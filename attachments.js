@@ -0,0 +1,314 @@
+const fs = require('fs').promises;
+const { createWriteStream, mkdirSync } = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Attachment Store
+ * Files and folders dropped into the chat are stored in the session's upload
+ * folder and attached to the next Claude turn as document/image content blocks
+ */
+
+// Image types Claude accepts as image blocks
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+// Files worth including first when a folder is dropped
+const PRIORITY_FILES = ['readme.md', 'readme', 'package.json', 'requirements.txt', 'cargo.toml', 'go.mod', 'pyproject.toml'];
+
+class AttachmentStore {
+  constructor(config = {}) {
+    this.config = {
+      uploadRoot: config.uploadRoot || './uploads',
+      maxFileBytes: config.maxFileBytes || 10 * 1024 * 1024, // per file
+      maxUploadBytes: config.maxUploadBytes || 25 * 1024 * 1024, // per drop
+      maxUploadFiles: config.maxUploadFiles || 100, // per drop
+      maxImageBytes: config.maxImageBytes || 5 * 1024 * 1024, // API limit for image blocks
+      maxInlineTextBytes: config.maxInlineTextBytes || 100 * 1024, // text sent to Claude per file
+      maxFolderFiles: config.maxFolderFiles || 10, // files from a folder sent in full
+      maxFolderTextBytes: config.maxFolderTextBytes || 200 * 1024,
+      ...config
+    };
+
+    this.attachments = new Map(); // sessionId -> Map(id -> attachment)
+  }
+
+  sessionDir(sessionId) {
+    return path.join(this.config.uploadRoot, sessionId);
+  }
+
+  /**
+   * Strip anything that could climb out of the upload folder
+   */
+  sanitizeRelativePath(relativePath, fallbackName) {
+    const parts = String(relativePath || fallbackName)
+      .split(/[\\/]+/)
+      .filter(part => part && part !== '.' && part !== '..');
+    return parts.length > 0 ? parts.join('/') : 'file';
+  }
+
+  uploadTooLarge(bytes) {
+    const error = new Error(`Upload is over ${Math.round(bytes / 1024 / 1024)}MB, limit is ${this.config.maxUploadBytes / 1024 / 1024}MB`);
+    error.code = 'LIMIT_UPLOAD_SIZE';
+    return error;
+  }
+
+  /**
+   * Multer storage engine writing into dir. It counts the bytes of the whole request as they
+   * arrive and aborts the upload once they pass maxUploadBytes, so an oversized drop never
+   * fills the disk before it is rejected
+   */
+  uploadStorage(dir) {
+    mkdirSync(dir, { recursive: true });
+    return {
+      _handleFile: (req, file, cb) => {
+        const target = path.join(dir, crypto.randomUUID());
+        const out = createWriteStream(target);
+        let size = 0;
+        let failed = false;
+
+        const fail = (error) => {
+          if (failed) return;
+          failed = true;
+          file.stream.unpipe(out);
+          file.stream.resume(); // drain the rest so the request can finish
+          out.destroy();
+          fs.unlink(target).catch(() => {}).then(() => cb(error));
+        };
+
+        file.stream.on('data', (chunk) => {
+          size += chunk.length;
+          req.uploadedBytes = (req.uploadedBytes || 0) + chunk.length;
+          if (req.uploadedBytes > this.config.maxUploadBytes) {
+            fail(this.uploadTooLarge(req.uploadedBytes));
+          }
+        });
+        file.stream.on('error', fail);
+        out.on('error', fail);
+        out.on('finish', () => {
+          if (!failed) cb(null, { path: target, size });
+        });
+        file.stream.pipe(out);
+      },
+      _removeFile: (req, file, cb) => {
+        fs.unlink(file.path).catch(() => {}).then(() => cb(null));
+      }
+    };
+  }
+
+  /**
+   * Store uploaded files (from multer) and group them into attachments
+   * relativePaths: paths within dropped folders, in the same order as files
+   * Returns the new attachments
+   */
+  async ingest(sessionId, files, relativePaths = []) {
+    const totalBytes = files.reduce((sum, f) => sum + f.size, 0);
+    if (totalBytes > this.config.maxUploadBytes) {
+      await Promise.all(files.map(f => fs.unlink(f.path).catch(() => {})));
+      throw this.uploadTooLarge(totalBytes);
+    }
+
+    // Group by top-level folder; loose files become their own attachment
+    const groups = new Map();
+    files.forEach((file, i) => {
+      const relative = this.sanitizeRelativePath(relativePaths[i], file.originalname);
+      const slash = relative.indexOf('/');
+      const key = slash === -1 ? `file:${relative}:${i}` : `folder:${relative.slice(0, slash)}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push({ file, relative });
+    });
+
+    const created = [];
+    for (const [key, entries] of groups) {
+      const id = crypto.randomUUID();
+      const dir = path.join(this.sessionDir(sessionId), id);
+      await fs.mkdir(dir, { recursive: true });
+
+      const stored = [];
+      for (const { file, relative } of entries) {
+        const target = path.join(dir, relative);
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.rename(file.path, target).catch(async () => {
+          // Across devices rename fails - copy instead
+          await fs.copyFile(file.path, target);
+          await fs.unlink(file.path);
+        });
+        stored.push({ relative, path: target, size: file.size, mimetype: file.mimetype });
+      }
+
+      const attachment = key.startsWith('folder:')
+        ? { id, kind: 'folder', name: key.slice('folder:'.length), path: path.join(dir, key.slice('folder:'.length)), files: stored }
+        : { id, ...this.describeFile(stored[0]), path: stored[0].path };
+
+      attachment.size = stored.reduce((sum, f) => sum + f.size, 0);
+      this.getSessionAttachments(sessionId).set(id, attachment);
+      created.push(attachment);
+    }
+
+    return created;
+  }
+
+  describeFile(stored) {
+    const extension = path.extname(stored.relative).toLowerCase();
+    const name = path.basename(stored.relative);
+
+    if (IMAGE_TYPES[extension]) {
+      return { kind: 'image', name, mediaType: IMAGE_TYPES[extension] };
+    }
+    return { kind: 'file', name };
+  }
+
+  getSessionAttachments(sessionId) {
+    if (!this.attachments.has(sessionId)) {
+      this.attachments.set(sessionId, new Map());
+    }
+    return this.attachments.get(sessionId);
+  }
+
+  get(sessionId, id) {
+    return this.getSessionAttachments(sessionId).get(id) || null;
+  }
+
+  /**
+   * Public view of an attachment for the client
+   */
+  summarize(attachment) {
+    return {
+      id: attachment.id,
+      name: attachment.name,
+      kind: attachment.kind,
+      size: attachment.size,
+      ...(attachment.files && { fileCount: attachment.files.length })
+    };
+  }
+
+  /**
+   * Remove an attachment and its stored files
+   */
+  async remove(sessionId, id) {
+    const attachments = this.getSessionAttachments(sessionId);
+    if (!attachments.has(id)) {
+      return false;
+    }
+
+    attachments.delete(id);
+    await fs.rm(path.join(this.sessionDir(sessionId), id), { recursive: true, force: true });
+    return true;
+  }
+
+  /**
+   * Read a file as text, or null if it looks binary
+   */
+  async readText(filePath, maxBytes) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(maxBytes);
+      const { bytesRead } = await handle.read(buffer, 0, maxBytes, 0);
+      const content = buffer.subarray(0, bytesRead);
+      return content.includes(0) ? null : content.toString('utf8');
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Claude content blocks for a list of attachment IDs
+   * Unknown IDs are skipped
+   */
+  async toContentBlocks(sessionId, ids, displayPath = (p) => p) {
+    const blocks = [];
+
+    for (const id of ids) {
+      const attachment = this.get(sessionId, id);
+      if (!attachment) continue;
+
+      if (attachment.kind === 'image') {
+        if (attachment.size > this.config.maxImageBytes) {
+          blocks.push({ type: 'text', text: `[Image ${attachment.name} skipped: larger than ${this.config.maxImageBytes / 1024 / 1024}MB]` });
+          continue;
+        }
+        const data = await fs.readFile(attachment.path);
+        blocks.push({
+          type: 'image',
+          source: { type: 'base64', media_type: attachment.mediaType, data: data.toString('base64') }
+        });
+      } else if (attachment.kind === 'folder') {
+        blocks.push(...await this.folderBlocks(attachment, displayPath));
+      } else {
+        const block = await this.textFileBlock(attachment.path, attachment.name, attachment.size, displayPath);
+        blocks.push(block);
+      }
+    }
+
+    return blocks;
+  }
+
+  async textFileBlock(filePath, title, size, displayPath) {
+    const text = await this.readText(filePath, this.config.maxInlineTextBytes);
+    if (text === null) {
+      return { type: 'text', text: `[Binary file ${title} (${size} bytes) saved at ${displayPath(filePath)}]` };
+    }
+
+    const truncated = size > this.config.maxInlineTextBytes;
+    return {
+      type: 'document',
+      source: { type: 'text', media_type: 'text/plain', data: text },
+      title: title,
+      context: `Saved at ${displayPath(filePath)}${truncated ? ` (truncated to the first ${this.config.maxInlineTextBytes} bytes of ${size})` : ''}`
+    };
+  }
+
+  /**
+   * A folder becomes a tree listing plus its most useful text files
+   */
+  async folderBlocks(attachment, displayPath) {
+    const sorted = [...attachment.files].sort((a, b) => a.relative.localeCompare(b.relative));
+    const tree = sorted.map(f => `${f.relative} (${f.size} bytes)`).join('\n');
+    const blocks = [{
+      type: 'text',
+      text: `Folder "${attachment.name}" (${attachment.files.length} files) saved at ${displayPath(attachment.path)}:\n${tree}`
+    }];
+
+    // Priority files first, then small files, until the budget runs out
+    const rank = (f) => {
+      const index = PRIORITY_FILES.indexOf(path.basename(f.relative).toLowerCase());
+      return index === -1 ? PRIORITY_FILES.length : index;
+    };
+    const candidates = sorted
+      .filter(f => !IMAGE_TYPES[path.extname(f.relative).toLowerCase()])
+      .sort((a, b) => rank(a) - rank(b) || a.size - b.size);
+
+    let budget = this.config.maxFolderTextBytes;
+    let included = 0;
+    for (const file of candidates) {
+      if (included >= this.config.maxFolderFiles || file.size > budget) continue;
+
+      const text = await this.readText(file.path, this.config.maxInlineTextBytes);
+      if (text === null) continue;
+
+      blocks.push({
+        type: 'document',
+        source: { type: 'text', media_type: 'text/plain', data: text },
+        title: `${attachment.name}/${file.relative.split('/').slice(1).join('/')}`
+      });
+      budget -= file.size;
+      included++;
+    }
+
+    if (included < candidates.length) {
+      blocks.push({ type: 'text', text: `[${candidates.length - included} more files not included - use read_file to open them]` });
+    }
+
+    return blocks;
+  }
+}
+
+module.exports = AttachmentStore;
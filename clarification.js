@@ -0,0 +1,198 @@
+const fs = require('fs');
+const NLPHandler = require('./nlp-handler');
+
+/**
+ * Clarification Dialogs
+ * When a spoken request starts with a word that was probably misheard ("the lead server.js"),
+ * the assistant asks which request was meant before doing anything, keeps the question on
+ * the session and settles it with the next utterance: "yes", "no", "the first one" or one of
+ * the offered verbs. Confirmed guesses are logged so the correction tables can learn from them.
+ */
+
+// "The first one", "number two", "the last one"
+const ORDINALS = [
+  { pattern: /\b(?:second|2nd|latter|number two|option two)\b|^(?:the )?two$/, index: () => 1 },
+  { pattern: /\b(?:last|final)\b/, index: (count) => count - 1 },
+  { pattern: /\b(?:first|1st|former|number one|option one)\b|^(?:the )?one$/, index: () => 0 }
+];
+
+class ClarificationManager {
+  constructor(nlpHandler = null, config = {}) {
+    this.nlp = nlpHandler || new NLPHandler();
+    this.config = {
+      logFile: './corrections-log.jsonl', // confirmed guesses, one JSON object per line
+      timeout: 60000, // an unanswered question is forgotten after this long
+      maxRetries: 1, // times a question is repeated when the answer doesn't pick an option
+      ...config
+    };
+    this.logWriting = Promise.resolve();
+  }
+
+  // Wait for pending log writes
+  flush() {
+    return this.logWriting;
+  }
+
+  /**
+   * Ask about a request if its verb was probably misheard
+   * options: { words, attachments } from the voice_input message
+   * Returns the question to speak, or null when the request is clear enough to answer
+   */
+  ask(session, text, options = {}) {
+    const suggestions = this.nlp.getSuggestions(text, options);
+    if (suggestions.length === 0) {
+      return null;
+    }
+
+    session.pendingClarification = {
+      original: text,
+      attachments: options.attachments || [], // sent with the request, still waiting for it
+      options: suggestions,
+      question: this.question(suggestions),
+      askedAt: Date.now(),
+      retries: 0
+    };
+    return session.pendingClarification.question;
+  }
+
+  // "Did you mean delete server.js?" / "Did you mean delete server.js or read it?"
+  question(options) {
+    if (options.length === 1) {
+      return `Did you mean ${options[0].request}?`;
+    }
+    const others = options.slice(1).map(option => `${option.keyword} it`);
+    return `Did you mean ${options[0].request} or ${others.join(' or ')}?`;
+  }
+
+  /**
+   * Settle the waiting question with the next utterance
+   * Returns { action: 'choose', option, interpretation, attachments } | { action: 'decline' } | { action: 'repeat', question }
+   * or null when there is no question, it expired, or the utterance is a new request
+   */
+  resolve(session, text) {
+    const pending = session.pendingClarification;
+    if (!pending) {
+      return null;
+    }
+    if (Date.now() - pending.askedAt > this.config.timeout) {
+      this.cancel(session);
+      return null;
+    }
+
+    const answer = this.parseAnswer(pending.options, text);
+
+    if (answer === null) {
+      // A new request replaces the question
+      this.cancel(session);
+      return null;
+    }
+
+    if (answer === 'unclear') {
+      if (pending.retries >= this.config.maxRetries) {
+        this.cancel(session);
+        return { action: 'decline' };
+      }
+      pending.retries++;
+      const choices = pending.options.map(option => option.keyword).join(' or ');
+      return { action: 'repeat', question: `Sorry, which one - ${choices}?` };
+    }
+
+    this.cancel(session);
+
+    if (answer === false) {
+      return { action: 'decline' };
+    }
+
+    const option = pending.options[answer];
+    this.logCorrection(pending, option);
+    return {
+      action: 'choose',
+      option,
+      interpretation: this.interpretation(pending, option),
+      attachments: pending.attachments
+    };
+  }
+
+  // The chosen request as a task the user confirmed, in the shape NLPHandler.interpret returns
+  interpretation(pending, option) {
+    const filePaths = this.nlp.extractFilePaths(option.request);
+    const resolvedPaths = this.nlp.resolvePaths(option.request);
+    return {
+      type: 'task',
+      original: pending.original,
+      corrected: option.request,
+      intent: option.intent,
+      confidence: 1,
+      filePaths,
+      resolvedPaths,
+      lowConfidenceWords: [],
+      clarified: true,
+      enhancedPrompt: this.nlp.buildEnhancedPrompt(option.request, { intent: option.intent }, filePaths, resolvedPaths)
+    };
+  }
+
+  /**
+   * Which option an answer picks: an index, false for "no", 'unclear' for a bare "yes"
+   * to a question with several options, or null when it isn't an answer at all
+   */
+  parseAnswer(options, text) {
+    const normalized = String(text || '').toLowerCase().replace(/[^\w\s']/g, ' ').replace(/\s+/g, ' ').trim();
+    if (!normalized || normalized.split(' ').length > 6) {
+      return null;
+    }
+
+    for (const { pattern, index } of ORDINALS) {
+      if (pattern.test(normalized)) {
+        return Math.min(index(options.length), options.length - 1);
+      }
+    }
+
+    // "Delete it", "read"
+    const corrected = this.nlp.correctWhisperErrors(normalized);
+    const named = options
+      .map((option, index) => ({ option, index }))
+      .filter(({ option }) => new RegExp(`\\b${option.keyword}\\b`).test(corrected));
+    if (named.length === 1) {
+      return named[0].index;
+    }
+
+    const confirmation = this.nlp.parseConfirmation(normalized);
+    if (confirmation === false) {
+      return false;
+    }
+    if (confirmation === true) {
+      return options.length === 1 ? 0 : 'unclear';
+    }
+
+    return named.length > 1 ? 'unclear' : null;
+  }
+
+  cancel(session) {
+    session.pendingClarification = null;
+  }
+
+  /**
+   * Record a confirmed guess - what was heard and which keyword the user meant
+   */
+  logCorrection(pending, option) {
+    const entry = {
+      at: new Date().toISOString(),
+      heard: option.heard,
+      meant: option.keyword,
+      intent: option.intent,
+      original: pending.original,
+      request: option.request,
+      // The other options are mishearings the user turned down
+      rejected: pending.options.filter(o => o !== option).map(o => o.keyword)
+    };
+    console.log(`📝 Confirmed correction: "${entry.heard}" -> "${entry.meant}"`);
+
+    const line = JSON.stringify(entry) + '\n';
+    this.logWriting = this.logWriting
+      .then(() => fs.promises.appendFile(this.config.logFile, line, 'utf8'))
+      .catch(error => console.error('Error writing correction log:', error.message));
+    return this.logWriting;
+  }
+}
+
+module.exports = ClarificationManager;
@@ -1,7 +1,6 @@
 const fs = require('fs').promises;
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const execAsync = promisify(exec);
+const OllamaClient = require('./ollama-client');
+const MemoryStore = require('./memory-store');
 
 /**
  * Context Monitor
@@ -12,14 +11,17 @@ const execAsync = promisify(exec);
 class ContextMonitor {
   constructor(config = {}) {
     this.config = {
-      memoryFile: config.memoryFile || './conversation-memory.json',
       contextFile: config.contextFile || './extracted-context.json',
       promptFile: config.promptFile || './llm-context-extractor-prompt.md',
       ollamaModel: config.ollamaModel || 'mistral', // mistral is better for JSON
       messagesBeforeExtract: config.messagesBeforeExtract || 3,
+      extractTimeout: config.extractTimeout || 30000,
       ...config
     };
     
+    // Shared with the other background services so they queue behind one another
+    this.ollama = config.ollamaClient || new OllamaClient({ host: config.ollamaHost });
+    this.store = config.memoryStore || new MemoryStore();
     this.messageCount = 0;
     this.extractedContext = this.loadContext();
     this.systemPrompt = null;
@@ -45,17 +47,12 @@ class ContextMonitor {
    * Check if Ollama is available
    */
   async checkOllama() {
-    try {
-      await execAsync('which ollama');
-      const { stdout } = await execAsync(`ollama list`);
-      
-      if (stdout.includes(this.config.ollamaModel)) {
-        console.log(`✅ Ollama with ${this.config.ollamaModel} ready`);
-      } else {
-        console.warn(`⚠️  Model ${this.config.ollamaModel} not found. Run: ollama pull ${this.config.ollamaModel}`);
-      }
-    } catch (error) {
-      console.warn('⚠️  Ollama not found. Install from: https://ollama.ai');
+    if (!(await this.ollama.isAvailable())) {
+      console.warn(`⚠️  Ollama not reachable at ${this.ollama.config.host}. Install from: https://ollama.ai`);
+    } else if (await this.ollama.hasModel(this.config.ollamaModel)) {
+      console.log(`✅ Ollama with ${this.config.ollamaModel} ready`);
+    } else {
+      console.warn(`⚠️  Model ${this.config.ollamaModel} not found. Run: ollama pull ${this.config.ollamaModel}`);
     }
   }
 
@@ -100,13 +97,8 @@ class ContextMonitor {
     try {
       console.log('🔍 Extracting context with local LLM...');
       
-      // Load recent conversations
-      const memoryData = await fs.readFile(this.config.memoryFile, 'utf8');
-      const memory = JSON.parse(memoryData);
-      const recent = memory.memory?.recent_conversations || [];
-      
       // Get last N conversations for context extraction
-      const toAnalyze = recent.slice(-5);
+      const toAnalyze = this.store.query({ type: 'turn', limit: 5 });
       
       if (toAnalyze.length === 0) {
         return;
@@ -114,7 +106,7 @@ class ContextMonitor {
       
       // Prepare conversation text
       const conversationText = toAnalyze.map(c => 
-        `[${c.timestamp}]\nUser: ${c.user}\nAssistant: ${c.assistant.substring(0, 500)}...`
+        `[${c.createdAt}]\nUser: ${c.user}\nAssistant: ${c.assistant.substring(0, 500)}...`
       ).join('\n\n');
       
       // Load current context
@@ -168,27 +160,15 @@ Output ONLY the updated JSON, no other text.`;
   }
 
   /**
-   * Call Ollama API
+   * Call Ollama API in JSON mode
    */
   async callOllama(prompt) {
     try {
-      // Escape prompt for shell
-      const escapedPrompt = prompt.replace(/"/g, '\\"').replace(/\$/g, '\\$');
-      
-      // Use Ollama API with JSON mode
-      const command = `echo "${escapedPrompt}" | ollama run ${this.config.ollamaModel} --format json`;
-      
-      const { stdout, stderr } = await execAsync(command, { 
-        maxBuffer: 5 * 1024 * 1024, // 5MB buffer
-        timeout: 30000 // 30 second timeout
+      return await this.ollama.generate(prompt, {
+        model: this.config.ollamaModel,
+        json: true,
+        timeout: this.config.extractTimeout
       });
-      
-      if (stderr) {
-        console.warn('Ollama stderr:', stderr);
-      }
-      
-      return stdout.trim();
-      
     } catch (error) {
       console.error('Ollama call failed:', error.message);
       throw error;
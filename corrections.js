@@ -0,0 +1,483 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const WakeWord = require('./wake-word');
+const { writeFileAtomic, flushWrites } = require('./atomic-write');
+
+/**
+ * Correction Dictionary
+ * Each user's own fixes for what speech recognition gets wrong, applied to every spoken
+ * message before it is interpreted:
+ *   word        "jason" -> "JSON"
+ *   phrase      "cube cuddle" -> "kubectl"
+ *   vocabulary  project names like "server.js" or "pnpm" - replaced when heard as written,
+ *               and also when a few words sound close enough ("server js")
+ * Entries are learned from transcripts the user fixes before sending, from "no, I said ..." and
+ * from confirmed "did you mean...?" guesses - but only once the same fix has been seen a few
+ * times - and can be listed, added, edited and deleted over REST or in the browser.
+ */
+
+const KINDS = ['word', 'phrase', 'vocabulary'];
+const MAX_SPAN_WORDS = 4; // a longer edit is a rewrite, not a mishearing
+const SOUND_ALIKE = 0.7; // how close a fix has to sound to what was heard to be learned ("cat" -> "hat" doesn't)
+const RESTATED_MATCH = 0.5; // how close "no, I said X" has to sound to part of the last request to replace it
+const MAX_CHANGED_SHARE = 0.5; // an edit that changes more of the words than this is a new message
+const VOCABULARY_MATCH = 0.85; // how close heard words have to sound to a vocabulary term
+const MIN_FUZZY_LENGTH = 5; // shorter terms are only replaced when heard as written
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function splitWords(text) {
+  return String(text || '').trim().split(/\s+/).filter(Boolean);
+}
+
+// Lowercase, without punctuation around it ("Server.js," -> "server.js")
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/^[^\w]+|[^\w]+$/g, '');
+}
+
+function normalizePhrase(text) {
+  return splitWords(text).map(normalizeWord).filter(Boolean).join(' ');
+}
+
+// How a term is said, word by word: "server.js" -> "server js", "getUser" -> "get user"
+function spokenForm(term) {
+  return term.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// File and command names keep their punctuation and casing - they're vocabulary
+function looksLikeCode(text) {
+  return /[._/\\]|\w-\w|[a-z][A-Z]/.test(text);
+}
+
+// 0-1, by spelling or rough sound (as the wake word matcher compares), ignoring spaces
+function soundsAlike(a, b) {
+  const x = a.replace(/\s+/g, '');
+  const y = b.replace(/\s+/g, '');
+  return Math.max(
+    WakeWord.similarity(x, y),
+    WakeWord.similarity(WakeWord.phoneticKey(x), WakeWord.phoneticKey(y)) * 0.9
+  );
+}
+
+// "test" -> "tests" is a different request, not a mishearing
+function isInflection(a, b) {
+  const [short, long] = a.length <= b.length ? [a, b] : [b, a];
+  return long.startsWith(short) && /^(s|es|ed|d|ing)$/.test(long.slice(short.length));
+}
+
+/**
+ * Runs of words that differ between two versions of a sentence, by longest common subsequence
+ * Returns [{ from: [words], to: [words] }] with the words as they were written
+ */
+function changedSpans(before, after) {
+  const a = before.map(normalizeWord);
+  const b = after.map(normalizeWord);
+  const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+
+  const spans = [];
+  let start = null;
+  let i = 0;
+  let j = 0;
+  const close = () => {
+    if (start) {
+      spans.push({ from: before.slice(start.i, i), to: after.slice(start.j, j) });
+      start = null;
+    }
+  };
+
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      close();
+      i++;
+      j++;
+      continue;
+    }
+    start = start || { i, j };
+    if (j < b.length && (i >= a.length || common[i][j + 1] >= common[i + 1][j])) {
+      j++;
+    } else {
+      i++;
+    }
+  }
+  close();
+  return spans;
+}
+
+class CorrectionDictionary {
+  constructor(config = {}) {
+    this.config = {
+      file: config.file || './corrections.json',
+      promoteAfter: config.promoteAfter || 2 // times a learned fix has to be seen before it becomes an entry
+    };
+
+    this.users = {}; // user -> { entries: [...], confirmations: { 'heard -> meant': times seen } }
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.config.file)) {
+        const saved = JSON.parse(fs.readFileSync(this.config.file, 'utf8'));
+        this.users = saved.users || {};
+        const count = Object.values(this.users).reduce((sum, d) => sum + d.entries.length, 0);
+        console.log(`📖 Loaded ${count} transcription correction(s)`);
+      }
+    } catch (error) {
+      console.error('Error loading corrections:', error.message);
+    }
+  }
+
+  save() {
+    return writeFileAtomic(this.config.file, () => JSON.stringify({ users: this.users }, null, 2))
+      .catch(error => console.error('Error saving corrections:', error.message));
+  }
+
+  flush() {
+    return flushWrites(this.config.file);
+  }
+
+  // User IDs come from the browser; anything unusual is the default user
+  userId(user) {
+    return typeof user === 'string' && /^[\w.-]{1,64}$/.test(user) ? user : 'default';
+  }
+
+  dictionary(user) {
+    const id = this.userId(user);
+    if (!this.users[id]) {
+      this.users[id] = { entries: [], confirmations: {} };
+    }
+    return this.users[id];
+  }
+
+  /**
+   * A user's entries, grouped by kind
+   */
+  list(user) {
+    const dictionary = this.users[this.userId(user)];
+    if (!dictionary) {
+      return [];
+    }
+    return [...dictionary.entries].sort((a, b) =>
+      KINDS.indexOf(a.kind) - KINDS.indexOf(b.kind) || (a.from || a.to).localeCompare(b.from || b.to));
+  }
+
+  listUsers() {
+    return Object.entries(this.users).map(([user, dictionary]) => ({ user, entries: dictionary.entries.length }));
+  }
+
+  /**
+   * Check and tidy an entry: { kind, from, to } - from is optional for vocabulary
+   * Returns { entry } or { error }
+   */
+  validate({ kind, from, to }) {
+    const meant = typeof to === 'string' ? to.trim().replace(/\s+/g, ' ') : '';
+    const heard = typeof from === 'string' ? normalizePhrase(from) : '';
+
+    if (!meant || meant.length > 100) {
+      return { error: 'A correction needs the text it should become (up to 100 characters)' };
+    }
+    if (heard.length > 100) {
+      return { error: 'What was heard can be up to 100 characters' };
+    }
+
+    const guessed = kind || (!heard ? 'vocabulary' : heard.includes(' ') || meant.includes(' ') ? 'phrase' : 'word');
+    if (!KINDS.includes(guessed)) {
+      return { error: `Kind must be one of: ${KINDS.join(', ')}` };
+    }
+    if (!heard && guessed !== 'vocabulary') {
+      return { error: 'A word or phrase correction needs what was heard' };
+    }
+    if (guessed === 'word' && heard.includes(' ')) {
+      return { error: 'A word correction replaces a single word - use a phrase for more' };
+    }
+    if (heard && heard === normalizePhrase(meant)) {
+      return { error: 'What was heard and the correction are the same' };
+    }
+
+    return { entry: { kind: guessed, from: heard || null, to: meant } };
+  }
+
+  /**
+   * Add an entry, or change the existing one for the same heard text
+   * source: 'manual', 'edit', 'voice' or 'clarification'
+   * Returns { success, entry, created } or { success: false, error }
+   */
+  add(user, fields, { source = 'manual' } = {}) {
+    const { entry, error } = this.validate(fields || {});
+    if (error) {
+      return { success: false, error };
+    }
+
+    const dictionary = this.dictionary(user);
+    const now = new Date().toISOString();
+
+    // Learning "a -> b" undoes an earlier "b -> a"
+    dictionary.entries = dictionary.entries.filter(e =>
+      !(entry.from && e.from === normalizePhrase(entry.to) && normalizePhrase(e.to) === entry.from));
+
+    const existing = dictionary.entries.find(e =>
+      entry.from ? e.from === entry.from : !e.from && e.to.toLowerCase() === entry.to.toLowerCase());
+    if (existing) {
+      Object.assign(existing, entry, { source, updatedAt: now });
+      this.save();
+      return { success: true, entry: existing, created: false };
+    }
+
+    const created = { id: crypto.randomUUID(), ...entry, source, createdAt: now, updatedAt: now };
+    dictionary.entries.push(created);
+    this.save();
+    return { success: true, entry: created, created: true };
+  }
+
+  /**
+   * changes: { kind, from, to }
+   */
+  update(user, id, changes = {}) {
+    const dictionary = this.users[this.userId(user)];
+    const existing = dictionary && dictionary.entries.find(e => e.id === id);
+    if (!existing) {
+      return { success: false, notFound: true, error: 'No such correction' };
+    }
+
+    const { entry, error } = this.validate({
+      kind: changes.kind || existing.kind,
+      from: changes.from !== undefined ? changes.from : existing.from,
+      to: changes.to !== undefined ? changes.to : existing.to
+    });
+    if (error) {
+      return { success: false, error };
+    }
+    if (entry.from && dictionary.entries.some(e => e.id !== id && e.from === entry.from)) {
+      return { success: false, error: `"${entry.from}" already has a correction` };
+    }
+
+    Object.assign(existing, entry, { updatedAt: new Date().toISOString() });
+    this.save();
+    return { success: true, entry: existing };
+  }
+
+  remove(user, id) {
+    const dictionary = this.users[this.userId(user)];
+    const index = dictionary ? dictionary.entries.findIndex(e => e.id === id) : -1;
+    if (index === -1) {
+      return { success: false, notFound: true, error: 'No such correction' };
+    }
+
+    const [entry] = dictionary.entries.splice(index, 1);
+    this.save();
+    return { success: true, entry };
+  }
+
+  /**
+   * Apply a user's corrections to a transcript
+   * Returns { text, applied: [entries] }
+   */
+  apply(user, text) {
+    const dictionary = this.users[this.userId(user)];
+    if (!dictionary || !text || dictionary.entries.length === 0) {
+      return { text, applied: [] };
+    }
+
+    const applied = new Set();
+
+    // One pass over the heard texts, longest first, so a fix is never fixed again
+    const byHeard = new Map(dictionary.entries.filter(e => e.from).map(e => [e.from, e]));
+    let result = text;
+    if (byHeard.size > 0) {
+      const alternatives = [...byHeard.keys()]
+        .sort((a, b) => b.length - a.length)
+        .map(heard => escapeRegExp(heard).replace(/ /g, '\\s+'));
+      const pattern = new RegExp(`(?<![\\w])(?:${alternatives.join('|')})(?![\\w])`, 'gi');
+      result = result.replace(pattern, (match) => {
+        const entry = byHeard.get(match.toLowerCase().replace(/\s+/g, ' '));
+        applied.add(entry);
+        return entry.to;
+      });
+    }
+
+    for (const entry of dictionary.entries.filter(e => e.kind === 'vocabulary')) {
+      const replaced = this.replaceSoundAlike(result, entry.to);
+      if (replaced !== result) {
+        result = replaced;
+        applied.add(entry);
+      }
+    }
+
+    return { text: result, applied: [...applied] };
+  }
+
+  // Replace runs of words that sound like a vocabulary term ("server js" -> "server.js")
+  replaceSoundAlike(text, term) {
+    const spoken = spokenForm(term);
+    if (spoken.replace(/ /g, '').length < MIN_FUZZY_LENGTH) {
+      return text;
+    }
+
+    const size = spoken.split(' ').length;
+    const words = splitWords(text);
+    const output = [];
+    let changed = false;
+
+    for (let start = 0; start < words.length;) {
+      let best = null;
+      for (let length = Math.max(1, size - 1); length <= size + 1 && start + length <= words.length; length++) {
+        const heard = words.slice(start, start + length).map(normalizeWord).join(' ');
+        const score = soundsAlike(heard, spoken);
+        if (score >= VOCABULARY_MATCH && (!best || score > best.score)) {
+          best = { length, score };
+        }
+      }
+
+      const window = best && words.slice(start, start + best.length);
+      if (!best || window.join(' ') === term) {
+        output.push(words[start]);
+        start++;
+        continue;
+      }
+
+      // Keep punctuation that followed the last word ("server js?" -> "server.js?")
+      const trailing = window[window.length - 1].match(/[^\w]*$/)[0];
+      output.push(term + trailing);
+      start += best.length;
+      changed = true;
+    }
+
+    return changed ? output.join(' ') : text;
+  }
+
+  /**
+   * Learn from a transcript the user fixed before sending
+   * Only short replacements that sound like what was heard count - the rest are changes of mind,
+   * and so is an edit that changes most of the words
+   * Returns the entries added or changed
+   */
+  learnFromEdit(user, heard, edited, { source = 'edit' } = {}) {
+    const before = splitWords(heard);
+    const after = splitWords(edited);
+    const spans = changedSpans(before, after);
+
+    const changed = spans.reduce((sum, span) => sum + Math.max(span.from.length, span.to.length), 0);
+    if (changed > Math.max(before.length, after.length) * MAX_CHANGED_SHARE) {
+      return [];
+    }
+    return this.learnSpans(user, spans, source);
+  }
+
+  /**
+   * Record each changed span { from: [words], to: [words] } that looks like a mishearing
+   * Returns the entries that were seen often enough to be added
+   */
+  learnSpans(user, spans, source) {
+    const learned = [];
+
+    for (const span of spans) {
+      if (span.from.length === 0 || span.to.length === 0 ||
+          span.from.length > MAX_SPAN_WORDS || span.to.length > MAX_SPAN_WORDS) {
+        continue;
+      }
+
+      // A path or identifier that was transcribed as one wasn't misheard - changing it is a new request
+      const written = span.from.join(' ');
+      if (looksLikeCode(written)) {
+        continue;
+      }
+
+      const from = normalizePhrase(written);
+      const to = span.to.join(' ').replace(/^[^\w]+|[^\w]+$/g, '');
+      const plain = normalizePhrase(to);
+      if (!from || !plain || from === plain || isInflection(from, plain) || soundsAlike(from, plain) < SOUND_ALIKE) {
+        continue;
+      }
+
+      // File and command names become vocabulary, matched by how they sound rather than by
+      // rewriting these exact words - "app js" -> "api.js" must not turn every app.js into api.js
+      const fields = looksLikeCode(to)
+        ? { kind: 'vocabulary', from: null, to }
+        : { kind: span.from.length === 1 && span.to.length === 1 ? 'word' : 'phrase', from, to };
+      const entry = this.observe(user, fields, { heard: from, source });
+      if (entry) {
+        learned.push(entry);
+      }
+    }
+
+    if (learned.length > 0) {
+      console.log(`📖 Learned ${learned.map(e => `"${e.from || e.to}" -> "${e.to}"`).join(', ')}`);
+    }
+    return learned;
+  }
+
+  /**
+   * Count one sighting of a fix; it becomes an entry once seen promoteAfter times.
+   * Fixes made through the API ('manual') are entries straight away
+   * Returns the entry, or null while there isn't enough evidence
+   */
+  observe(user, fields, { heard = fields.from, source }) {
+    if (source !== 'manual') {
+      const dictionary = this.dictionary(user);
+      const key = `${normalizePhrase(heard)} -> ${fields.to}`;
+      dictionary.confirmations[key] = (dictionary.confirmations[key] || 0) + 1;
+
+      if (dictionary.confirmations[key] < this.config.promoteAfter) {
+        console.log(`📖 Heard "${key}" ${dictionary.confirmations[key]} time(s) - learning it after ${this.config.promoteAfter}`);
+        this.save();
+        return null;
+      }
+      delete dictionary.confirmations[key];
+    }
+
+    const result = this.add(user, fields, { source });
+    return result.success ? result.entry : null;
+  }
+
+  /**
+   * "No, I said kubectl" after "run cube cuddle get pods": find the part that was repeated and
+   * rebuild the request. The fix is learned once it has come up promoteAfter times
+   * Returns { text, learned } - text is the request as it should have been heard
+   */
+  learnFromRestatement(user, previous, restated) {
+    const before = splitWords(previous);
+    const after = splitWords(restated);
+
+    // The whole request again
+    if (after.length >= before.length - 1) {
+      return { text: restated, learned: this.learnFromEdit(user, previous, restated, { source: 'voice' }) };
+    }
+
+    // Just the misheard words - the run of the previous request that sounds most like them
+    const spoken = normalizePhrase(restated);
+    let best = null;
+    for (let length = Math.max(1, after.length - 1); length <= after.length + 1; length++) {
+      for (let start = 0; start + length <= before.length; start++) {
+        const score = soundsAlike(normalizePhrase(before.slice(start, start + length).join(' ')), spoken);
+        if (!best || score > best.score) {
+          best = { start, length, score };
+        }
+      }
+    }
+
+    if (!best || best.score < RESTATED_MATCH) {
+      return { text: restated, learned: [] };
+    }
+
+    const window = before.slice(best.start, best.start + best.length);
+    const text = [...before.slice(0, best.start), ...after, ...before.slice(best.start + best.length)].join(' ');
+    return { text, learned: this.learnSpans(user, [{ from: window, to: after }], 'voice') };
+  }
+
+  /**
+   * A "did you mean...?" guess the user confirmed; after a few, it becomes an entry
+   * Returns the new entry, or null
+   */
+  confirm(user, heard, meant) {
+    return this.observe(user, { from: heard, to: meant }, { source: 'clarification' });
+  }
+}
+
+module.exports = CorrectionDictionary;
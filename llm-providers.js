@@ -0,0 +1,568 @@
+const crypto = require('crypto');
+const Anthropic = require('@anthropic-ai/sdk');
+const LocalModels = require('./local-models');
+
+/**
+ * LLM Providers
+ * One interface over Claude, Ollama and OpenAI-compatible servers (llama.cpp, LM Studio, vLLM...)
+ *
+ * Messages use one normalized format everywhere - the session history format:
+ *   { role: 'user' | 'assistant', content: string | blocks }
+ *   blocks: text, image, document, tool_use { id, name, input }, tool_result { tool_use_id, content }
+ * Tools are { name, description, input_schema }.
+ * A system prompt is a string or segments [{ text, cache }] - `cache` marks stable segments
+ * that providers with prompt caching (Claude) should cache; the others just join the text.
+ * Every call resolves to:
+ *   { text, content: blocks, toolCalls: [{ id, name, input }], stopReason, usage, model }
+ */
+
+function emptyUsage() {
+  return {
+    input_tokens: 0,
+    output_tokens: 0,
+    cache_creation_input_tokens: 0,
+    cache_read_input_tokens: 0
+  };
+}
+
+// System prompt as plain text, for providers without prompt caching
+function systemText(system) {
+  if (!Array.isArray(system)) {
+    return system || '';
+  }
+  return system.map(segment => segment.text).filter(Boolean).join('\n\n');
+}
+
+// Tool definitions in the OpenAI/Ollama function-calling format
+function toFunctionTools(tools = []) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: { name: tool.name, description: tool.description, parameters: tool.input_schema }
+  }));
+}
+
+// Usage of a request that was aborted or failed mid-stream: whatever the provider reported,
+// with the output counted from the text streamed so far (roughly 4 characters per token)
+function partialUsage(reported, streamedText) {
+  const usage = emptyUsage();
+  for (const key of Object.keys(usage)) {
+    usage[key] = reported?.[key] || 0;
+  }
+  usage.output_tokens = Math.max(usage.output_tokens, Math.ceil(streamedText.length / 4));
+  return usage;
+}
+
+// Build a normalized response from text and tool calls
+function buildResponse(text, toolCalls, usage, model, stopReason) {
+  const trimmed = text.trim();
+  return {
+    text: trimmed,
+    content: [
+      ...(trimmed ? [{ type: 'text', text: trimmed }] : []),
+      ...toolCalls.map(call => ({ type: 'tool_use', ...call }))
+    ],
+    toolCalls,
+    stopReason: toolCalls.length > 0 ? 'tool_use' : stopReason,
+    usage,
+    model
+  };
+}
+
+// Tool call arguments arrive as an object or a JSON string depending on the server
+function parseArguments(args) {
+  if (!args) return {};
+  return typeof args === 'string' ? JSON.parse(args) : args;
+}
+
+class LLMProvider {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = {
+      label: config.label || name,
+      defaultModel: config.defaultModel || null,
+      maxTokens: config.maxTokens || 4096,
+      ...config
+    };
+  }
+
+  async isAvailable() {
+    return true;
+  }
+
+  /**
+   * Called after a request fails so availability is re-checked
+   */
+  markFailed() {}
+
+  async listModels() {
+    return [this.config.defaultModel];
+  }
+
+  /**
+   * How the model introduces itself in the system prompt
+   */
+  identity(model) {
+    return model;
+  }
+
+  /**
+   * Single reply, no tools, no streaming
+   */
+  chat(messages, options = {}) {
+    return this.toolCall(messages, { ...options, tools: [] });
+  }
+
+  /**
+   * Single reply, no tools, text streamed through onText
+   */
+  stream(messages, options = {}, onText = null) {
+    return this.toolCall(messages, { ...options, tools: [] }, onText);
+  }
+
+  /**
+   * One model step that may ask for tools; text is streamed through onText if given
+   * options: { model, system, tools, maxTokens, temperature, signal }
+   */
+  async toolCall(messages, options = {}, onText = null) {
+    throw new Error(`${this.name} does not implement toolCall`);
+  }
+}
+
+/**
+ * Claude via the Anthropic SDK - normalized messages are already its native format
+ */
+class AnthropicProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config.name || 'claude', {
+      label: 'Claude',
+      defaultModel: 'claude-sonnet-4-5-20250929',
+      cacheHistory: true, // also cache the conversation so far (pays off across tool steps)
+      ...config
+    });
+
+    this.client = new Anthropic({
+      apiKey: this.config.apiKey || 'PLEASE_SET_YOUR_API_KEY',
+      ...(this.config.baseURL && { baseURL: this.config.baseURL })
+    });
+  }
+
+  async isAvailable() {
+    return !!this.config.apiKey;
+  }
+
+  /**
+   * Models the API key can use (config.models overrides the lookup)
+   */
+  async listModels() {
+    if (this.config.models) {
+      return this.config.models;
+    }
+
+    if (!this.modelCache) {
+      try {
+        const page = await this.client.models.list({ limit: 100 });
+        this.modelCache = page.data.map(m => m.id);
+      } catch (error) {
+        return [this.config.defaultModel];
+      }
+    }
+    return this.modelCache;
+  }
+
+  identity(model) {
+    return `Claude (${model})`;
+  }
+
+  /**
+   * System segments as text blocks, with a cache breakpoint after each stable one.
+   * Tools come before the system prompt in the cached prefix, so they are cached too.
+   */
+  toSystemBlocks(system) {
+    if (!Array.isArray(system)) {
+      return system;
+    }
+
+    return system
+      .filter(segment => segment.text)
+      .map(segment => ({
+        type: 'text',
+        text: segment.text,
+        ...(segment.cache && { cache_control: { type: 'ephemeral' } })
+      }));
+  }
+
+  /**
+   * Copy of the messages with a cache breakpoint on the last block, so the next
+   * request (another tool step or the next turn) reads the history from the cache
+   */
+  withHistoryBreakpoint(messages) {
+    if (messages.length === 0) {
+      return messages;
+    }
+
+    const last = messages[messages.length - 1];
+    const blocks = typeof last.content === 'string'
+      ? [{ type: 'text', text: last.content }]
+      : last.content.map(block => ({ ...block }));
+    blocks[blocks.length - 1].cache_control = { type: 'ephemeral' };
+
+    return [...messages.slice(0, -1), { ...last, content: blocks }];
+  }
+
+  async toolCall(messages, options = {}, onText = null) {
+    const model = options.model || this.config.defaultModel;
+    const stream = this.client.messages.stream({
+      model: model,
+      max_tokens: options.maxTokens || this.config.maxTokens,
+      messages: this.config.cacheHistory ? this.withHistoryBreakpoint(messages) : messages,
+      ...(options.system && { system: this.toSystemBlocks(options.system) }),
+      ...(options.tools?.length > 0 && { tools: options.tools }),
+      ...(options.temperature !== undefined && { temperature: options.temperature })
+    }, { signal: options.signal });
+
+    let streamed = '';
+    stream.on('text', (delta) => {
+      streamed += delta;
+      if (onText) {
+        onText(delta);
+      }
+    });
+
+    let response;
+    try {
+      response = await stream.finalMessage();
+    } catch (error) {
+      // Once the request started, its input and the text so far are billed
+      if (stream.currentMessage) {
+        error.usage = partialUsage(stream.currentMessage.usage, streamed);
+      }
+      throw error;
+    }
+    const usage = emptyUsage();
+    for (const key of Object.keys(usage)) {
+      usage[key] = response.usage?.[key] || 0;
+    }
+
+    return {
+      text: response.content.filter(b => b.type === 'text').map(b => b.text).join(''),
+      content: response.content,
+      toolCalls: response.content
+        .filter(b => b.type === 'tool_use')
+        .map(({ id, name, input }) => ({ id, name, input })),
+      stopReason: response.stop_reason,
+      usage,
+      model
+    };
+  }
+}
+
+/**
+ * Local models through Ollama's /api/chat (tools need a model that supports them)
+ */
+class OllamaProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config.name || 'local', {
+      label: 'Local',
+      defaultModel: 'llama3.2',
+      ollamaHost: 'http://localhost:11434',
+      availabilityTTL: 60000, // how long an availability check is trusted
+      ...config
+    });
+
+    this.localModels = new LocalModels({
+      ollamaHost: this.config.ollamaHost,
+      defaultTextModel: this.config.defaultModel
+    });
+    this.status = { available: false, checkedAt: 0 };
+  }
+
+  /**
+   * Is Ollama running with the default model pulled? Cached for availabilityTTL
+   */
+  async isAvailable(force = false) {
+    if (!force && Date.now() - this.status.checkedAt < this.config.availabilityTTL) {
+      return this.status.available;
+    }
+
+    const available = await this.localModels.hasModel(this.config.defaultModel).catch(() => false);
+    this.status = { available, checkedAt: Date.now() };
+    return available;
+  }
+
+  markFailed() {
+    this.status = { available: false, checkedAt: Date.now() };
+  }
+
+  async listModels() {
+    const models = await this.localModels.listModels();
+    return models.map(m => m.name.replace(/:latest$/, ''));
+  }
+
+  identity(model) {
+    return `${model}, a local model running on this machine`;
+  }
+
+  /**
+   * Normalized messages -> Ollama chat messages
+   */
+  toProviderMessages(messages, system) {
+    const text = systemText(system);
+    const converted = text ? [{ role: 'system', content: text }] : [];
+
+    for (const message of messages) {
+      if (typeof message.content === 'string') {
+        converted.push({ role: message.role, content: message.content });
+        continue;
+      }
+
+      const text = [];
+      const images = [];
+      const toolCalls = [];
+      for (const block of message.content) {
+        if (block.type === 'text') {
+          text.push(block.text);
+        } else if (block.type === 'document') {
+          text.push(`${block.title || 'Document'}:\n${block.source.data}`);
+        } else if (block.type === 'image') {
+          images.push(block.source.data);
+        } else if (block.type === 'tool_use') {
+          toolCalls.push({ function: { name: block.name, arguments: block.input } });
+        } else if (block.type === 'tool_result') {
+          converted.push({ role: 'tool', content: block.content });
+        }
+      }
+
+      if (text.length > 0 || images.length > 0 || toolCalls.length > 0) {
+        converted.push({
+          role: message.role,
+          content: text.join('\n\n'),
+          ...(images.length > 0 && { images }),
+          ...(toolCalls.length > 0 && { tool_calls: toolCalls })
+        });
+      }
+    }
+
+    return converted;
+  }
+
+  async toolCall(messages, options = {}, onText = null) {
+    const model = options.model || this.config.defaultModel;
+    const { message, usage } = await this.localModels.chatWithTools(
+      this.toProviderMessages(messages, options.system),
+      {
+        model: model,
+        tools: toFunctionTools(options.tools),
+        temperature: options.temperature,
+        signal: options.signal
+      },
+      onText
+    );
+
+    // Ollama doesn't give tool calls IDs - make some so results can be matched up
+    const toolCalls = message.tool_calls.map(call => ({
+      id: `toolu_local_${crypto.randomBytes(8).toString('hex')}`,
+      name: call.function.name,
+      input: parseArguments(call.function.arguments)
+    }));
+
+    return buildResponse(message.content, toolCalls, { ...emptyUsage(), ...usage }, model, 'end_turn');
+  }
+}
+
+/**
+ * Any server speaking the OpenAI chat completions API (llama.cpp server, LM Studio, vLLM, OpenAI)
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config.name || 'openai', {
+      label: 'OpenAI-compatible',
+      baseURL: 'http://localhost:8080/v1',
+      apiKey: null,
+      defaultModel: 'default',
+      timeout: 120000,
+      ...config
+    });
+  }
+
+  headers() {
+    return {
+      'Content-Type': 'application/json',
+      ...(this.config.apiKey && { Authorization: `Bearer ${this.config.apiKey}` })
+    };
+  }
+
+  async isAvailable() {
+    try {
+      const response = await fetch(`${this.config.baseURL}/models`, {
+        headers: this.headers(),
+        signal: AbortSignal.timeout(3000)
+      });
+      return response.ok;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async listModels() {
+    try {
+      const response = await fetch(`${this.config.baseURL}/models`, { headers: this.headers() });
+      const data = await response.json();
+      return (data.data || []).map(m => m.id);
+    } catch (error) {
+      return [this.config.defaultModel];
+    }
+  }
+
+  /**
+   * Normalized messages -> chat completion messages
+   */
+  toProviderMessages(messages, system) {
+    const text = systemText(system);
+    const converted = text ? [{ role: 'system', content: text }] : [];
+
+    for (const message of messages) {
+      if (typeof message.content === 'string') {
+        converted.push({ role: message.role, content: message.content });
+        continue;
+      }
+
+      const parts = [];
+      const toolCalls = [];
+      for (const block of message.content) {
+        if (block.type === 'text') {
+          parts.push({ type: 'text', text: block.text });
+        } else if (block.type === 'document') {
+          parts.push({ type: 'text', text: `${block.title || 'Document'}:\n${block.source.data}` });
+        } else if (block.type === 'image') {
+          parts.push({ type: 'image_url', image_url: { url: `data:${block.source.media_type};base64,${block.source.data}` } });
+        } else if (block.type === 'tool_use') {
+          toolCalls.push({
+            id: block.id,
+            type: 'function',
+            function: { name: block.name, arguments: JSON.stringify(block.input) }
+          });
+        } else if (block.type === 'tool_result') {
+          converted.push({ role: 'tool', tool_call_id: block.tool_use_id, content: block.content });
+        }
+      }
+
+      if (message.role === 'assistant') {
+        if (parts.length > 0 || toolCalls.length > 0) {
+          converted.push({
+            role: 'assistant',
+            content: parts.map(p => p.text).join('\n\n') || null,
+            ...(toolCalls.length > 0 && { tool_calls: toolCalls })
+          });
+        }
+      } else if (parts.length > 0) {
+        // Plain strings are the most widely supported form
+        const textOnly = parts.every(p => p.type === 'text');
+        converted.push({ role: 'user', content: textOnly ? parts.map(p => p.text).join('\n\n') : parts });
+      }
+    }
+
+    return converted;
+  }
+
+  async toolCall(messages, options = {}, onText = null) {
+    const model = options.model || this.config.defaultModel;
+    const tools = toFunctionTools(options.tools);
+    const signals = [AbortSignal.timeout(this.config.timeout), options.signal].filter(Boolean);
+
+    const response = await fetch(`${this.config.baseURL}/chat/completions`, {
+      method: 'POST',
+      headers: this.headers(),
+      signal: AbortSignal.any(signals),
+      body: JSON.stringify({
+        model: model,
+        messages: this.toProviderMessages(messages, options.system),
+        max_tokens: options.maxTokens || this.config.maxTokens,
+        stream: true,
+        stream_options: { include_usage: true },
+        ...(tools.length > 0 && { tools }),
+        ...(options.temperature !== undefined && { temperature: options.temperature })
+      })
+    });
+
+    if (!response.ok) {
+      const error = new Error(`${this.config.label} API error: ${response.status} ${await response.text()}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const usage = emptyUsage();
+    const pendingCalls = []; // streamed in pieces, keyed by index
+    let text = '';
+    let stopReason = 'end_turn';
+    let buffer = '';
+
+    while (true) {
+      let chunk;
+      try {
+        chunk = await reader.read();
+      } catch (error) {
+        error.usage = partialUsage(usage, text); // input tokens only arrive with the last chunk
+        throw error;
+      }
+      const { done, value } = chunk;
+      if (done) break;
+
+      // Server-sent events - a line can be split across chunks
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') continue;
+
+        const json = JSON.parse(payload);
+        if (json.usage) {
+          // prompt_tokens includes cached tokens; Anthropic reports them separately
+          usage.cache_read_input_tokens = json.usage.prompt_tokens_details?.cached_tokens || 0;
+          usage.input_tokens = (json.usage.prompt_tokens || 0) - usage.cache_read_input_tokens;
+          usage.output_tokens = json.usage.completion_tokens || 0;
+        }
+
+        const choice = json.choices?.[0];
+        if (!choice) continue;
+
+        if (choice.delta?.content) {
+          text += choice.delta.content;
+          if (onText) {
+            onText(choice.delta.content);
+          }
+        }
+
+        for (const delta of choice.delta?.tool_calls || []) {
+          const call = pendingCalls[delta.index ?? pendingCalls.length] ||= { id: null, name: '', arguments: '' };
+          if (delta.id) call.id = delta.id;
+          if (delta.function?.name) call.name += delta.function.name;
+          if (delta.function?.arguments) call.arguments += delta.function.arguments;
+        }
+
+        if (choice.finish_reason === 'length') {
+          stopReason = 'max_tokens';
+        }
+      }
+    }
+
+    const toolCalls = pendingCalls.filter(Boolean).map(call => ({
+      id: call.id || `toolu_${crypto.randomBytes(8).toString('hex')}`,
+      name: call.name,
+      input: parseArguments(call.arguments)
+    }));
+
+    return buildResponse(text, toolCalls, usage, model, stopReason);
+  }
+}
+
+module.exports = {
+  LLMProvider,
+  AnthropicProvider,
+  OllamaProvider,
+  OpenAICompatibleProvider
+};
@@ -1,10 +1,6 @@
-const { exec } = require('child_process');
-const { promisify } = require('util');
 const fs = require('fs').promises;
 const path = require('path');
 
-const execAsync = promisify(exec);
-
 class LocalModels {
   constructor(config = {}) {
     this.ollamaHost = config.ollamaHost || 'http://localhost:11434';
@@ -197,6 +193,82 @@ class LocalModels {
     }
   }
 
+  /**
+   * Chat with tool support (Ollama's tools API), streaming text through onChunk
+   * options: { model, tools: [{ type: 'function', function: { name, description, parameters } }], temperature, signal }
+   * Returns { message: { content, tool_calls }, usage: { input_tokens, output_tokens } }
+   */
+  async chatWithTools(messages, options = {}, onChunk) {
+    const model = options.model || this.defaultTextModel;
+
+    const response = await fetch(`${this.ollamaHost}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      signal: options.signal,
+      body: JSON.stringify({
+        model: model,
+        messages: messages,
+        tools: options.tools || [],
+        stream: true,
+        options: {
+          temperature: options.temperature || 0.7
+        }
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Ollama API error: ${response.status} ${await response.text()}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const message = { role: 'assistant', content: '', tool_calls: [] };
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      // NDJSON - a line can be split across chunks
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines.filter(l => l.trim())) {
+        const json = JSON.parse(line);
+        if (json.error) {
+          throw new Error(`Ollama API error: ${json.error}`);
+        }
+
+        if (json.message?.content) {
+          message.content += json.message.content;
+          if (onChunk) {
+            onChunk(json.message.content);
+          }
+        }
+        if (json.message?.tool_calls) {
+          message.tool_calls.push(...json.message.tool_calls);
+        }
+        if (json.done) {
+          usage.input_tokens = json.prompt_eval_count || 0;
+          usage.output_tokens = json.eval_count || 0;
+        }
+      }
+    }
+
+    return { message, usage };
+  }
+
+  /**
+   * Check that a model has been pulled (names without a tag match ':latest')
+   */
+  async hasModel(name) {
+    const models = await this.listModels();
+    const wanted = name.includes(':') ? name : `${name}:latest`;
+    return models.some(m => m.name === wanted || m.name === name);
+  }
+
   /**
    * Generate an image using Stable Diffusion via ComfyUI or Automatic1111
    * Requires external setup of SD WebUI or ComfyUI
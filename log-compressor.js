@@ -1,8 +1,5 @@
-const fs = require('fs').promises;
-const path = require('path');
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const execAsync = promisify(exec);
+const OllamaClient = require('./ollama-client');
+const MemoryStore = require('./memory-store');
 
 /**
  * Log Compression Service
@@ -13,15 +10,16 @@ const execAsync = promisify(exec);
 class LogCompressor {
   constructor(config = {}) {
     this.config = {
-      memoryFile: config.memoryFile || './conversation-memory.json',
-      backupDir: config.backupDir || './log-backups',
       compressionThreshold: config.compressionThreshold || 10, // compress after 10 conversations
       ollamaModel: config.ollamaModel || 'llama2', // or 'mistral', 'phi', etc.
       checkInterval: config.checkInterval || 60000, // check every minute
       maxRecentConversations: config.maxRecentConversations || 5,
+      summarizeTimeout: config.summarizeTimeout || 120000,
       ...config
     };
     
+    this.ollama = config.ollamaClient || new OllamaClient({ host: config.ollamaHost });
+    this.store = config.memoryStore || new MemoryStore();
     this.isCompressing = false;
   }
 
@@ -59,15 +57,21 @@ class LogCompressor {
    * Check if Ollama is available
    */
   async checkOllama() {
-    try {
-      await execAsync('which ollama');
-      console.log('✅ Ollama found');
-    } catch (error) {
-      console.warn('⚠️  Ollama not found. Install with: curl -fsSL https://ollama.ai/install.sh | sh');
+    if (await this.ollama.isAvailable()) {
+      console.log(`✅ Ollama found at ${this.ollama.config.host}`);
+    } else {
+      console.warn('⚠️  Ollama not reachable. Install with: curl -fsSL https://ollama.ai/install.sh | sh');
       console.warn('   Then run: ollama pull ' + this.config.ollamaModel);
     }
   }
 
+  /**
+   * Turns not yet folded into a summary, oldest first
+   */
+  uncompressedTurns() {
+    return this.store.query({ type: 'turn', filter: t => !t.summaryId });
+  }
+
   /**
    * Check if compression is needed and perform it
    */
@@ -79,16 +83,12 @@ class LogCompressor {
     try {
       this.isCompressing = true;
       
-      // Read memory file
-      const data = await fs.readFile(this.config.memoryFile, 'utf8');
-      const memory = JSON.parse(data);
-      
-      const recentConversations = memory.memory?.recent_conversations || [];
+      const recentConversations = this.uncompressedTurns();
       
       // Check if compression is needed
       if (recentConversations.length > this.config.compressionThreshold) {
         console.log(`📊 Log size: ${recentConversations.length} conversations - compressing...`);
-        await this.compressLogs(memory);
+        await this.compressLogs(recentConversations);
       }
       
     } catch (error) {
@@ -100,14 +100,10 @@ class LogCompressor {
 
   /**
    * Compress logs using local LLM
+   * The turns stay in the store (marked with the summary's ID); prompts use the summary instead
    */
-  async compressLogs(memory) {
+  async compressLogs(recentConversations) {
     try {
-      // Backup original
-      await this.createBackup(memory);
-      
-      const recentConversations = memory.memory.recent_conversations || [];
-      
       // Keep most recent conversations
       const toKeep = recentConversations.slice(-this.config.maxRecentConversations);
       const toCompress = recentConversations.slice(0, -this.config.maxRecentConversations);
@@ -122,32 +118,19 @@ class LogCompressor {
       // Create summary of old conversations using local LLM
       const summary = await this.summarizeWithLLM(toCompress);
       
-      // Add summary to important facts
-      if (!memory.memory.important_facts) {
-        memory.memory.important_facts = [];
-      }
-      
-      memory.memory.important_facts.push({
-        type: 'compressed_history',
-        timestamp: new Date().toISOString(),
-        summary: summary,
-        original_count: toCompress.length
+      const record = this.store.addSummary(summary, {
+        source: 'log-compressor',
+        turnCount: toCompress.length,
+        from: toCompress[0].createdAt,
+        to: toCompress[toCompress.length - 1].createdAt
       });
       
-      // Keep only recent conversations
-      memory.memory.recent_conversations = toKeep;
-      memory.context.last_updated = new Date().toISOString();
-      
-      // Save compressed memory
-      await fs.writeFile(
-        this.config.memoryFile,
-        JSON.stringify(memory, null, 2),
-        'utf8'
-      );
+      for (const turn of toCompress) {
+        this.store.update(turn.id, { summaryId: record.id });
+      }
+      await this.store.flush();
       
-      const savedSize = toCompress.length - 1; // We replaced N conversations with 1 summary
       console.log(`✅ Compressed ${toCompress.length} conversations into summary`);
-      console.log(`   Saved ~${savedSize} conversation entries`);
       
     } catch (error) {
       console.error('❌ Compression failed:', error.message);
@@ -161,18 +144,20 @@ class LogCompressor {
     try {
       // Prepare conversation text
       const conversationText = conversations.map(c => 
-        `[${c.timestamp}]\nUser: ${c.user}\nAssistant: ${c.assistant}`
+        `[${c.createdAt}]\nUser: ${c.user}\nAssistant: ${c.assistant.substring(0, 500)}`
       ).join('\n\n');
       
       const prompt = `Summarize this conversation history into 2-3 concise bullet points, focusing on key user preferences, decisions, and important context. Be brief but preserve critical information:\n\n${conversationText}\n\nSummary:`;
       
-      // Call Ollama API
-      const command = `ollama run ${this.config.ollamaModel} "${prompt.replace(/"/g, '\\"')}"`;
-      
       console.log('   🤖 Calling local LLM...');
-      const { stdout } = await execAsync(command, { maxBuffer: 1024 * 1024 });
+      const summary = await this.ollama.generate(prompt, {
+        model: this.config.ollamaModel,
+        timeout: this.config.summarizeTimeout
+      });
+      if (!summary) {
+        throw new Error('empty summary');
+      }
       
-      const summary = stdout.trim();
       console.log('   ✨ Summary generated (local - no cloud costs!)');
       
       return summary;
@@ -198,80 +183,24 @@ class LogCompressor {
       });
     });
     
-    return `Compressed ${conversations.length} conversations from ${conversations[0]?.timestamp} to ${conversations[conversations.length - 1]?.timestamp}. Topics: ${Array.from(topics).slice(0, 3).join('; ')}`;
-  }
-
-  /**
-   * Create backup of memory file
-   */
-  async createBackup(memory) {
-    try {
-      // Ensure backup directory exists
-      await fs.mkdir(this.config.backupDir, { recursive: true });
-      
-      const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\..+/, '');
-      const backupFile = path.join(this.config.backupDir, `memory-backup-${timestamp}.json`);
-      
-      await fs.writeFile(backupFile, JSON.stringify(memory, null, 2), 'utf8');
-      console.log(`   💾 Backup created: ${backupFile}`);
-      
-      // Keep only last 10 backups
-      await this.cleanOldBackups();
-      
-    } catch (error) {
-      console.error('   ⚠️  Backup failed:', error.message);
-    }
-  }
-
-  /**
-   * Clean old backups, keep only recent ones
-   */
-  async cleanOldBackups() {
-    try {
-      const files = await fs.readdir(this.config.backupDir);
-      const backups = files
-        .filter(f => f.startsWith('memory-backup-'))
-        .sort()
-        .reverse();
-      
-      // Keep only last 10
-      const toDelete = backups.slice(10);
-      
-      for (const file of toDelete) {
-        await fs.unlink(path.join(this.config.backupDir, file));
-      }
-      
-      if (toDelete.length > 0) {
-        console.log(`   🗑️  Cleaned ${toDelete.length} old backups`);
-      }
-      
-    } catch (error) {
-      // Ignore errors
-    }
+    return `Compressed ${conversations.length} conversations from ${conversations[0]?.createdAt} to ${conversations[conversations.length - 1]?.createdAt}. Topics: ${Array.from(topics).slice(0, 3).join('; ')}`;
   }
 
   /**
    * Get compression stats
    */
   async getStats() {
-    try {
-      const data = await fs.readFile(this.config.memoryFile, 'utf8');
-      const memory = JSON.parse(data);
-      
-      const recentCount = memory.memory?.recent_conversations?.length || 0;
-      const compressedCount = memory.memory?.important_facts?.filter(
-        f => f.type === 'compressed_history'
-      ).length || 0;
-      
-      return {
-        current_conversations: recentCount,
-        compressed_batches: compressedCount,
-        needs_compression: recentCount > this.config.compressionThreshold
-      };
-      
-    } catch (error) {
-      return { error: error.message };
-    }
+    const recentCount = this.uncompressedTurns().length;
+    const compressedCount = this.store.query({
+      type: 'summary',
+      filter: s => s.source === 'log-compressor'
+    }).length;
+    
+    return {
+      current_conversations: recentCount,
+      compressed_batches: compressedCount,
+      needs_compression: recentCount > this.config.compressionThreshold
+    };
   }
 }
 
@@ -0,0 +1,410 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { writeFileAtomic } = require('./atomic-write');
+const OllamaClient = require('./ollama-client');
+const MemoryStore = require('./memory-store');
+
+/**
+ * Memory Index
+ * Semantic search over long-term memory. Turns, facts and summaries are embedded
+ * with an Ollama embedding model (/api/embeddings) and ranked by cosine similarity
+ * to the query. A TF-IDF keyword index is kept alongside and answers whenever no
+ * embedding model is available. Both follow the memory store's 'put' and 'delete'
+ * events, so a turn is searchable as soon as it is stored.
+ *
+ * Embeddings are saved to memory-index.json with a hash of the text they were made
+ * from, so only new or changed records are embedded after a restart.
+ */
+
+const INDEXED_TYPES = ['turn', 'fact', 'summary'];
+
+// Words too common to tell records apart
+const STOPWORDS = new Set(('a about after again all also am an and any are as at be because been before being ' +
+  'both but by can could did do does doing down during each few for from further had has have having he her ' +
+  'here hers him his how i if in into is it its itself just me more most my no nor not now of off on once only ' +
+  'or other our ours out over own same she should so some such than that the their them then there these they ' +
+  'this those through to too under until up very was we were what when where which while who whom why will ' +
+  'with would you your yours').split(' '));
+
+// Lowercase words minus stopwords, with plural and verb endings trimmed so "images" finds "image"
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(word => word.length > 4 ? word.replace(/(ing|ed|(?<!s)s)$/, '') : word);
+}
+
+// Scale a vector to length 1 so cosine similarity is a dot product
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => Math.round((v / length) * 1e5) / 1e5); // rounded - it's saved as JSON
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+class MemoryIndex {
+  constructor(config = {}) {
+    this.config = {
+      indexFile: config.indexFile || './memory-index.json',
+      embeddingModel: config.embeddingModel || process.env.EMBEDDING_MODEL || 'nomic-embed-text',
+      maxEmbedChars: config.maxEmbedChars || 2000, // longer records are embedded by their start
+      queryTimeout: config.queryTimeout || 10000,
+      recheckInterval: config.recheckInterval || 300000, // look for the embedding model again after 5 minutes
+      limit: config.limit || 5,
+      ...config,
+      minScore: { embedding: 0.4, keyword: 0.05, ...config.minScore } // cosine similarity below this isn't a match
+    };
+
+    this.store = config.memoryStore || new MemoryStore();
+    this.ollama = config.ollamaClient || new OllamaClient({ host: config.ollamaHost, timeout: 30000 });
+    this.ownsClient = !config.ollamaClient;
+
+    this.terms = new Map(); // id -> Map(term -> count)
+    this.documentFrequency = new Map(); // term -> number of records containing it
+    this.vectors = new Map(); // id -> { hash, vector }
+    this.pending = new Set(); // ids waiting for an embedding
+
+    this.embeddings = null; // whether the embedding model is available, once checked
+    this.checkedAt = 0;
+    this.backfilling = null;
+    this.dirty = false;
+    this.saveTimer = null;
+    this.stopped = false;
+
+    this.loadVectors();
+    for (const record of this.store.query({ filter: r => INDEXED_TYPES.includes(r.type) })) {
+      this.indexRecord(record);
+    }
+    // Drop vectors of records deleted while the index wasn't running
+    for (const id of this.vectors.keys()) {
+      if (!this.store.get(id)) {
+        this.vectors.delete(id);
+        this.dirty = true;
+      }
+    }
+
+    this.store.on('put', record => this.onPut(record));
+    this.store.on('delete', id => this.remove(id));
+  }
+
+  /**
+   * Check for the embedding model and embed whatever is missing in the background
+   */
+  async start() {
+    await this.checkEmbeddings(true);
+    console.log(this.embeddings
+      ? `🔎 Memory search: embeddings (${this.config.embeddingModel}), ${this.pending.size} record(s) to embed`
+      : `🔎 Memory search: keywords only (run "ollama pull ${this.config.embeddingModel}" for semantic search)`);
+  }
+
+  async stop() {
+    this.stopped = true;
+    if (this.ownsClient) {
+      this.ollama.cancelAll();
+    }
+    if (this.dirty) {
+      await this.saveVectors();
+    }
+  }
+
+  loadVectors() {
+    try {
+      if (!fs.existsSync(this.config.indexFile)) {
+        return;
+      }
+
+      const saved = JSON.parse(fs.readFileSync(this.config.indexFile, 'utf8'));
+      if (saved.model !== this.config.embeddingModel) {
+        console.log(`🔎 Embedding model changed from ${saved.model} to ${this.config.embeddingModel}, memory will be re-embedded`);
+        this.dirty = true;
+        return;
+      }
+
+      for (const [id, entry] of Object.entries(saved.vectors || {})) {
+        this.vectors.set(id, entry);
+      }
+    } catch (error) {
+      console.warn('⚠️  Could not read the memory index, rebuilding it:', error.message);
+    }
+  }
+
+  saveVectors() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.dirty = false;
+
+    return writeFileAtomic(this.config.indexFile, () => JSON.stringify({
+      model: this.config.embeddingModel,
+      updatedAt: new Date().toISOString(),
+      vectors: Object.fromEntries(this.vectors)
+    })).catch(error => console.error('Error saving memory index:', error.message));
+  }
+
+  // Embeddings arrive one at a time - save once they stop for a few seconds
+  scheduleSave() {
+    this.dirty = true;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.saveVectors(), 5000);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * The searchable text of a record
+   */
+  recordText(record) {
+    return record.type === 'turn'
+      ? `User: ${record.user}\nAssistant: ${record.assistant}`
+      : record.text;
+  }
+
+  hash(text) {
+    return crypto.createHash('sha1').update(text).digest('hex').slice(0, 16);
+  }
+
+  indexRecord(record) {
+    const text = this.recordText(record);
+    this.addKeywords(record.id, text);
+
+    if (this.vectors.get(record.id)?.hash !== this.hash(text)) {
+      this.pending.add(record.id);
+    }
+  }
+
+  onPut(record) {
+    if (!INDEXED_TYPES.includes(record.type)) {
+      return;
+    }
+
+    this.indexRecord(record);
+    if (this.embeddings && this.pending.has(record.id)) {
+      this.backfill();
+    }
+  }
+
+  remove(id) {
+    this.removeKeywords(id);
+    this.pending.delete(id);
+    if (this.vectors.delete(id)) {
+      this.scheduleSave();
+    }
+  }
+
+  addKeywords(id, text) {
+    this.removeKeywords(id);
+
+    const counts = new Map();
+    for (const term of tokenize(text)) {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+    for (const term of counts.keys()) {
+      this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+    }
+    this.terms.set(id, counts);
+  }
+
+  removeKeywords(id) {
+    const counts = this.terms.get(id);
+    if (!counts) {
+      return;
+    }
+
+    for (const term of counts.keys()) {
+      const remaining = this.documentFrequency.get(term) - 1;
+      if (remaining > 0) {
+        this.documentFrequency.set(term, remaining);
+      } else {
+        this.documentFrequency.delete(term);
+      }
+    }
+    this.terms.delete(id);
+  }
+
+  /**
+   * Whether the embedding model can be used (cached, rechecked every few minutes)
+   */
+  async checkEmbeddings(force = false) {
+    if (!force && this.checkedAt && Date.now() - this.checkedAt < this.config.recheckInterval) {
+      return this.embeddings;
+    }
+
+    this.checkedAt = Date.now();
+    this.embeddings = await this.ollama.hasModel(this.config.embeddingModel);
+    if (this.embeddings && this.pending.size > 0) {
+      this.backfill();
+    }
+    return this.embeddings;
+  }
+
+  /**
+   * Embed every pending record, one request at a time
+   */
+  backfill() {
+    if (!this.backfilling) {
+      this.backfilling = this.embedPending().finally(() => {
+        this.backfilling = null;
+      });
+    }
+    return this.backfilling;
+  }
+
+  async embedPending() {
+    let embedded = 0;
+
+    while (this.embeddings && !this.stopped && this.pending.size > 0) {
+      const id = this.pending.values().next().value;
+      this.pending.delete(id);
+      const record = this.store.get(id);
+      if (!record) {
+        continue;
+      }
+
+      // A record edited meanwhile is queued again by its 'put' event
+      const text = this.recordText(record);
+      try {
+        const vector = await this.ollama.embed(text.slice(0, this.config.maxEmbedChars), {
+          model: this.config.embeddingModel
+        });
+        this.vectors.set(id, { hash: this.hash(text), vector: normalize(vector) });
+        embedded++;
+      } catch (error) {
+        this.pending.add(id);
+        if (!this.stopped) {
+          console.error('⚠️  Embedding failed, using keyword search for now:', error.message);
+          this.embeddings = false; // rechecked after recheckInterval
+        }
+      }
+    }
+
+    if (embedded > 0) {
+      this.scheduleSave();
+      if (embedded > 1) {
+        console.log(`🔎 Embedded ${embedded} memory records`);
+      }
+    }
+  }
+
+  /**
+   * Embed everything that's missing and save (the CLI waits for this, the server doesn't)
+   */
+  async sync() {
+    if (await this.checkEmbeddings()) {
+      await this.backfill();
+    }
+    if (this.dirty) {
+      await this.saveVectors();
+    }
+  }
+
+  /**
+   * Most relevant records for a query, best first
+   * options: { limit, types, filter, timeout, wait }
+   * wait: false skips waiting for records still being embedded (they can't match yet)
+   * Returns [{ record, score, method }] - score is cosine similarity, method 'embedding' or 'keyword'
+   */
+  async search(query, options = {}) {
+    const limit = options.limit || this.config.limit;
+    const types = options.types || INDEXED_TYPES;
+    const accept = record => !!record && types.includes(record.type) && (!options.filter || options.filter(record));
+
+    if (await this.checkEmbeddings()) {
+      try {
+        // The last few turns are usually still being embedded - wait for them rather than miss them
+        if (options.wait !== false && this.pending.size > 0 && this.pending.size <= 20) {
+          await this.backfill();
+        }
+
+        const queryVector = normalize(await this.ollama.embed(query, {
+          model: this.config.embeddingModel,
+          timeout: options.timeout || this.config.queryTimeout
+        }));
+
+        const hits = [];
+        for (const [id, { vector }] of this.vectors) {
+          const record = this.store.get(id);
+          if (accept(record)) {
+            hits.push({ record, score: dot(queryVector, vector), method: 'embedding' });
+          }
+        }
+        return this.best(hits, limit, this.config.minScore.embedding);
+      } catch (error) {
+        console.error('⚠️  Query embedding failed, searching by keyword:', error.message);
+      }
+    }
+
+    return this.best(this.keywordScores(query, accept), limit, this.config.minScore.keyword);
+  }
+
+  /**
+   * TF-IDF cosine similarity between the query and every record sharing a word with it
+   */
+  keywordScores(query, accept) {
+    const total = this.terms.size;
+    const idf = term => Math.log((total + 1) / ((this.documentFrequency.get(term) || 0) + 1)) + 1;
+    const weight = (count, term) => (1 + Math.log(count)) * idf(term);
+
+    const queryCounts = new Map();
+    for (const term of tokenize(query)) {
+      queryCounts.set(term, (queryCounts.get(term) || 0) + 1);
+    }
+    if (queryCounts.size === 0) {
+      return [];
+    }
+
+    const queryWeights = new Map([...queryCounts].map(([term, count]) => [term, weight(count, term)]));
+    const queryLength = Math.sqrt([...queryWeights.values()].reduce((sum, w) => sum + w * w, 0));
+
+    const hits = [];
+    for (const [id, counts] of this.terms) {
+      let shared = 0;
+      for (const [term, queryWeight] of queryWeights) {
+        if (counts.has(term)) {
+          shared += queryWeight * weight(counts.get(term), term);
+        }
+      }
+
+      const record = shared > 0 && this.store.get(id);
+      if (!accept(record)) {
+        continue;
+      }
+
+      let length = 0;
+      for (const [term, count] of counts) {
+        length += weight(count, term) ** 2;
+      }
+      hits.push({ record, score: shared / (queryLength * Math.sqrt(length)), method: 'keyword' });
+    }
+    return hits;
+  }
+
+  best(hits, limit, minScore) {
+    return hits
+      .filter(hit => hit.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // Search method queries currently use
+  method() {
+    return this.embeddings ? 'embedding' : 'keyword';
+  }
+
+  getStats() {
+    return {
+      method: this.method(),
+      embeddingModel: this.config.embeddingModel,
+      records: this.terms.size,
+      embedded: this.vectors.size,
+      pending: this.pending.size
+    };
+  }
+}
+
+MemoryIndex.INDEXED_TYPES = INDEXED_TYPES;
+MemoryIndex.tokenize = tokenize;
+
+module.exports = MemoryIndex;
@@ -1,103 +1,378 @@
 const fs = require('fs');
-const path = require('path');
+const MemoryStore = require('./memory-store');
+const MemoryIndex = require('./memory-index');
+
+// Records the user can list, edit, pin and delete
+const EDITABLE_TYPES = ['fact', 'preference'];
+// Records "forget what I said about..." removes
+const FORGETTABLE_TYPES = ['fact', 'preference', 'turn', 'summary'];
+// Preferences the app keeps for itself
+const INTERNAL_PREFERENCES = ['system_name', 'current_app'];
 
 class MemoryManager {
-  constructor(memoryFilePath = './conversation-memory.json') {
-    this.memoryFilePath = memoryFilePath;
-    this.memory = this.loadMemory();
+  constructor(store = null, config = {}) {
+    this.store = store || new MemoryStore();
+    this.index = config.memoryIndex || null; // MemoryIndex for per-turn retrieval
+    this.retrieval = {
+      budget: config.retrievalBudget || 1500, // tokens of retrieved memories per turn
+      maxItems: config.retrievalItems || 8,
+      candidates: config.retrievalCandidates || 20, // search results considered before the budget
+      timeout: config.retrievalTimeout || 3000 // don't hold up an answer for a slow embedding
+    };
+    this.auditFile = config.auditFile || './memory-audit.jsonl'; // every change made by the user
+    this.auditWriting = Promise.resolve();
+    this.sessionStart = new Date().toISOString();
+  }
+
+  // Wait for pending writes (the store appends as records change)
+  saveMemory() {
+    return Promise.all([this.store.flush(), this.auditWriting]);
+  }
+
+  addConversation(userMessage, assistantResponse, fields = {}) {
+    return this.store.addTurn(userMessage, assistantResponse, fields);
+  }
+
+  addImportantFact(fact, fields = {}) {
+    return this.store.addFact(fact, fields);
+  }
+
+  updateContext(key, value) {
+    return this.store.setPreference(key, value);
+  }
+
+  // Last N conversation turns, oldest first
+  getRecentConversations(limit = 10) {
+    return this.store.query({ type: 'turn', limit });
+  }
+
+  // Long-term part of the memory prompt - changes rarely, so it can be cached.
+  // With an index only pinned facts go in; the rest is retrieved per turn by retrieve()
+  getFactsPrompt() {
+    const { system_name, current_app, ...preferences } = this.store.getPreferences();
+
+    // Pinned facts first
+    const facts = this.store.query({ type: 'fact', filter: f => !this.index || f.pinned })
+      .sort((a, b) => (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0))
+      .map(f => f.text)
+      .join('\n- ');
+
+    // Compressed history (session compaction summaries stay with their session)
+    const summaries = this.index ? '' : this.store.query({ type: 'summary', filter: s => !s.sessionId, limit: 5 })
+      .map(s => `[${s.createdAt.slice(0, 10)}] ${s.text}`)
+      .join('\n');
+
+    const preferenceLines = Object.entries(preferences)
+      .map(([key, value]) => `- ${key}: ${typeof value === 'string' ? value : JSON.stringify(value)}`)
+      .join('\n');
+
+    return `PERSISTENT MEMORY CONTEXT:
+- System: ${system_name || 'JuzGoFoo'}
+- Current Application: ${current_app || 'JuzGoFoo'}
+- Session Start: ${this.sessionStart}
+
+Important Facts:
+- ${facts || 'This is the JuzGoFoo voice-controlled terminal application'}
+${preferenceLines ? `\nUser Preferences:\n${preferenceLines}\n` : ''}${summaries ? `\nEarlier Conversations:\n${summaries}` : ''}`;
   }
 
-  loadMemory() {
+  // The last few exchanges - changes every turn
+  getRecentPrompt() {
+    const recentConvos = this.getRecentConversations(3)
+      .map(c => `User: ${c.user}\nAssistant: ${c.assistant.substring(0, 200)}`)
+      .join('\n\n');
+
+    return recentConvos ? 'Recent Conversation Context:\n' + recentConvos : '';
+  }
+
+  /**
+   * Past turns, facts and summaries relevant to this message, within the token budget
+   * Returns { prompt, method, budget, tokens, items, skipped } - items and skipped say why
+   * each search result was or wasn't injected
+   */
+  async retrieve(query, { sessionId = null, budget = this.retrieval.budget } = {}) {
+    const result = { prompt: '', method: null, budget, tokens: 0, items: [], skipped: [] };
+    if (!this.index || !query?.trim()) {
+      return result;
+    }
+
+    let hits;
     try {
-      if (fs.existsSync(this.memoryFilePath)) {
-        const data = fs.readFileSync(this.memoryFilePath, 'utf8');
-        return JSON.parse(data);
-      }
+      hits = await this.index.search(query, {
+        limit: this.retrieval.candidates,
+        timeout: this.retrieval.timeout,
+        wait: false // the newest turns belong to this conversation anyway
+      });
     } catch (error) {
-      console.error('Error loading memory:', error);
-    }
-    
-    // Default memory structure
-    return {
-      context: {
-        system_name: "JuzGoFoo",
-        current_app: "JuzGoFoo",
-        session_start: new Date().toISOString(),
-        last_updated: new Date().toISOString(),
-        conversation_topics: []
-      },
-      memory: {
-        user_preferences: {},
-        recent_conversations: [],
-        important_facts: [
-          "This is the JuzGoFoo voice-controlled terminal application",
-          "Running on JuzGoFoo voice-controlled terminal"
-        ]
+      console.error('Memory retrieval failed:', error.message);
+      return result;
+    }
+    result.method = hits[0]?.method || this.index.method();
+
+    const cited = [];
+    for (const { record, score, method } of hits) {
+      const entry = { id: record.id, type: record.type, date: record.createdAt, score: Number(score.toFixed(3)) };
+
+      if (sessionId && record.type !== 'fact' && record.sessionId === sessionId) {
+        result.skipped.push({ ...entry, reason: 'already in this conversation' });
+        continue;
       }
-    };
+      if (record.type === 'fact' && record.pinned) {
+        result.skipped.push({ ...entry, reason: 'pinned, always in the prompt' });
+        continue;
+      }
+
+      const text = this.citation(record);
+      const tokens = Math.ceil(text.length / 4);
+      if (result.items.length >= this.retrieval.maxItems || result.tokens + tokens > budget) {
+        result.skipped.push({ ...entry, tokens, reason: 'over the token budget' });
+        continue;
+      }
+
+      result.items.push({ ...entry, tokens, reason: `${method} match, score ${entry.score}` });
+      result.tokens += tokens;
+      cited.push(`[${cited.length + 1}] ${text}`);
+    }
+
+    if (cited.length > 0) {
+      result.prompt = `Relevant Memories (retrieved for this message; mention the date when you rely on one):\n${cited.join('\n\n')}`;
+    }
+    return result;
   }
 
-  saveMemory() {
+  // One retrieved record, dated for the prompt
+  citation(record) {
+    const date = record.createdAt.slice(0, 10);
+    if (record.type === 'turn') {
+      return `${date}, earlier conversation:\nUser: ${record.user}\nAssistant: ${record.assistant.substring(0, 500)}`;
+    }
+    if (record.type === 'summary') {
+      return `${date}, summary of earlier conversations: ${record.text.substring(0, 1200)}`;
+    }
+    return `${date}, remembered fact: ${record.text}`;
+  }
+
+  // The user-visible fields of a fact or preference, for the audit trail
+  snapshot(record) {
+    return record.type === 'fact'
+      ? { text: record.text, pinned: !!record.pinned }
+      : { key: record.key, value: record.value };
+  }
+
+  /**
+   * Append a change to the audit trail
+   * entry: { action, id, type, via, before, after, ... } - via is 'voice' or 'api'
+   */
+  audit(entry) {
+    const line = JSON.stringify({ at: new Date().toISOString(), ...entry }) + '\n';
+    this.auditWriting = this.auditWriting
+      .then(() => fs.promises.appendFile(this.auditFile, line, 'utf8'))
+      .catch(error => console.error('Error writing memory audit trail:', error.message));
+    return this.auditWriting;
+  }
+
+  /**
+   * Recent audit entries, newest first
+   */
+  async getAudit(limit = 100) {
+    await this.auditWriting;
     try {
-      this.memory.context.last_updated = new Date().toISOString();
-      fs.writeFileSync(this.memoryFilePath, JSON.stringify(this.memory, null, 2), 'utf8');
+      const lines = (await fs.promises.readFile(this.auditFile, 'utf8')).split('\n').filter(Boolean);
+      return lines.slice(-limit).reverse().flatMap(line => {
+        try {
+          return [JSON.parse(line)];
+        } catch (error) {
+          return [];
+        }
+      });
     } catch (error) {
-      console.error('Error saving memory:', error);
+      return []; // nothing changed yet
     }
   }
 
-  addConversation(userMessage, assistantResponse) {
-    const conversation = {
-      timestamp: new Date().toISOString(),
-      user: userMessage,
-      assistant: assistantResponse.substring(0, 200) // Store summary
-    };
+  /**
+   * Facts and preferences, oldest first (type: 'fact' or 'preference' for one kind)
+   */
+  listMemories(type = null) {
+    return this.store.query({ filter: r => EDITABLE_TYPES.includes(r.type) && (!type || r.type === type) });
+  }
 
-    this.memory.memory.recent_conversations.push(conversation);
-    
-    // Keep only last 10 conversations
-    if (this.memory.memory.recent_conversations.length > 10) {
-      this.memory.memory.recent_conversations.shift();
+  /**
+   * Store a fact the user asked us to remember
+   * Returns { success, record, created } - created is false when it was already known
+   */
+  rememberFact(text, { pinned, via = 'voice' } = {}) {
+    if (typeof text !== 'string' || !text.trim()) {
+      return { success: false, error: 'A fact needs some text' };
     }
 
-    this.saveMemory();
+    const before = this.store.count('fact');
+    const record = this.store.addFact(text, {
+      source: 'user',
+      ...(pinned !== undefined && { pinned: pinned === true })
+    });
+    const created = this.store.count('fact') > before;
+
+    if (created) {
+      this.audit({ action: 'add', id: record.id, type: 'fact', via, after: this.snapshot(record) });
+    }
+    return { success: true, record, created };
   }
 
-  addImportantFact(fact) {
-    if (!this.memory.memory.important_facts.includes(fact)) {
-      this.memory.memory.important_facts.push(fact);
-      this.saveMemory();
+  setPreference(key, value, { via = 'api' } = {}) {
+    if (typeof key !== 'string' || !key.trim() || value === undefined) {
+      return { success: false, error: 'A preference needs a key and a value' };
+    }
+
+    const existing = this.store.query({ type: 'preference', filter: p => p.key === key })[0];
+    const record = this.store.setPreference(key, value);
+    if (!existing) {
+      this.audit({ action: 'add', id: record.id, type: 'preference', via, after: this.snapshot(record) });
+    } else if (existing.value !== value) {
+      this.audit({ action: 'edit', id: record.id, type: 'preference', via, before: this.snapshot(existing), after: this.snapshot(record) });
     }
+    return { success: true, record };
   }
 
-  updateContext(key, value) {
-    this.memory.context[key] = value;
-    this.saveMemory();
+  /**
+   * Edit a fact (text, pinned) or a preference (value)
+   */
+  editMemory(id, changes = {}, { via = 'api' } = {}) {
+    const record = this.store.get(id);
+    if (!record || !EDITABLE_TYPES.includes(record.type)) {
+      return { success: false, notFound: true, error: 'No such fact or preference' };
+    }
+
+    const updates = {};
+    if (record.type === 'fact') {
+      if (changes.text !== undefined) {
+        if (typeof changes.text !== 'string' || !changes.text.trim()) {
+          return { success: false, error: 'text must be a non-empty string' };
+        }
+        updates.text = changes.text.trim();
+      }
+      if (changes.pinned !== undefined) {
+        if (typeof changes.pinned !== 'boolean') {
+          return { success: false, error: 'pinned must be true or false' };
+        }
+        updates.pinned = changes.pinned;
+      }
+    } else if (changes.value !== undefined) {
+      updates.value = changes.value;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return { success: false, error: record.type === 'fact' ? 'Nothing to change (text, pinned)' : 'Nothing to change (value)' };
+    }
+
+    const updated = this.store.update(id, updates);
+    const pinOnly = Object.keys(updates).length === 1 && updates.pinned !== undefined;
+    this.audit({
+      action: pinOnly ? (updates.pinned ? 'pin' : 'unpin') : 'edit',
+      id,
+      type: record.type,
+      via,
+      before: this.snapshot(record),
+      after: this.snapshot(updated)
+    });
+    return { success: true, record: updated };
   }
 
-  getContextPrompt() {
-    const facts = this.memory.memory.important_facts.join('\\n- ');
-    const recentConvos = this.memory.memory.recent_conversations
-      .slice(-3)
-      .map(c => `User: ${c.user}\\nAssistant: ${c.assistant}`)
-      .join('\\n\\n');
-
-    return `
-PERSISTENT MEMORY CONTEXT:
-- System: ${this.memory.context.system_name}
-- Current Application: ${this.memory.context.current_app}
-- Session Start: ${this.memory.context.session_start}
+  deleteMemory(id, { via = 'api' } = {}) {
+    const record = this.store.get(id);
+    if (!record || !EDITABLE_TYPES.includes(record.type)) {
+      return { success: false, notFound: true, error: 'No such fact or preference' };
+    }
 
-Important Facts:
-- ${facts}
+    this.store.remove(id);
+    this.audit({ action: 'delete', id, type: record.type, via, before: this.snapshot(record) });
+    return { success: true };
+  }
+
+  // Text a record is matched on when forgetting
+  searchableText(record) {
+    if (record.type === 'turn') return `${record.user} ${record.assistant}`;
+    if (record.type === 'preference') return `${record.key} ${typeof record.value === 'string' ? record.value : JSON.stringify(record.value)}`;
+    return record.text;
+  }
 
-${recentConvos ? 'Recent Conversation Context:\\n' + recentConvos : ''}
-`;
+  /**
+   * Test for text that mentions a subject - it contains all of the subject's significant
+   * words. Null when the subject has none
+   */
+  subjectMatcher(subject) {
+    const terms = MemoryIndex.tokenize(subject || '');
+    if (terms.length === 0) {
+      return null;
+    }
+    return (text) => {
+      const words = new Set(MemoryIndex.tokenize(text || ''));
+      return terms.every(term => words.has(term));
+    };
   }
 
-  clearMemory() {
-    this.memory = this.loadMemory();
-    this.saveMemory();
+  /**
+   * Facts, preferences, turns and summaries mentioning a subject - what forget() would delete.
+   * A record matches when it contains all of the subject's significant words
+   */
+  findForgettable(subject) {
+    const matches = this.subjectMatcher(subject);
+    if (!matches) {
+      return [];
+    }
+    return this.store.query({
+      filter: r => FORGETTABLE_TYPES.includes(r.type) && !INTERNAL_PREFERENCES.includes(r.key)
+    }).filter(record => matches(this.searchableText(record)));
+  }
+
+  /**
+   * Delete every record findForgettable() returns ("forget what I said about X").
+   * Returns the removed records
+   */
+  forget(subject, { via = 'voice' } = {}) {
+    const removed = this.findForgettable(subject);
+
+    for (const record of removed) {
+      this.store.remove(record.id);
+      // Conversation text isn't copied into the trail - it's meant to be gone
+      this.audit({
+        action: 'forget',
+        id: record.id,
+        type: record.type,
+        via,
+        subject,
+        ...(EDITABLE_TYPES.includes(record.type) && { before: this.snapshot(record) })
+      });
+    }
+
+    if (removed.length > 0) {
+      // Drop the deleted text from the log file too, not just from memory
+      this.store.rewrite();
+    }
+    return removed;
+  }
+
+  /**
+   * Spoken answer to "what do you know about me?"
+   */
+  describeUser(maxItems = 8) {
+    const facts = this.store.query({ type: 'fact' })
+      .sort((a, b) => (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0))
+      .map(f => f.text);
+    const preferences = this.store.query({ type: 'preference', filter: p => !INTERNAL_PREFERENCES.includes(p.key) })
+      .map(p => `your ${p.key.replace(/_/g, ' ')} is ${typeof p.value === 'string' ? p.value : JSON.stringify(p.value)}`);
+    const items = [...facts, ...preferences];
+
+    if (items.length === 0) {
+      return "I don't have anything saved about you yet. Say \"remember that...\" to tell me something.";
+    }
+
+    const more = items.length - maxItems;
+    return `Here's what you've told me: ${items.slice(0, maxItems).join('; ')}${more > 0 ? `; and ${more} more` : ''}.`;
+  }
+
+  getContextPrompt() {
+    return `${this.getFactsPrompt()}\n\n${this.getRecentPrompt()}`;
   }
 }
 
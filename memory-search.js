@@ -1,57 +1,63 @@
 const LocalModels = require('./local-models');
 const MemoryManager = require('./memory-manager');
+const MemoryStore = require('./memory-store');
+const MemoryIndex = require('./memory-index');
 
 class MemorySearch {
   constructor(config = {}) {
     this.localModels = new LocalModels(config);
-    this.memoryManager = new MemoryManager(config.memoryFilePath);
+    this.store = config.memoryStore || new MemoryStore(config.memoryFile ? { file: config.memoryFile } : {});
+    this.memoryManager = new MemoryManager(this.store);
+    this.index = config.memoryIndex || new MemoryIndex({ memoryStore: this.store, ollamaHost: config.ollamaHost });
+    this.conversationLimit = config.conversationLimit || 20; // turns given to the local LLM
+  }
+
+  getConversations() {
+    return this.memoryManager.getRecentConversations(this.conversationLimit);
+  }
+
+  getFacts() {
+    return this.store.query({ type: 'fact' }).map(f => f.text);
   }
 
   /**
-   * Search memory using natural language with local LLM
+   * Answer a natural language question from the most relevant memory records
    */
   async searchMemory(query, options = {}) {
-    const maxResults = options.maxResults || 5;
-    
-    // Get all conversation history
-    const conversations = this.memoryManager.memory.memory.recent_conversations;
-    const facts = this.memoryManager.memory.memory.important_facts;
-    
-    if (conversations.length === 0 && facts.length === 0) {
+    const maxResults = options.maxResults || 8;
+    const totalRecords = this.index.getStats().records;
+
+    if (totalRecords === 0) {
       return {
         results: [],
         summary: "No memory data found."
       };
     }
 
-    // Build context for LLM
-    const contextData = {
-      conversations: conversations,
-      facts: facts,
-      context: this.memoryManager.memory.context
-    };
-
-    const prompt = `You are a memory search assistant. Given the following conversation history and facts, answer the user's query.
+    await this.index.sync();
+    const results = await this.index.search(query, { limit: maxResults });
 
-CONVERSATION HISTORY:
-${conversations.map((c, i) => `[${i}] ${c.timestamp}
-User: ${c.user}
-Assistant: ${c.assistant}`).join('\n\n')}
+    if (results.length === 0) {
+      return {
+        query: query,
+        answer: 'Nothing in memory matches that.',
+        results,
+        method: this.index.method(),
+        totalRecords
+      };
+    }
 
-IMPORTANT FACTS:
-${facts.map((f, i) => `- ${f}`).join('\n')}
+    const prompt = `You are a memory search assistant. Answer the user's query using these excerpts from past conversations, remembered facts and summaries. If they don't contain the answer, say so.
 
-SYSTEM CONTEXT:
-- System: ${this.memoryManager.memory.context.system_name}
-- Current App: ${this.memoryManager.memory.context.current_app}
-- Session Start: ${this.memoryManager.memory.context.session_start}
+MEMORY EXCERPTS (most relevant first):
+${results.map((hit, i) => `[${i}] ${hit.record.type}, ${hit.record.createdAt.slice(0, 10)}
+${this.index.recordText(hit.record)}`).join('\n\n')}
 
 USER QUERY: ${query}
 
 Please provide:
 1. Direct answer to the query
-2. Relevant conversation references (by index if applicable)
-3. Related facts
+2. Relevant excerpt references (by index)
 
 Be concise and specific.`;
 
@@ -64,8 +70,9 @@ Be concise and specific.`;
       return {
         query: query,
         answer: response,
-        totalConversations: conversations.length,
-        totalFacts: facts.length
+        results,
+        method: results[0].method,
+        totalRecords
       };
     } catch (error) {
       console.error('Error searching memory:', error);
@@ -80,7 +87,7 @@ Be concise and specific.`;
    * Summarize entire conversation history
    */
   async summarizeHistory(options = {}) {
-    const conversations = this.memoryManager.memory.memory.recent_conversations;
+    const conversations = this.getConversations();
     
     if (conversations.length === 0) {
       return "No conversation history to summarize.";
@@ -93,7 +100,7 @@ Be concise and specific.`;
 - Overall context
 
 CONVERSATION HISTORY:
-${conversations.map(c => `${c.timestamp}
+${conversations.map(c => `${c.createdAt}
 User: ${c.user}
 Assistant: ${c.assistant}`).join('\n\n')}
 
@@ -116,8 +123,8 @@ Provide a concise but comprehensive summary:`;
    * Extract important facts from conversations using LLM
    */
   async extractFacts(options = {}) {
-    const conversations = this.memoryManager.memory.memory.recent_conversations;
-    const existingFacts = this.memoryManager.memory.memory.important_facts;
+    const conversations = this.getConversations();
+    const existingFacts = this.getFacts();
     
     if (conversations.length === 0) {
       return [];
@@ -167,7 +174,7 @@ Format as a simple list, one fact per line, starting each with "- "`;
     
     if (newFacts.length > 0) {
       newFacts.forEach(fact => {
-        this.memoryManager.addImportantFact(fact);
+        this.memoryManager.addImportantFact(fact, { source: 'memory-search' });
       });
       
       return {
@@ -185,41 +192,19 @@ Format as a simple list, one fact per line, starting each with "- "`;
   }
 
   /**
-   * Find similar conversations based on semantic meaning
+   * Find similar conversations by meaning (embeddings, or keywords without an embedding model)
+   * Returns [{ conversation, score, method }], best first
    */
   async findSimilar(query, options = {}) {
-    const conversations = this.memoryManager.memory.memory.recent_conversations;
     const maxResults = options.maxResults || 3;
 
-    if (conversations.length === 0) {
-      return [];
-    }
-
-    const prompt = `Given the following query, identify the ${maxResults} most relevant conversations from the list below.
-
-QUERY: ${query}
-
-CONVERSATIONS:
-${conversations.map((c, i) => `[${i}] User: ${c.user}\nAssistant: ${c.assistant}`).join('\n\n')}
-
-Respond with ONLY the conversation indices (numbers in brackets) that are most relevant, separated by commas. For example: 0, 3, 7`;
-
     try {
-      const response = await this.localModels.generateText(prompt, {
-        temperature: 0.2,
-        maxTokens: 100
-      });
-
-      // Parse indices from response
-      const indices = response
-        .match(/\d+/g)
-        ?.map(n => parseInt(n))
-        .filter(i => i >= 0 && i < conversations.length)
-        .slice(0, maxResults) || [];
-
-      return indices.map(i => ({
-        index: i,
-        conversation: conversations[i]
+      await this.index.sync();
+      const hits = await this.index.search(query, { limit: maxResults, types: ['turn'] });
+      return hits.map(hit => ({
+        conversation: hit.record,
+        score: hit.score,
+        method: hit.method
       }));
     } catch (error) {
       console.error('Error finding similar conversations:', error);
@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const { queueWrite, replaceFile, writeFileAtomicSync, flushWrites } = require('./atomic-write');
+
+/**
+ * Memory Store
+ * Long-term memory shared by the memory manager, log compressor, context monitor and
+ * token monitor. Records live in an append-only JSONL log:
+ *
+ *   { "schema": "juzgofoo-memory", "version": 1, "createdAt": ... }   header, first line
+ *   { "op": "put", "record": { id, type, createdAt, updatedAt, ... } }
+ *   { "op": "delete", "id": ..., "at": ... }
+ *
+ * The log is replayed into memory at startup and rewritten (write + rename) when
+ * it has collected too many superseded entries. Changes are emitted as 'put' (record)
+ * and 'delete' (id) events so indexes can follow along.
+ */
+
+const SCHEMA = 'juzgofoo-memory';
+const SCHEMA_VERSION = 1;
+
+// Record types and the fields each one requires
+const RECORD_TYPES = {
+  turn: ['user', 'assistant'], // + sessionId, provider, model, summaryId once compressed
+  fact: ['text'], // + source, pinned
+  preference: ['key', 'value'],
+  summary: ['text'] // + source, sessionId, turnCount, from, to
+};
+
+// Upgrades a record from version N to N + 1. The legacy conversation-memory.json is version 0
+// and is imported by importLegacy instead.
+const MIGRATIONS = {};
+
+class MemoryStore extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.config = {
+      file: config.file || './memory.jsonl',
+      legacyFile: config.legacyFile || './conversation-memory.json',
+      rewriteRatio: config.rewriteRatio || 2, // rewrite once the log has 2x more entries than live records
+      ...config
+    };
+
+    this.records = new Map(); // id -> record
+    this.logEntries = 0;
+
+    this.load();
+  }
+
+  /**
+   * Replay the log, migrating older schema versions and the legacy JSON file
+   */
+  load() {
+    if (!fs.existsSync(this.config.file)) {
+      if (fs.existsSync(this.config.legacyFile)) {
+        this.importLegacy();
+      }
+      return;
+    }
+
+    const lines = fs.readFileSync(this.config.file, 'utf8').split('\n').filter(line => line.trim());
+    let version = SCHEMA_VERSION;
+    let damaged = false;
+
+    lines.forEach((line, index) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A crash mid-append can leave a partial last line
+        console.warn(`⚠️  Skipping unreadable memory entry on line ${index + 1}`);
+        damaged = true;
+        return;
+      }
+
+      if (entry.schema === SCHEMA) {
+        version = entry.version;
+      } else if (entry.op === 'put' && entry.record?.id) {
+        this.records.set(entry.record.id, entry.record);
+      } else if (entry.op === 'delete') {
+        this.records.delete(entry.id);
+      }
+    });
+    this.logEntries = lines.length;
+
+    if (version > SCHEMA_VERSION) {
+      throw new Error(`${this.config.file} was written by a newer version (schema ${version})`);
+    }
+    if (version < SCHEMA_VERSION) {
+      for (let v = version; v < SCHEMA_VERSION; v++) {
+        for (const [id, record] of this.records) {
+          this.records.set(id, MIGRATIONS[v] ? MIGRATIONS[v](record) : record);
+        }
+      }
+      console.log(`🧠 Migrated memory from schema ${version} to ${SCHEMA_VERSION}`);
+    }
+    // Rewrite so new appends don't land after a partial line
+    if (version < SCHEMA_VERSION || damaged) {
+      this.rewrite();
+    }
+
+    console.log(`🧠 Memory loaded: ${this.describeCounts()}`);
+  }
+
+  /**
+   * Import conversation-memory.json (written by MemoryManager, LogCompressor and TokenMonitor
+   * with different schemas), then keep it as a .migrated backup
+   */
+  importLegacy() {
+    try {
+      const legacy = JSON.parse(fs.readFileSync(this.config.legacyFile, 'utf8'));
+      const memory = legacy.memory || {};
+
+      for (const c of memory.recent_conversations || []) {
+        this.put(this.build('turn', { user: c.user, assistant: c.assistant }, c.timestamp), false);
+      }
+
+      for (const fact of [...(memory.important_facts || []), ...(legacy.importantFacts || [])]) {
+        if (typeof fact === 'string') {
+          this.addFact(fact, { source: 'legacy' }, false);
+        } else if (fact?.summary) {
+          this.put(this.build('summary', {
+            text: fact.summary,
+            source: 'log-compressor',
+            turnCount: fact.original_count
+          }, fact.timestamp), false);
+        }
+      }
+
+      for (const [key, value] of Object.entries(memory.user_preferences || {})) {
+        this.setPreference(key, value, false);
+      }
+      for (const key of ['system_name', 'current_app']) {
+        if (legacy.context?.[key]) {
+          this.setPreference(key, legacy.context[key], false);
+        }
+      }
+
+      // Written synchronously so the legacy file is only moved aside once the log exists
+      writeFileAtomicSync(this.config.file, this.serialize());
+      fs.renameSync(this.config.legacyFile, `${this.config.legacyFile}.migrated`);
+      console.log(`🧠 Imported ${this.config.legacyFile} into ${this.config.file}: ${this.describeCounts()}`);
+    } catch (error) {
+      console.error('Error importing legacy memory:', error.message);
+    }
+  }
+
+  describeCounts() {
+    return Object.keys(RECORD_TYPES)
+      .map(type => `${this.count(type)} ${type === 'summary' ? 'summaries' : type + 's'}`)
+      .join(', ');
+  }
+
+  build(type, fields, createdAt = null) {
+    if (!RECORD_TYPES[type]) {
+      throw new Error(`Unknown memory record type: ${type}`);
+    }
+    for (const field of RECORD_TYPES[type]) {
+      if (fields[field] === undefined) {
+        throw new Error(`A ${type} record needs ${field}`);
+      }
+    }
+
+    const now = new Date().toISOString();
+    return {
+      id: crypto.randomUUID(),
+      type,
+      ...fields,
+      createdAt: createdAt || now,
+      updatedAt: now
+    };
+  }
+
+  /**
+   * Store a record and append it to the log (persist = false while importing)
+   */
+  put(record, persist = true) {
+    this.records.set(record.id, record);
+    if (persist) {
+      this.append({ op: 'put', record });
+    }
+    this.emit('put', record);
+    return record;
+  }
+
+  append(entry) {
+    const line = JSON.stringify(entry) + '\n';
+    this.logEntries++;
+
+    // Queued with rewrites of the same file, so an append never lands in a log being replaced
+    queueWrite(this.config.file, async () => {
+      if (!fs.existsSync(this.config.file)) {
+        await this.writeLog();
+      } else {
+        await fs.promises.appendFile(this.config.file, line, 'utf8');
+      }
+    }).catch(error => console.error('Error writing memory:', error.message));
+
+    if (this.logEntries > this.records.size * this.config.rewriteRatio + 100) {
+      this.rewrite();
+    }
+  }
+
+  /**
+   * Replace the log with the live records (write + rename, so a crash keeps the old log)
+   */
+  rewrite() {
+    return queueWrite(this.config.file, () => this.writeLog()).catch(error => {
+      console.error('Error rewriting memory log:', error.message);
+    });
+  }
+
+  // The whole log: header plus one put per live record
+  serialize() {
+    const header = { schema: SCHEMA, version: SCHEMA_VERSION, createdAt: new Date().toISOString() };
+    const lines = [header, ...[...this.records.values()].map(record => ({ op: 'put', record }))];
+    this.logEntries = lines.length;
+    return lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+  }
+
+  // Only called from inside the log's write queue
+  writeLog() {
+    return replaceFile(this.config.file, this.serialize());
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  flush() {
+    return flushWrites(this.config.file);
+  }
+
+  add(type, fields) {
+    return this.put(this.build(type, fields));
+  }
+
+  update(id, changes, persist = true) {
+    const record = this.records.get(id);
+    if (!record) {
+      return null;
+    }
+
+    const { id: _id, type, createdAt, ...allowed } = changes;
+    return this.put({ ...record, ...allowed, updatedAt: new Date().toISOString() }, persist);
+  }
+
+  remove(id) {
+    if (!this.records.has(id)) {
+      return false;
+    }
+    this.records.delete(id);
+    this.append({ op: 'delete', id, at: new Date().toISOString() });
+    this.emit('delete', id);
+    return true;
+  }
+
+  get(id) {
+    return this.records.get(id) || null;
+  }
+
+  /**
+   * Records oldest first
+   * options: { type, sessionId, since, filter, limit } - limit keeps the newest N
+   */
+  query({ type, sessionId, since, filter, limit } = {}) {
+    let results = [...this.records.values()].filter(r =>
+      (!type || r.type === type) &&
+      (!sessionId || r.sessionId === sessionId) &&
+      (!since || r.createdAt >= since) &&
+      (!filter || filter(r))
+    );
+
+    results.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    if (limit) {
+      results = results.slice(-limit);
+    }
+    return results;
+  }
+
+  count(type) {
+    let total = 0;
+    for (const record of this.records.values()) {
+      if (record.type === type) total++;
+    }
+    return total;
+  }
+
+  addTurn(user, assistant, fields = {}) {
+    return this.add('turn', { ...fields, user, assistant });
+  }
+
+  /**
+   * Add a fact unless the same text is already stored (returns the existing one)
+   */
+  addFact(text, fields = {}, persist = true) {
+    const normalized = text.trim().toLowerCase();
+    const existing = this.query({ type: 'fact', filter: f => f.text.trim().toLowerCase() === normalized })[0];
+    if (existing) {
+      return existing;
+    }
+    return this.put(this.build('fact', { source: 'user', pinned: false, ...fields, text: text.trim() }), persist);
+  }
+
+  addSummary(text, fields = {}) {
+    return this.add('summary', { ...fields, text });
+  }
+
+  setPreference(key, value, persist = true) {
+    const existing = this.query({ type: 'preference', filter: p => p.key === key })[0];
+    if (existing) {
+      return existing.value === value ? existing : this.update(existing.id, { value }, persist);
+    }
+    return this.put(this.build('preference', { key, value }), persist);
+  }
+
+  getPreference(key, fallback = null) {
+    const preference = this.query({ type: 'preference', filter: p => p.key === key })[0];
+    return preference ? preference.value : fallback;
+  }
+
+  getPreferences() {
+    return Object.fromEntries(this.query({ type: 'preference' }).map(p => [p.key, p.value]));
+  }
+}
+
+MemoryStore.SCHEMA_VERSION = SCHEMA_VERSION;
+MemoryStore.RECORD_TYPES = Object.keys(RECORD_TYPES);
+
+module.exports = MemoryStore;
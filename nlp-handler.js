@@ -4,9 +4,27 @@
  */
 
 const stringSimilarity = require('string-similarity');
+const WakeWord = require('./wake-word');
+
+// Polite or filler words before a command's verb ("could you please read...")
+const COMMAND_LEAD = /^(?:(?:please|can you|could you|would you|will you|now|and|then|ok(?:ay)?|hey)\s+)*/;
+
+// Words a command's object can start with ("read the file", "run my script", "show me server.js")
+const TARGET_STARTS = ['the', 'a', 'an', 'my', 'our', 'your', 'this', 'that', 'these', 'those', 'me', 'it', 'all', 'some', 'every'];
+
+// Spoken punctuation in file names, as regex alternatives and the symbol they stand for
+const SPOKEN_SEPARATORS = [['dot', '.'], ['(?:forward )?slash', '/'], ['underscore|under score', '_'], ['dash|hyphen', '-']];
+
+// Words a spoken path can follow without being part of it ("in slash etc", "called dot env")
+const PATH_LEADS = ['in', 'into', 'inside', 'to', 'from', 'at', 'of', 'on', 'for', 'with', 'and', 'or', 'called', 'named', 'is'];
 
 class NLPHandler {
-  constructor() {
+  /**
+   * config.pathResolver: a PathResolver for matching spoken file names against the workspace
+   */
+  constructor(config = {}) {
+    this.pathResolver = config.pathResolver || null;
+
     // Common Whisper transcription errors and corrections
     this.whisperCorrections = {
       // Homophones and common misheard words
@@ -34,6 +52,16 @@ class NLPHandler {
       'folder': ['folder', 'older'],
     };
 
+    // Misheard phrases
+    this.phraseCorrections = {
+      'exit cute': 'execute',
+      'in stall': 'install',
+      'term null': 'terminal',
+      'd lead': 'delete',
+      'the lead': 'delete',
+      'file path': 'filepath'
+    };
+
     // Intent patterns with variations
     this.intents = {
       file_read: {
@@ -84,37 +112,59 @@ class NLPHandler {
       copy: ['copy response', 'copy message', 'copy last', 'copy that'],
       help: ['help', 'what can you do', 'show help', 'commands']
     };
+
+    // Spoken names for LLM providers ("switch to the local model")
+    this.providerAliases = {
+      claude: ['claude', 'anthropic', 'cloud', 'the cloud'],
+      local: ['local', 'ollama', 'offline', 'llama'],
+      openai: ['openai', 'open ai', 'lm studio', 'llama cpp', 'llama.cpp']
+    };
+
+    // Requests about long-term memory, matched against the start of the sentence
+    this.memoryPatterns = {
+      remember: /^(?:please\s+)?(?:remember|don'?t forget|do not forget|keep in mind|note)(?:\s+that|\s*:)?\s+(?!to\b|when\b|what\b|how\b|if\b|who\b|where\b|why\b)(.+)$/,
+      forget: /^(?:please\s+)?forget\s+(?:(?:what|everything)\s+i\s+(?:said|told you|mentioned)\s+about|everything about|about|that|the fact that)?\s*(.+)$/,
+      // "Forget it, just run the tests", "forget the tests for now" - never mind, not a subject to delete
+      forgetClause: /[,;:!]|^(?:it|that|this|them)\b|\b(?:just|then|but|instead|anyway|for now|right now|because)\b/,
+      profile: /\bwhat\s+(?:do|did|else do)\s+you\s+(?:know|remember)\s+about\s+me\b|\bwhat\s+have\s+you\s+(?:remembered|learned|stored)\s+about\s+me\b/
+    };
+
+    // Whole utterances that tell the assistant to stop talking or working (barge-in)
+    this.stopPattern = WakeWord.STOP_PATTERN; // shared with the browser
+
+    // "No, I said kubectl" / "I meant kubectl" - an explicit correction of what was just heard.
+    // "No, it's fine" is an answer, not a correction
+    this.restatementPattern = /^(?:(?:no|nope|sorry)\b[\s,.!]*i\s+(?:said|meant)|i\s+meant(?:\s+to\s+say)?)\s+(.+)$/i;
+
+    // Words that make chit-chat worth matching against the workspace ("the public folder", "app js")
+    this.fileCuePattern = /\b(?:files?|folders?|director(?:y|ies)|dir|scripts?|modules?|readme|js|ts|json|md|py|html|css|yml|yaml|env)\b/i;
+
+    // Short answers to yes/no questions (e.g. tool approval)
+    this.confirmationPhrases = {
+      yes: ['yes', 'yeah', 'yep', 'yup', 'sure', 'ok', 'okay', 'do it', 'go ahead', 'confirm', 'approve', 'approved', 'affirmative'],
+      no: ['no', 'nope', 'nah', 'cancel', 'stop', 'deny', 'dont', 'do not', 'abort', 'never mind', 'negative']
+    };
+    // "Ok what does that do", "sure but why" - a question about the request is not a yes
+    this.questionPattern = /\?\s*$|^(?:\w+\s+)?(?:what|whats|why|how|which|who|where|when|wait|hold|can|could|would|should|is|are|do|does|did|will)\b/i;
+
+    // Misheard word -> the command verb it stands for ("red" -> "read"), from whisperCorrections
+    const verbs = Object.values(this.intents).flatMap(intent => intent.keywords);
+    this.verbCorrections = {};
+    for (const [meant, heardAs] of Object.entries(this.whisperCorrections)) {
+      for (const heard of heardAs) {
+        if (heard !== meant && !heard.includes(' ') && verbs.includes(meant)) {
+          this.verbCorrections[heard] = meant;
+        }
+      }
+    }
+    this.pathLeadWords = new Set([...TARGET_STARTS, ...PATH_LEADS, ...verbs]);
   }
 
   /**
-   * Calculate Levenshtein distance between two strings
+   * Calculate Levenshtein distance between two strings (shared with the browser's wake word matcher)
    */
   levenshteinDistance(str1, str2) {
-    const matrix = [];
-    
-    for (let i = 0; i <= str2.length; i++) {
-      matrix[i] = [i];
-    }
-    
-    for (let j = 0; j <= str1.length; j++) {
-      matrix[0][j] = j;
-    }
-    
-    for (let i = 1; i <= str2.length; i++) {
-      for (let j = 1; j <= str1.length; j++) {
-        if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-          matrix[i][j] = matrix[i - 1][j - 1];
-        } else {
-          matrix[i][j] = Math.min(
-            matrix[i - 1][j - 1] + 1,
-            matrix[i][j - 1] + 1,
-            matrix[i - 1][j] + 1
-          );
-        }
-      }
-    }
-    
-    return matrix[str2.length][str1.length];
+    return WakeWord.levenshteinDistance(str1, str2);
   }
 
   /**
@@ -122,18 +172,20 @@ class NLPHandler {
    */
   correctWhisperErrors(text) {
     let corrected = text.toLowerCase();
-    
-    // Fix common phrase errors
-    corrected = corrected
-      .replace(/\bexit cute\b/g, 'execute')
-      .replace(/\bin stall\b/g, 'install')
-      .replace(/\bterm null\b/g, 'terminal')
-      .replace(/\bd lead\b/g, 'delete')
-      .replace(/\bthe lead\b/g, 'delete')
-      .replace(/\bfile path\b/g, 'filepath')
-      .replace(/\bcd /g, 'cd ')  // Change directory
-      .replace(/\bgit /g, 'git '); // Git commands
-    
+
+    // Misheard phrases are fixed wherever they appear
+    for (const [heard, meant] of Object.entries(this.phraseCorrections)) {
+      corrected = corrected.replace(new RegExp(`\\b${heard}\\b`, 'g'), meant);
+    }
+
+    // Misheard single words only where a command's verb goes - "one" and "so" are usually just words
+    const lead = corrected.match(COMMAND_LEAD)[0];
+    const [word, next] = corrected.slice(lead.length).split(/\s+/);
+    const meant = this.verbCorrections[word];
+    if (meant && next && (TARGET_STARTS.includes(next) || this.extractFilePaths(next).length > 0)) {
+      corrected = lead + meant + corrected.slice(lead.length + word.length);
+    }
+
     return corrected;
   }
 
@@ -229,44 +281,165 @@ class NLPHandler {
   }
 
   /**
-   * Extract file paths from text
+   * Spoken punctuation in file names and paths: "server dot js" -> "server.js",
+   * "public slash app dot js" -> "public/app.js", "the dot env file" -> "the .env file"
+   */
+  normalizeSpokenPaths(text) {
+    let normalized = text;
+    for (const [words, symbol] of SPOKEN_SEPARATORS) {
+      normalized = normalized
+        // "dash dash help" -> "--help"
+        .replace(new RegExp(`\\b(?:${words})\\s+(?:${words})\\s+(?=\\w)`, 'gi'), symbol + symbol)
+        // "server dot js" -> "server.js", but "the dot env" starts a name instead of joining "the"
+        .replace(new RegExp(`(\\S+)\\s+(?:${words})\\s+(?=[\\w.])`, 'gi'), (match, before) =>
+          this.pathLeadWords.has(before.toLowerCase()) ? `${before} ${symbol}` : before + symbol)
+        // "dot env" -> ".env"
+        .replace(new RegExp(`(^|\\s)(?:${words})\\s+(?=\\w)`, 'gi'), `$1${symbol}`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Extract file paths from text, including spoken ones ("server dot js")
    */
   extractFilePaths(text) {
+    text = this.normalizeSpokenPaths(text);
     const paths = [];
     
-    // Match absolute paths
-    const absolutePattern = /(?:\/[^\s/]+)+/g;
+    // Match absolute paths (not the tail of "public/app.js")
+    const absolutePattern = /(?<![\w.~-])(?:\/[^\s/]+)+/g;
     const absoluteMatches = text.match(absolutePattern);
     if (absoluteMatches) {
       paths.push(...absoluteMatches);
     }
     
-    // Match relative paths
-    const relativePattern = /(?:\.\/|\.\.\/)[\w\-./]+/g;
+    // Match relative paths ("./src/app.js", "public/app.js")
+    const relativePattern = /(?:\.\/|\.\.\/)[\w\-./]+|\b[\w.-]+(?:\/[\w.-]+)+/g;
     const relativeMatches = text.match(relativePattern);
     if (relativeMatches) {
       paths.push(...relativeMatches);
     }
     
-    // Match common file names
-    const filePattern = /\b[\w\-]+\.[\w]+\b/g;
+    // Match common file names ("app.config.js", ".env")
+    const filePattern = /(?<![\w/.-])(?:\.?[\w\-]+(?:\.[\w\-]+)+|\.\w[\w\-]*)\b/g;
     const fileMatches = text.match(filePattern);
     if (fileMatches) {
       paths.push(...fileMatches);
     }
     
-    return [...new Set(paths)]; // Remove duplicates
+    // Remove duplicates, and names already part of a longer path
+    const unique = [...new Set(paths)];
+    return unique.filter(p => !unique.some(other => other !== p && other.endsWith('/' + p)));
+  }
+
+  /**
+   * Whether an utterance is a task or names a file, so the workspace is searched at all
+   */
+  mentionsFiles(text, intent, filePaths) {
+    return (intent && intent.confidence >= 0.5) || filePaths.length > 0 || this.fileCuePattern.test(text);
+  }
+
+  /**
+   * Match spoken file references against the workspace
+   * Returns [{ heard, candidates: [{ path, type, score }] }], or [] without a path resolver
+   */
+  resolvePaths(text) {
+    if (!this.pathResolver) {
+      return [];
+    }
+    try {
+      return this.pathResolver.resolve(this.normalizeSpokenPaths(text));
+    } catch (error) {
+      console.error('Error resolving file paths:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * "server.js" -> server.js (100%); "public" -> public/ (100%)
+   */
+  describeResolvedPaths(resolvedPaths) {
+    return resolvedPaths.map(({ heard, candidates }) => {
+      const paths = candidates.map(c => `${c.path}${c.type === 'directory' ? '/' : ''} (${Math.round(c.score * 100)}%)`);
+      return `"${heard}" -> ${paths.join(' or ')}`;
+    }).join('; ');
+  }
+
+  /**
+   * Find words the speech recognizer was unsure about
+   * words: [{ word, confidence }] from server-side transcription
+   */
+  findLowConfidenceWords(words, threshold = 0.6) {
+    if (!Array.isArray(words)) {
+      return [];
+    }
+
+    return words
+      .filter(w => typeof w.word === 'string' && typeof w.confidence === 'number' && w.confidence < threshold)
+      .map(w => ({ word: w.word, confidence: w.confidence }));
+  }
+
+  /**
+   * Parse a request about long-term memory:
+   * "remember that ..." -> { action: 'remember', subject }
+   * "forget what I said about ..." -> { action: 'forget', subject }
+   * "what do you know about me?" -> { action: 'profile' }
+   * Questions like "do you remember when..." are left for the LLM. Returns null otherwise
+   */
+  parseMemoryCommand(text) {
+    if (!text) {
+      return null;
+    }
+
+    const trimmed = text.trim().replace(/[.!]+$/, '');
+    const normalized = trimmed.toLowerCase();
+
+    if (this.memoryPatterns.profile.test(normalized)) {
+      return { action: 'profile' };
+    }
+
+    // Questions ("remember that bug from yesterday?") aren't instructions
+    if (normalized.endsWith('?')) {
+      return null;
+    }
+
+    for (const action of ['remember', 'forget']) {
+      const match = normalized.match(this.memoryPatterns[action]);
+      if (match) {
+        // "Forget it" means never mind, and so does a subject followed by another clause
+        if (action === 'forget' && this.memoryPatterns.forgetClause.test(match[1])) {
+          return null;
+        }
+        // The subject ends the sentence - take it from the original to keep its casing
+        return { action, subject: trimmed.slice(trimmed.length - match[1].length).trim() };
+      }
+    }
+
+    return null;
   }
 
   /**
    * Main interpretation method
+   * options.words: word-level confidences from the transcriber, if any
    */
-  interpret(text) {
+  interpret(text, options = {}) {
     if (!text || text.trim().length === 0) {
       return { type: 'empty' };
     }
 
-    // First, check for meta-commands
+    const lowConfidenceWords = this.findLowConfidenceWords(options.words);
+
+    // Memory requests first - "forget what I said about restarting" isn't a reset
+    const memoryCommand = this.parseMemoryCommand(text);
+    if (memoryCommand) {
+      return {
+        type: 'memory_command',
+        ...memoryCommand,
+        original: text
+      };
+    }
+
+    // Then check for meta-commands
     const metaCommand = this.detectMetaCommand(text);
     if (metaCommand) {
       return { 
@@ -281,8 +454,9 @@ class NLPHandler {
     // Extract intent
     const intent = this.extractIntent(correctedText);
 
-    // Extract file paths
+    // Extract file paths, and what they name in the workspace
     const filePaths = this.extractFilePaths(text);
+    const resolvedPaths = this.mentionsFiles(text, intent, filePaths) ? this.resolvePaths(text) : [];
 
     // If we detected an intent with reasonable confidence
     if (intent && intent.confidence >= 0.5) {
@@ -293,8 +467,10 @@ class NLPHandler {
         intent: intent.intent,
         confidence: intent.confidence,
         filePaths: filePaths,
+        resolvedPaths: resolvedPaths,
+        lowConfidenceWords: lowConfidenceWords,
         // Enhanced prompt for Claude with context
-        enhancedPrompt: this.buildEnhancedPrompt(correctedText, intent, filePaths)
+        enhancedPrompt: this.buildEnhancedPrompt(correctedText, intent, filePaths, resolvedPaths)
       };
     }
 
@@ -304,14 +480,16 @@ class NLPHandler {
       original: text,
       corrected: correctedText,
       filePaths: filePaths,
-      enhancedPrompt: correctedText
+      resolvedPaths: resolvedPaths,
+      lowConfidenceWords: lowConfidenceWords,
+      enhancedPrompt: this.buildEnhancedPrompt(correctedText, null, [], resolvedPaths)
     };
   }
 
   /**
    * Build enhanced prompt with context for Claude
    */
-  buildEnhancedPrompt(text, intent, filePaths) {
+  buildEnhancedPrompt(text, intent, filePaths, resolvedPaths = []) {
     let prompt = text;
     
     // Add context based on intent
@@ -322,9 +500,14 @@ class NLPHandler {
       }
     }
 
-    // Add file path context
-    if (filePaths.length > 0) {
-      prompt += `\n[Detected file paths: ${filePaths.join(', ')}]`;
+    // Add file path context - real paths where the workspace has them, the raw guesses otherwise
+    if (resolvedPaths.length > 0) {
+      prompt += `\n[Resolved file paths: ${this.describeResolvedPaths(resolvedPaths)}]`;
+    }
+    const resolved = new Set(resolvedPaths.flatMap(r => r.candidates.map(c => c.path)));
+    const unresolved = filePaths.filter(p => !resolved.has(p) && !resolvedPaths.some(r => r.heard === p.toLowerCase()));
+    if (unresolved.length > 0) {
+      prompt += `\n[Detected file paths: ${unresolved.join(', ')}]`;
     }
 
     return prompt;
@@ -347,21 +530,185 @@ class NLPHandler {
   }
 
   /**
-   * Provide suggestions for ambiguous input
+   * Interpret a yes/no answer
+   * Only a bare yes ("yes", "okay go ahead", "yes please") approves. A no-word, a stop phrase
+   * or a question ("ok what does that do", "okay hold on") is a no.
+   * Returns true, false, or null when the answer isn't clearly one or the other
    */
-  getSuggestions(text) {
-    const corrected = this.correctWhisperErrors(text);
-    const intent = this.extractIntent(corrected);
-    
-    if (!intent || intent.confidence < 0.5) {
-      return [
-        "Could you rephrase that?",
-        "I'm not sure what you want me to do. Try being more specific.",
-        "Did you want me to read, write, list, or execute something?"
-      ];
+  parseConfirmation(text) {
+    if (!text) {
+      return null;
+    }
+
+    const corrected = this.correctWhisperErrors(text.toLowerCase()).replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
+
+    // Long sentences are new requests, not answers
+    if (!corrected || corrected.split(' ').length > 6) {
+      return null;
+    }
+
+    const no = this.confirmationPhrases.no.some(phrase => new RegExp(`\\b${phrase}\\b`).test(corrected));
+    if (no || this.isStopCommand(text)) {
+      return false;
+    }
+
+    const yes = this.confirmationPhrases.yes.join('|');
+    if (new RegExp(`^(?:(?:${yes})\\s*)+(?:please)?$`).test(corrected)) {
+      return true;
+    }
+
+    return this.questionPattern.test(text.trim()) ? false : null;
+  }
+
+  /**
+   * Check for "stop", "cancel", "be quiet" and the like said on their own
+   */
+  isStopCommand(text) {
+    if (!text) {
+      return false;
+    }
+    const normalized = text.toLowerCase().replace(/[^\w\s']/g, ' ').replace(/\s+/g, ' ').trim();
+    return this.stopPattern.test(normalized);
+  }
+
+  /**
+   * The corrected words from "no, I said ..." or "I meant ...", or null
+   */
+  parseRestatement(text) {
+    if (!text) {
+      return null;
+    }
+    const match = text.trim().match(this.restatementPattern);
+    if (!match) {
+      return null;
+    }
+    const restated = match[1].replace(/^["'\s]+|["'.!\s]+$/g, '');
+    return restated || null;
+  }
+
+  /**
+   * Parse a request to change the LLM: "switch to the local model", "use claude",
+   * "use model qwen 2.5", "back to automatic"
+   * Returns { provider, model } - provider 'auto' means route automatically,
+   * provider null means find whichever provider serves the model - or null
+   */
+  parseModelSwitch(text) {
+    if (!text) {
+      return null;
+    }
+
+    const normalized = text.toLowerCase().replace(/[!?,]+|\.+$/g, '').trim();
+    const match = normalized.match(/^(?:please\s+)?(?:switch|change|go|use|talk)\s+(?:back\s+)?(?:to\s+|with\s+)?(?:the\s+)?(.+?)(?:\s+(?:model|provider|mode))?$/);
+    if (!match) {
+      return null;
+    }
+
+    const target = match[1].trim();
+
+    if (/^(auto|automatic)( routing)?$/.test(target)) {
+      return { provider: 'auto', model: null };
+    }
+
+    for (const [provider, aliases] of Object.entries(this.providerAliases)) {
+      if (aliases.includes(target)) {
+        return { provider, model: null };
+      }
+    }
+
+    // "model llama 3.2" -> "llama3.2"; spoken spaces before versions are dropped
+    const modelMatch = target.match(/^model\s+(.+)$/);
+    if (modelMatch) {
+      return { provider: null, model: modelMatch[1].replace(/\s+(?=[\d.:])/g, '').replace(/\s+/g, '-') };
+    }
+
+    return null;
+  }
+
+  /**
+   * Guess what a request with a misheard verb meant, for a clarifying question.
+   * Only the verb that starts the request is considered, and only when it wasn't an intent
+   * keyword as heard but a correction turns it into one ("the lead server.js" -> "delete").
+   * Keywords that merely sound alike ("lead" -> "read") are offered alongside, or on their own
+   * when the transcriber flagged the word as uncertain. The rest of the request has to name a
+   * file or something to act on, so ordinary conversation never gets a question.
+   * options.words: word-level confidences from the transcriber, if any
+   * Returns up to two [{ intent, keyword, heard, request }], or [] when nothing needs asking
+   */
+  getSuggestions(text, options = {}) {
+    if (!text) {
+      return [];
+    }
+
+    const spoken = text.toLowerCase().replace(/[!?,;:"]+/g, ' ').replace(/\.+(\s|$)/g, '$1').replace(/\s+/g, ' ').trim();
+    const lead = spoken.match(COMMAND_LEAD)[0];
+    const request = spoken.slice(lead.length);
+    const words = request.split(' ');
+
+    const keywords = Object.values(this.intents).flatMap(intent => intent.keywords);
+    if (words.length < 2 || keywords.some(keyword => request === keyword || request.startsWith(`${keyword} `))) {
+      return [];
+    }
+
+    const guesses = [];
+    const addGuess = (keyword, heard, similarity) => {
+      if (keywords.includes(keyword) && !guesses.some(g => g.keyword === keyword)) {
+        guesses.push({ keyword, heard, similarity });
+      }
+    };
+
+    // Phrase corrections ("the lead" -> "delete") - whatever follows the verb is left as it was
+    const correctedWords = this.correctWhisperErrors(request).split(' ');
+    const tail = correctedWords.slice(1).join(' ');
+    if (correctedWords[0] !== words[0] && request.endsWith(tail)) {
+      addGuess(correctedWords[0], request.slice(0, request.length - tail.length).trim(), 1);
+    }
+
+    // Known mishearings ("red" -> "read", "one" -> "run")
+    for (const [keyword, mishearings] of Object.entries(this.whisperCorrections)) {
+      const heard = mishearings.find(m => m !== keyword && (m === words[0] || m === words.slice(0, 2).join(' ')));
+      if (heard) {
+        addGuess(keyword, heard, 1);
+      }
+    }
+
+    // Sound-alikes - only as an alternative, or for a word the transcriber was unsure of
+    const unsure = this.findLowConfidenceWords(options.words).map(w => w.word.toLowerCase().replace(/[^\w]/g, ''));
+    const heardWords = guesses.length > 0 ? guesses[0].heard.split(' ') : words.slice(0, 1).filter(w => unsure.includes(w));
+    for (const word of heardWords) {
+      for (const keyword of keywords) {
+        const similarity = WakeWord.similarity(word, keyword);
+        if (similarity >= 0.7 && similarity < 1) {
+          addGuess(keyword, guesses.length > 0 ? guesses[0].heard : word, similarity);
+        }
+      }
+    }
+
+    if (guesses.length === 0) {
+      return [];
+    }
+
+    // The words after the verb must name a target, and start like one ("so what do you
+    // think of the code" isn't a misheard "show")
+    const target = request.slice(guesses[0].heard.length).trim();
+    const targetWords = target.split(' ');
+    const objects = Object.values(this.intents).flatMap(intent => intent.objects);
+    const isPath = (word) => this.extractFilePaths(word).length > 0;
+    if (!isPath(target) && !targetWords.some(word => objects.includes(word))) {
+      return [];
+    }
+    if (!isPath(this.normalizeSpokenPaths(target).split(' ')[0]) && !objects.includes(targetWords[0]) && !TARGET_STARTS.includes(targetWords[0])) {
+      return [];
     }
 
-    return [];
+    return guesses
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, 2)
+      .map(({ keyword, heard }) => {
+        // Prefer the intent whose objects the target mentions ("show the files" is a listing)
+        const candidates = Object.entries(this.intents).filter(([, intent]) => intent.keywords.includes(keyword));
+        const [intent] = candidates.find(([, data]) => data.objects.some(obj => targetWords.includes(obj))) || candidates[0];
+        return { intent, keyword, heard, request: `${keyword} ${target}` };
+      });
   }
 }
 
@@ -0,0 +1,192 @@
+/**
+ * Ollama Client
+ * Shared HTTP client for the background services (context extraction, log
+ * compression, token summaries). Prompts travel as JSON over HTTP, so
+ * conversation text never reaches a shell.
+ */
+
+class OllamaClient {
+  constructor(config = {}) {
+    // Defaults last - callers often pass { host: undefined }
+    this.config = {
+      ...config,
+      host: config.host || process.env.OLLAMA_HOST || 'http://localhost:11434',
+      timeout: config.timeout || 60000, // per request
+      maxConcurrent: config.maxConcurrent || 1 // a local model serves one prompt at a time anyway
+    };
+
+    this.active = 0;
+    this.queue = []; // resolvers waiting for a free slot
+    this.controller = new AbortController(); // aborted by cancelAll()
+  }
+
+  /**
+   * Wait for a free request slot
+   */
+  acquire(signal) {
+    if (this.active < this.config.maxConcurrent) {
+      this.active++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = () => {
+        signal.removeEventListener('abort', onAbort);
+        this.active++;
+        resolve();
+      };
+      const onAbort = () => {
+        this.queue = this.queue.filter(w => w !== waiter);
+        reject(signal.reason);
+      };
+
+      signal.addEventListener('abort', onAbort, { once: true });
+      this.queue.push(waiter);
+    });
+  }
+
+  release() {
+    this.active--;
+    const next = this.queue.shift();
+    if (next) {
+      next();
+    }
+  }
+
+  /**
+   * POST to the Ollama API with timeout, cancellation and the concurrency limit
+   */
+  async request(endpoint, body, options = {}) {
+    const timeout = options.timeout || this.config.timeout;
+    const signal = AbortSignal.any([
+      AbortSignal.timeout(timeout),
+      this.controller.signal,
+      ...(options.signal ? [options.signal] : [])
+    ]);
+
+    try {
+      await this.acquire(signal);
+    } catch (error) {
+      throw this.describeAbort(error, timeout);
+    }
+
+    try {
+      const response = await fetch(`${this.config.host}${endpoint}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`Ollama API error: ${response.status} ${(await response.text()).trim()}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      throw this.describeAbort(error, timeout);
+    } finally {
+      this.release();
+    }
+  }
+
+  describeAbort(error, timeout) {
+    if (error.name === 'TimeoutError') {
+      return new Error(`Ollama request timed out after ${timeout / 1000}s`);
+    }
+    if (error.name === 'AbortError') {
+      return new Error('Ollama request cancelled');
+    }
+    return error;
+  }
+
+  /**
+   * Generate a completion
+   * options: { model, system, json, temperature, timeout, signal }
+   * json: true asks Ollama for valid JSON output (the prompt should still describe the shape)
+   */
+  async generate(prompt, options = {}) {
+    const data = await this.request('/api/generate', {
+      model: options.model,
+      prompt: prompt,
+      stream: false,
+      ...(options.system && { system: options.system }),
+      ...(options.json && { format: 'json' }),
+      ...(options.temperature !== undefined && { options: { temperature: options.temperature } })
+    }, options);
+
+    return (data.response || '').trim();
+  }
+
+  /**
+   * Generate and parse a JSON object
+   */
+  async generateJSON(prompt, options = {}) {
+    const response = await this.generate(prompt, { ...options, json: true });
+    return JSON.parse(response);
+  }
+
+  /**
+   * Embed text with an embedding model (e.g. nomic-embed-text)
+   * options: { model, timeout, signal }
+   */
+  async embed(text, options = {}) {
+    const data = await this.request('/api/embeddings', {
+      model: options.model,
+      prompt: text
+    }, options);
+
+    if (!Array.isArray(data.embedding) || data.embedding.length === 0) {
+      throw new Error(`Ollama returned no embedding (is ${options.model} an embedding model?)`);
+    }
+    return data.embedding;
+  }
+
+  /**
+   * Installed model names, or [] when Ollama isn't running
+   */
+  async listModels() {
+    try {
+      const response = await fetch(`${this.config.host}/api/tags`, {
+        signal: AbortSignal.timeout(5000)
+      });
+      if (!response.ok) {
+        return [];
+      }
+      const data = await response.json();
+      return (data.models || []).map(m => m.name);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  async isAvailable() {
+    try {
+      const response = await fetch(`${this.config.host}/api/tags`, {
+        signal: AbortSignal.timeout(5000)
+      });
+      return response.ok;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check that a model has been pulled (names without a tag match ':latest')
+   */
+  async hasModel(name) {
+    const models = await this.listModels();
+    const wanted = name.includes(':') ? name : `${name}:latest`;
+    return models.some(m => m === wanted || m === name);
+  }
+
+  /**
+   * Abort every in-flight and queued request (e.g. on shutdown)
+   */
+  cancelAll() {
+    this.controller.abort();
+    this.controller = new AbortController();
+  }
+}
+
+module.exports = OllamaClient;
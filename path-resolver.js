@@ -0,0 +1,277 @@
+const path = require('path');
+const Workspace = require('./workspace');
+const WakeWord = require('./wake-word');
+
+/**
+ * Spoken File References
+ * Matches what was said about a file ("server dot js", "the public folder", "app js")
+ * against an index of the workspace tree and returns ranked candidate paths, so the
+ * model gets real paths to open instead of guessing from a transcript.
+ * Expects spoken punctuation to be normalized already (NLPHandler.normalizeSpokenPaths).
+ */
+
+// Extensions people say as a separate word ("app js")
+const EXTENSIONS = ['js', 'mjs', 'cjs', 'ts', 'tsx', 'jsx', 'json', 'md', 'txt', 'html', 'css', 'py', 'sh', 'yml', 'yaml', 'env', 'log', 'csv', 'xml', 'sql', 'go', 'rs', 'java', 'rb', 'php', 'c', 'h', 'cpp', 'toml', 'ini', 'lock'];
+
+// Words after a name that say what kind of thing it is ("the server file", "the public folder")
+const FILE_CUES = ['file', 'files', 'script', 'module', 'document', 'config'];
+const DIRECTORY_CUES = ['folder', 'folders', 'directory', 'directories', 'dir'];
+
+// Words that are never part of a spoken name
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'my', 'our', 'your', 'this', 'that', 'these', 'those', 'me', 'it', 'its', 'all', 'some', 'every',
+  'in', 'into', 'inside', 'to', 'from', 'at', 'of', 'on', 'for', 'with', 'and', 'or', 'called', 'named', 'is', 'are',
+  'what', 'whats', 'where', 'which', 'please', 'can', 'you', 'could', 'would', 'i', 'we', 'do', 'does', 'there',
+  'read', 'show', 'open', 'view', 'see', 'look', 'check', 'cat', 'edit', 'write', 'create', 'make', 'save', 'update',
+  'change', 'modify', 'delete', 'remove', 'list', 'find', 'search', 'run', 'execute', 'start', 'display',
+  ...FILE_CUES, ...DIRECTORY_CUES
+]);
+
+// Lowercase letters and digits only, so "app js", "app.js" and "App-JS" compare equal
+function compact(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Names as a compact key and its rough sound, worked out once when the index is built
+function keyed(text) {
+  const key = compact(text);
+  return { key, sound: WakeWord.phoneticKey(key) };
+}
+
+class PathResolver {
+  constructor(workspace = null, config = {}) {
+    this.workspace = workspace || new Workspace();
+    this.config = {
+      ttl: 60000, // the tree is walked again after this long, or after invalidate()
+      maxEntries: 20000, // files and folders indexed across all roots
+      maxWords: 4, // longest spoken name tried
+      minScore: 0.75, // how close a spoken name has to sound to a real one
+      maxCandidates: 3, // paths returned per reference
+      maxFuzzyWindows: 24, // runs of words compared with the whole index per utterance
+      cacheSize: 100, // utterances whose results are kept until the index changes
+      ...config
+    };
+    this.index = null;
+    this.indexedAt = 0;
+    this.cache = new Map(); // normalized text -> results, oldest first
+  }
+
+  // Forget the index, e.g. after a file was written
+  invalidate() {
+    this.index = null;
+    this.cache.clear();
+  }
+
+  /**
+   * Files and folders of every workspace root, walked lazily
+   * Returns { entries, names } - entry: { path, relative, type: 'file' | 'directory', depth }
+   * path is relative for the primary root and absolute for the others
+   * names.name / names.stem / names.relative: compact key -> { key, sound, entries }, so each
+   * distinct name is compared once however many folders it appears in
+   */
+  getIndex() {
+    if (this.index && Date.now() - this.indexedAt < this.config.ttl) {
+      return this.index;
+    }
+
+    const entries = [];
+    const names = { name: new Map(), stem: new Map(), relative: new Map() };
+    const group = (field, text, entry) => {
+      const key = compact(text);
+      if (!names[field].has(key)) {
+        names[field].set(key, { ...keyed(text), entries: [] });
+      }
+      names[field].get(key).entries.push(entry);
+    };
+    const seen = new Set();
+    const add = (root, absolutePath, type) => {
+      if (seen.has(absolutePath)) {
+        return;
+      }
+      seen.add(absolutePath);
+
+      const relative = path.relative(root, absolutePath).split(path.sep).join('/');
+      const name = path.basename(absolutePath);
+      const stem = type === 'file' && name.lastIndexOf('.') > 0 ? name.slice(0, name.lastIndexOf('.')) : name;
+      const entry = {
+        path: root === this.workspace.primaryRoot ? relative : absolutePath,
+        relative,
+        type,
+        depth: relative.split('/').length
+      };
+      entries.push(entry);
+      group('name', name, entry);
+      group('stem', stem, entry);
+      group('relative', relative, entry);
+    };
+
+    walk:
+    for (const root of this.workspace.roots) {
+      for (const file of this.workspace.walk(root)) {
+        if (entries.length >= this.config.maxEntries) {
+          console.warn(`⚠️  Path index stopped at ${this.config.maxEntries} entries`);
+          break walk;
+        }
+        // Folders only show up through the files in them
+        for (let dir = path.dirname(file); dir !== root && this.workspace.isInside(dir, root); dir = path.dirname(dir)) {
+          add(root, dir, 'directory');
+        }
+        add(root, file, 'file');
+      }
+    }
+
+    this.index = { entries, names };
+    this.indexedAt = Date.now();
+    this.cache.clear();
+    return this.index;
+  }
+
+  /**
+   * 0-1 by spelling or rough sound, as the wake word matcher compares
+   * heard and name are { key, sound }
+   */
+  score(heard, name) {
+    if (heard.key === name.key) {
+      return 1;
+    }
+    // Names of very different lengths can't reach the threshold - skip the edit distance
+    const slack = 1 - this.config.minScore * 0.9;
+    const spelling = Math.abs(heard.key.length - name.key.length) <= Math.max(heard.key.length, name.key.length) * slack
+      ? WakeWord.similarity(heard.key, name.key)
+      : 0;
+    const sound = Math.abs(heard.sound.length - name.sound.length) <= Math.max(heard.sound.length, name.sound.length) * slack
+      ? WakeWord.similarity(heard.sound, name.sound) * 0.9
+      : 0;
+    return Math.max(spelling, sound);
+  }
+
+  // "public/app.js" also names "src/public/app.js"
+  endsWithPath(relative, spoken) {
+    const wanted = spoken.replace(/^\.\//, '').replace(/\/$/, '');
+    const lower = relative.toLowerCase();
+    return lower === wanted || lower.endsWith('/' + wanted);
+  }
+
+  /**
+   * How a run of words can name something: a path ("public/app.js"), a file with its
+   * extension ("server.js", "app js"), or a bare name followed by a cue ("the public folder")
+   * Returns { field, type, weight, exact } - which index key to compare, what kind of entry, and
+   * exact when only an exact spelling counts
+   */
+  describe(words, next) {
+    const text = words.join(' ');
+    if (text.includes('/')) {
+      return { field: 'relative', type: null, weight: 1 };
+    }
+    if (/\w\.\w|^\.\w/.test(text) || (words.length > 1 && EXTENSIONS.includes(words[words.length - 1]))) {
+      return { field: 'name', type: 'file', weight: 1 };
+    }
+    if (DIRECTORY_CUES.includes(next)) {
+      return { field: 'name', type: 'directory', weight: 1 };
+    }
+    if (FILE_CUES.includes(next)) {
+      return { field: 'stem', type: 'file', weight: 1 };
+    }
+    // A bare name only counts when it is spelled exactly like one ("the readme")
+    return { field: 'stem', type: null, weight: 0.9, exact: true };
+  }
+
+  /**
+   * Find file references in normalized text
+   * Returns [{ heard, candidates: [{ path, type, score }] }] in the order they were said
+   */
+  resolve(text) {
+    const tokens = String(text || '')
+      .split(/\s+/)
+      .map(token => token.replace(/^[^\w./~-]+|[^\w/]+$/g, '').toLowerCase())
+      .filter(Boolean);
+    if (tokens.length === 0) {
+      return [];
+    }
+
+    const index = this.getIndex();
+    const cacheKey = tokens.join(' ');
+    if (this.cache.has(cacheKey)) {
+      const cached = this.cache.get(cacheKey);
+      this.cache.delete(cacheKey);
+      this.cache.set(cacheKey, cached);
+      return cached;
+    }
+
+    const matches = [];
+    let fuzzyWindows = 0;
+
+    for (let start = 0; start < tokens.length; start++) {
+      for (let size = 1; size <= this.config.maxWords && start + size <= tokens.length; size++) {
+        const words = tokens.slice(start, start + size);
+        if (STOP_WORDS.has(words[0]) || STOP_WORDS.has(words[words.length - 1])) {
+          continue;
+        }
+
+        const how = this.describe(words, tokens[start + size]);
+        const heard = keyed(words.join(''));
+        if (heard.key.length < 2) {
+          continue;
+        }
+
+        const candidates = [];
+        if (how.exact) {
+          // Bare words are looked up, not compared - most of them are just words
+          for (const entry of index.names.stem.get(heard.key)?.entries || []) {
+            candidates.push({ entry, score: how.weight });
+          }
+        } else if (fuzzyWindows++ < this.config.maxFuzzyWindows) {
+          for (const name of index.names[how.field].values()) {
+            const score = this.score(heard, name);
+            for (const entry of name.entries) {
+              if (how.type && entry.type !== how.type) {
+                continue;
+              }
+              const best = how.field === 'relative' && this.endsWithPath(entry.relative, words.join('')) ? 1 : score;
+              if (best >= this.config.minScore) {
+                candidates.push({ entry, score: best * how.weight });
+              }
+            }
+          }
+        }
+
+        if (candidates.length > 0) {
+          candidates.sort((a, b) => b.score - a.score || a.entry.depth - b.entry.depth || a.entry.path.localeCompare(b.entry.path));
+          matches.push({ start, end: start + size, heard: words.join(' '), candidates });
+        }
+      }
+    }
+
+    // Best references first, longer ones winning ties, without reusing a word
+    matches.sort((a, b) => b.candidates[0].score - a.candidates[0].score || (b.end - b.start) - (a.end - a.start));
+    const used = new Set();
+    const chosen = [];
+    for (const match of matches) {
+      const positions = Array.from({ length: match.end - match.start }, (_, i) => match.start + i);
+      if (positions.some(position => used.has(position))) {
+        continue;
+      }
+      positions.forEach(position => used.add(position));
+      chosen.push(match);
+    }
+
+    const results = chosen
+      .sort((a, b) => a.start - b.start)
+      .map(match => ({
+        heard: match.heard,
+        candidates: match.candidates.slice(0, this.config.maxCandidates).map(({ entry, score }) => ({
+          path: entry.path,
+          type: entry.type,
+          score: Math.round(score * 100) / 100
+        }))
+      }));
+
+    this.cache.set(cacheKey, results);
+    if (this.cache.size > this.config.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return results;
+  }
+}
+
+module.exports = PathResolver;
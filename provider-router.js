@@ -0,0 +1,192 @@
+const fs = require('fs');
+
+/**
+ * Provider Router
+ * Picks which LLM provider answers a request - Claude, a local Ollama model or an
+ * OpenAI-compatible server - and fails over to the others when it is unavailable.
+ */
+
+class ProviderRouter {
+  constructor(config = {}) {
+    this.config = {
+      routingFile: config.routingFile || './routing.json',
+      providers: config.providers || {}, // name -> LLMProvider
+      defaultProvider: config.defaultProvider || 'claude',
+      fallback: config.fallback !== false, // try the other providers when one fails
+      // First matching rule picks the provider; no match uses defaultProvider
+      rules: config.rules || [
+        { when: { attachments: true }, provider: 'claude', reason: 'has attachments' },
+        { when: { type: 'task' }, provider: 'claude', reason: 'needs tools' },
+        {
+          when: {
+            type: 'conversation',
+            maxWords: 8,
+            pattern: "^(hi|hello|hey|thanks|thank you|cheers|good (morning|afternoon|evening|night)|how are you|what'?s up)\\b"
+          },
+          provider: 'local',
+          reason: 'small talk'
+        }
+      ]
+    };
+
+    this.providers = this.config.providers;
+    this.loadRoutingFile();
+  }
+
+  /**
+   * Merge overrides from the optional routing file
+   */
+  loadRoutingFile() {
+    try {
+      if (fs.existsSync(this.config.routingFile)) {
+        const overrides = JSON.parse(fs.readFileSync(this.config.routingFile, 'utf8'));
+
+        if (Array.isArray(overrides.rules)) {
+          this.config.rules = overrides.rules;
+        }
+        if (this.providers[overrides.defaultProvider]) {
+          this.config.defaultProvider = overrides.defaultProvider;
+        }
+        // Default model per provider, e.g. { "local": "qwen2.5" }
+        for (const [name, model] of Object.entries(overrides.models || {})) {
+          if (this.providers[name]) {
+            this.providers[name].config.defaultModel = model;
+          }
+        }
+        if (typeof overrides.fallback === 'boolean') {
+          this.config.fallback = overrides.fallback;
+        }
+
+        console.log(`🔀 Routing rules loaded from ${this.config.routingFile}`);
+      }
+    } catch (error) {
+      console.error('Error loading routing rules:', error.message);
+    }
+  }
+
+  get(name) {
+    return this.providers[name] || null;
+  }
+
+  async isAvailable(name) {
+    const provider = this.get(name);
+    return provider ? provider.isAvailable() : false;
+  }
+
+  /**
+   * Re-check a provider's availability after it fails mid-request
+   */
+  markFailed(name) {
+    this.get(name)?.markFailed();
+  }
+
+  /**
+   * Providers with their models, for settings UIs
+   */
+  async describe() {
+    const described = [];
+    for (const [name, provider] of Object.entries(this.providers)) {
+      const available = await provider.isAvailable();
+      described.push({
+        name,
+        label: provider.config.label,
+        available,
+        defaultModel: provider.config.defaultModel,
+        models: available ? await provider.listModels() : []
+      });
+    }
+    return described;
+  }
+
+  /**
+   * Find which provider serves a model - an exact name first, then ignoring tags
+   * ("qwen2.5" finds "qwen2.5:7b"). Only checks `providerName` when given.
+   * Returns { provider, model } with the full model name, or null
+   */
+  async resolveModel(model, providerName = null) {
+    const names = providerName ? [providerName] : Object.keys(this.providers);
+    const candidates = [];
+
+    for (const name of names) {
+      const provider = this.get(name);
+      if (!provider || !(await provider.isAvailable())) continue;
+      candidates.push({ name, models: await provider.listModels() });
+    }
+
+    for (const exact of [true, false]) {
+      for (const { name, models } of candidates) {
+        const found = models.find(m => exact ? m === model : m.split(':')[0] === model);
+        if (found) {
+          return { provider: name, model: found };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check a rule's conditions against a request
+   * request: { text, nlpContext, hasAttachments }
+   */
+  matches(rule, request) {
+    const when = rule.when || {};
+    const text = (request.text || '').trim();
+    const words = text.split(/\s+/).filter(Boolean).length;
+
+    if (when.attachments !== undefined && when.attachments !== !!request.hasAttachments) return false;
+    if (when.type && when.type !== request.nlpContext?.type) return false;
+    if (when.intent && when.intent !== request.nlpContext?.intent) return false;
+    if (when.maxWords !== undefined && words > when.maxWords) return false;
+    if (when.minWords !== undefined && words < when.minWords) return false;
+    if (when.pattern && !new RegExp(when.pattern, 'i').test(text)) return false;
+    return true;
+  }
+
+  /**
+   * Preferred provider for a request
+   * Returns { provider, reason }
+   */
+  route(request) {
+    const rule = this.config.rules.find(r => this.providers[r.provider] && this.matches(r, request));
+    return rule
+      ? { provider: rule.provider, reason: rule.reason || 'routing rule' }
+      : { provider: this.config.defaultProvider, reason: 'default' };
+  }
+
+  /**
+   * Providers to try in order: the session's choice or the routed one, then the fallbacks
+   * preference: { provider, model } picked for the session (null provider = route automatically)
+   * Returns [{ provider, model, reason }] - unavailable providers are left out, so it can be empty
+   */
+  async plan(request, preference = {}) {
+    const preferred = preference.provider && this.providers[preference.provider]
+      ? { provider: preference.provider, model: preference.model, reason: 'chosen for this session' }
+      : this.route(request);
+    const candidates = [preferred];
+
+    if (this.config.fallback) {
+      for (const name of Object.keys(this.providers)) {
+        if (name !== preferred.provider) {
+          candidates.push({ provider: name, reason: `fallback from ${preferred.provider}` });
+        }
+      }
+    }
+
+    const plan = [];
+    for (const candidate of candidates) {
+      if (await this.isAvailable(candidate.provider)) {
+        plan.push({
+          ...candidate,
+          model: candidate.model || this.providers[candidate.provider].config.defaultModel
+        });
+      } else if (candidate === preferred && candidates[1]) {
+        // Say why the preferred provider was skipped
+        candidates[1].reason = `${preferred.provider} unavailable`;
+      }
+    }
+
+    return plan;
+  }
+}
+
+module.exports = ProviderRouter;
@@ -1,13 +1,25 @@
-// WebSocket connection
-const ws = new WebSocket('ws://localhost:3001');
+// WebSocket connection - pass the stored session ID so a reload (or server reboot) resumes the conversation
+let sessionId = localStorage.getItem('juzgofoo.sessionId');
+let ws = null;
+let reconnectTimeout = null;
+let reconnectDelay = 1000;
+const MAX_RECONNECT_DELAY = 10000;
+
+function connectWebSocket() {
+  ws = new WebSocket(`ws://localhost:3001/${sessionId ? '?session=' + encodeURIComponent(sessionId) : ''}`);
+  ws.onopen = handleSocketOpen;
+  ws.onmessage = handleSocketMessage;
+  ws.onerror = handleSocketError;
+  ws.onclose = handleSocketClose;
+}
+
+connectWebSocket();
 
 // Speech recognition setup - try Web Speech API first
 const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
 let recognition = null;
 let wakeWordRecognition = null;
 let useWebSpeech = false;
-let mediaRecorder = null;
-let audioChunks = [];
 
 // Check if Web Speech API is available
 if (SpeechRecognition) {
@@ -27,6 +39,33 @@ if (SpeechRecognition) {
   console.log('Using MediaRecorder + server-side transcription');
 }
 
+// MediaRecorder fallback (Firefox/Safari): record, detect speech by energy, transcribe on the server
+const useMediaRecorder = !useWebSpeech && !!(window.MediaRecorder && navigator.mediaDevices);
+const VAD_THRESHOLD = 0.02; // RMS energy that counts as speech
+const VAD_SILENCE_MS = 1200; // stop once speech is followed by this much silence
+const VAD_NO_SPEECH_MS = 8000; // give up if nobody starts talking
+const MAX_RECORDING_MS = 30000;
+let audioStream = null;
+let audioContext = null;
+let audioSource = null;
+let analyser = null;
+let recording = null; // { recorder, chunks, mode, autoStop, speechDetected, startedAt, lastVoiceAt, discard }
+let vadInterval = null;
+let pushToTalkHeld = false;
+let speechToTextUnavailable = false; // the server has no speech-to-text engine (503)
+
+// Wake word settings persist across reloads: phrases, sensitivity and which detector listens
+// 'speech' checks speech recognition transcripts; 'local' runs wake-word-worklet.js on recordings of the phrase
+const WAKE_SETTINGS_KEY = 'juzgofoo.wakeSettings';
+const WAKE_LOG_KEY = 'juzgofoo.wakeLog';
+const WAKE_LOG_LIMIT = 50;
+const WAKE_TEMPLATE_COUNT = 3; // recordings the local detector learns the phrase from
+let wakeSettings = loadWakeSettings();
+const wakeMatcher = new WakeWord.WakeWordMatcher(wakeSettings);
+let wakeDetectorReady = null; // resolves to the local detector's AudioWorkletNode
+let wakeEnrollment = null; // recordings collected while training the local detector
+let lastWake = null; // { at, detector, phrase, heard, score, threshold, commandSent, checked }
+
 let isListening = false;
 let wakeWordEnabled = true;
 let conversationalMode = false;
@@ -41,70 +80,567 @@ const micIndicator = document.getElementById('mic-indicator');
 const statusText = document.getElementById('status');
 const wakeWordToggle = document.getElementById('wakeWordToggle');
 const conversationalToggle = document.getElementById('conversationalToggle');
+const muteToggle = document.getElementById('muteToggle');
+const speedToggle = document.getElementById('speedToggle');
+const voiceSelect = document.getElementById('voiceSelect');
+const modelSelect = document.getElementById('modelSelect');
+const dropOverlay = document.getElementById('dropOverlay');
+const attachmentChips = document.getElementById('attachmentChips');
+const usageWidget = document.getElementById('usageWidget');
+
+// Dropped files waiting to go out with the next message: [{ id, name, kind, size, fileCount }]
+let pendingAttachments = [];
+let dragDepth = 0;
+const SKIPPED_FOLDERS = ['.git', 'node_modules'];
 
 // Chat history
 let messages = [];
 
+// Assistant bubble currently receiving streamed text
+let streamingMessageDiv = null;
+
+// Text-to-speech backend reported by the server ('browser' means we speak here)
+let ttsBackend = null;
+let ttsBackends = [];
+let serverVoices = [];
+
+// Barge-in: talking over the assistant stops its speech and cancels the answer.
+// Transcripts that are mostly what it just said are its own voice coming back (echo) and are dropped.
+const ECHO_WINDOW_MS = 2000; // the tail of a sentence can still be transcribed after it ends
+const ECHO_MATCH_RATIO = 0.75; // share of the heard words the assistant just said
+const BARGE_IN_MIN_WORDS = 2; // a single unexpected word is more likely misheard echo
+const BARGE_IN_ENERGY = VAD_THRESHOLD * 3; // MediaRecorder path: speech loud enough to be the user
+const BARGE_IN_MS = 300;
+let assistantBusy = false; // a message is being answered
+let serverSpeaking = false; // a server-side TTS backend is playing
+let lastSpeechAt = 0; // when the assistant last stopped speaking
+let recentSpeech = []; // the assistant's last few spoken sentences
+let lastBargeInAt = 0;
+
+// Transcription corrections: whose dictionary this browser uses, and whether transcripts
+// wait in the input box to be fixed before sending (fixes teach the dictionary)
+const CORRECTION_USER_KEY = 'juzgofoo.correctionUser';
+const REVIEW_TRANSCRIPTS_KEY = 'juzgofoo.reviewTranscripts';
+let correctionUser = localStorage.getItem(CORRECTION_USER_KEY) || 'default';
+let reviewTranscripts = localStorage.getItem(REVIEW_TRANSCRIPTS_KEY) === 'true';
+let heardTranscript = null; // { text, words } of the last transcript put in the input box
+
+// Voice settings persist across reloads and are applied to the server session
+const TTS_SETTINGS_KEY = 'juzgofoo.ttsSettings';
+const SPEED_STEPS = [
+  { label: 'Normal', rate: 1.0 },
+  { label: 'Fast', rate: 1.3 },
+  { label: 'Very Fast', rate: 1.6 },
+  { label: 'Slow', rate: 0.8 }
+];
+let ttsSettings = loadTTSSettings();
+
 // WebSocket event handlers
-ws.onopen = () => {
+function handleSocketOpen() {
   console.log('Connected to server');
   updateStatus('Connected');
-};
+  reconnectDelay = 1000;
+  
+  // Restore this browser's voice settings on the server session
+  sendTTSSettings();
+  ws.send(JSON.stringify({ type: 'correction_user', user: correctionUser }));
+}
 
-ws.onmessage = (event) => {
+function handleSocketMessage(event) {
   const data = JSON.parse(event.data);
 
-  if (data.type === 'command') {
+  if (data.type === 'session') {
+    sessionId = data.sessionId;
+    localStorage.setItem('juzgofoo.sessionId', sessionId);
+    if (data.resumed && data.turns > 0) {
+      addMessage('command', `Resumed session (${data.turns} earlier turns remembered)`);
+    }
+  } else if (data.type === 'server_status') {
+    if (data.status === 'rebooting') {
+      addMessage('command', 'Server rebooting - reconnecting automatically...');
+      updateStatus('Rebooting...');
+    } else if (data.status === 'shutting_down') {
+      addMessage('command', 'Server shut down (memory and sessions saved)');
+    }
+  } else if (data.type === 'command') {
+    assistantBusy = false;
     handleCommand(data.action, data.original);
   } else if (data.type === 'tool_execution') {
+    // Text after the tool call goes into a new bubble below it
+    streamingMessageDiv = null;
     addMessage('tool', `🔧 Executing: ${data.tool}(${JSON.stringify(data.input)})`);
+  } else if (data.type === 'tts_info') {
+    ttsBackend = data.backend;
+    ttsBackends = data.backends;
+    serverVoices = data.voices || [];
+    console.log(`TTS backend: ${ttsBackend} (available: ${ttsBackends.join(', ')})`);
+    
+    // The server drops voices its backend doesn't have
+    if (ttsBackend !== 'browser' && ttsSettings.voice && !serverVoices.some(v => v.id === ttsSettings.voice)) {
+      ttsSettings.voice = null;
+      localStorage.setItem(TTS_SETTINGS_KEY, JSON.stringify(ttsSettings));
+    }
+    populateVoices();
+  } else if (data.type === 'llm_info') {
+    populateModels(data.providers, data.settings);
+  } else if (data.type === 'usage') {
+    renderUsage(data);
+    if (data.compacted) {
+      addMessage('command', `Summarized ${data.compacted} older messages to stay within the token budget`);
+    }
+  } else if (data.type === 'speak') {
+    if (!ttsSettings.muted) {
+      rememberSpeech(data.text);
+      speakInBrowser(data.text, data.voice, data.rate);
+    }
+  } else if (data.type === 'tts_state') {
+    // A server-side voice is playing through the speakers
+    serverSpeaking = data.speaking;
+    if (data.speaking) {
+      rememberSpeech(data.text);
+    } else {
+      lastSpeechAt = Date.now();
+    }
+  } else if (data.type === 'interrupted') {
+    assistantBusy = false;
+    stopBrowserSpeech();
+    addMessage('command', '✋ Stopped');
+    onAssistantResponse();
+  } else if (data.type === 'tool_approval_request') {
+    streamingMessageDiv = null;
+    showApprovalRequest(data);
+  } else if (data.type === 'tool_approval_resolved') {
+    resolveApprovalRequest(data);
+  } else if (data.type === 'provider') {
+    // Another provider is taking over - drop the partial answer of the one that failed
+    if (streamingMessageDiv) {
+      streamingMessageDiv.remove();
+      streamingMessageDiv = null;
+    }
+    console.log(`Answering with ${data.label} (${data.model}): ${data.reason}`);
+  } else if (data.type === 'memory_debug') {
+    // What long-term memory was added to the prompt for this message, and why
+    console.groupCollapsed(`Memory: ${data.injected.length} injected (${data.tokens}/${data.budget} tokens, ${data.method || 'no index'})`);
+    data.injected.forEach(item => console.log(`✓ ${item.type} ${item.date.slice(0, 10)}: ${item.reason}`));
+    data.skipped.forEach(item => console.log(`✗ ${item.type} ${item.date.slice(0, 10)} (score ${item.score}): ${item.reason}`));
+    console.groupEnd();
+  } else if (data.type === 'transcript_corrected') {
+    // The server fixed words from the correction dictionary - show what it understood
+    const sent = [...chatContainer.querySelectorAll('.message.user')].pop();
+    if (sent) {
+      sent.textContent = sent.textContent.replace(data.original, data.text);
+    }
+  } else if (data.type === 'corrections_learned') {
+    const learned = data.corrections.map(c => `"${c.from}" → "${c.to}"`).join(', ');
+    addMessage('command', `📖 Learned: ${learned}`);
+    if (!document.getElementById('correctionsPanel').hidden) {
+      loadCorrections();
+    }
+  } else if (data.type === 'message_delta') {
+    appendStreamingText(data.text);
+  } else if (data.type === 'message_end') {
+    assistantBusy = false;
+    let answerDiv = streamingMessageDiv;
+    if (data.interrupted && !answerDiv) {
+      addMessage('command', '✋ Interrupted before answering');
+      onAssistantResponse();
+      return;
+    }
+    if (answerDiv) {
+      // Text is already on screen, just record it in the history
+      messages.push({ role: 'assistant', content: data.response, timestamp: new Date() });
+    } else {
+      answerDiv = addMessage('assistant', data.response);
+    }
+    streamingMessageDiv = null;
+    
+    if (data.interrupted) {
+      answerDiv.classList.add('interrupted');
+    }
+    if (data.provider) {
+      showProviderBadge(answerDiv, data.provider, data.label, data.model);
+    }
+    
+    if (data.usage) {
+      console.log('Token usage:', data.usage);
+    }
+    
+    onAssistantResponse();
   } else if (data.type === 'message') {
+    assistantBusy = false;
     addMessage('assistant', data.response);
-    
-    // In conversational mode, automatically start listening after response
-    if (conversationalMode) {
-      clearTimeout(autoListenTimeout);
-      autoListenTimeout = setTimeout(() => {
-        console.log('Conversational mode: auto-starting listening');
-        startCommandListening();
-      }, 1000); // Wait 1 second after response
+    onAssistantResponse();
+  }
+}
+
+// Small label under an answer saying which model wrote it
+const PROVIDER_ICONS = { claude: '☁️', local: '🦙' };
+
+function showProviderBadge(messageDiv, provider, label, model) {
+  const badge = document.createElement('span');
+  badge.className = `provider-badge ${provider}`;
+  badge.textContent = `${PROVIDER_ICONS[provider] || '🔌'} ${label} (${model})`;
+  messageDiv.appendChild(badge);
+}
+
+// Fill the model dropdown: Auto, then every model of each available provider
+function populateModels(providers, settings) {
+  modelSelect.innerHTML = '';
+
+  const auto = document.createElement('option');
+  auto.value = '';
+  auto.textContent = '🤖 Model: Auto';
+  modelSelect.appendChild(auto);
+
+  for (const provider of providers.filter(p => p.available)) {
+    const group = document.createElement('optgroup');
+    group.label = provider.label;
+
+    for (const model of provider.models) {
+      const option = document.createElement('option');
+      option.value = `${provider.name}|${model}`;
+      option.textContent = model === provider.defaultModel ? `${model} (default)` : model;
+      group.appendChild(option);
     }
+    modelSelect.appendChild(group);
   }
-};
 
-ws.onerror = (error) => {
+  if (settings.provider) {
+    const provider = providers.find(p => p.name === settings.provider);
+    modelSelect.value = `${settings.provider}|${settings.model || provider?.defaultModel}`;
+  } else {
+    modelSelect.value = '';
+  }
+}
+
+// Header widget: this session's context against its budget, and today's cost
+function formatTokens(count) {
+  return count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count);
+}
+
+function renderUsage({ session, today, budget }) {
+  const context = session ? `${formatTokens(session.lastContextTokens)}/${formatTokens(budget.tokens)} ctx · ` : '';
+  usageWidget.textContent = `🪙 ${context}$${today.cost.toFixed(2)} today`;
+  usageWidget.classList.toggle('near-budget', !!session && session.lastContextTokens >= budget.compactAt);
+
+  const lines = [`Today: ${formatTokens(today.input_tokens)} in, ${formatTokens(today.output_tokens)} out, ` +
+    `${today.requests} requests`,
+    `Prompt cache today: ${today.cacheHitRate}% of prompt tokens, ${today.cache_hits || 0} hits, ${today.cache_misses || 0} misses`];
+  if (session) {
+    lines.push(`Session: ${formatTokens(session.input_tokens)} in, ${formatTokens(session.output_tokens)} out, ` +
+      `$${session.cost.toFixed(4)}, ${session.cacheHitRate}% cached, compacted ${session.compactions} time(s)`);
+  }
+  lines.push('Click for daily totals');
+  usageWidget.title = lines.join('\n');
+}
+
+// Show the last week of usage in the chat
+async function showUsageHistory() {
+  try {
+    const response = await fetch(`/api/usage?session=${encodeURIComponent(sessionId || '')}`);
+    const usage = await response.json();
+    const days = usage.days.slice(0, 7).map(day =>
+      `${day.date}: ${formatTokens(day.input_tokens + day.cache_read_input_tokens + day.cache_creation_input_tokens)} in, ` +
+      `${formatTokens(day.output_tokens)} out, ${day.cacheHitRate}% cached, $${day.cost.toFixed(2)}`
+    );
+    addMessage('command', days.length > 0 ? `Token usage - ${days.join(' | ')}` : 'No token usage recorded yet');
+  } catch (error) {
+    console.error('Usage request failed:', error);
+  }
+}
+
+usageWidget.addEventListener('click', showUsageHistory);
+
+function changeModel() {
+  const [provider, model] = modelSelect.value ? modelSelect.value.split('|') : ['auto', null];
+  ws.send(JSON.stringify({ type: 'llm_settings', provider, model }));
+}
+
+function appendStreamingText(text) {
+  if (!streamingMessageDiv) {
+    streamingMessageDiv = document.createElement('div');
+    streamingMessageDiv.className = 'message assistant streaming';
+    chatContainer.appendChild(streamingMessageDiv);
+  }
+  
+  streamingMessageDiv.textContent += text;
+  chatContainer.scrollTop = chatContainer.scrollHeight;
+}
+
+// Browser TTS - used when the server has no local speech backend
+function speakInBrowser(text, voiceName, rate) {
+  if (!window.speechSynthesis) {
+    console.log('speechSynthesis not supported in this browser');
+    return;
+  }
+  
+  const utterance = new SpeechSynthesisUtterance(text);
+  if (voiceName) {
+    const voice = speechSynthesis.getVoices().find(v => v.name === voiceName);
+    if (voice) utterance.voice = voice;
+  }
+  if (rate) utterance.rate = rate;
+  utterance.onend = () => {
+    lastSpeechAt = Date.now();
+  };
+  
+  // speechSynthesis queues utterances, so sentences play in order
+  speechSynthesis.speak(utterance);
+}
+
+function stopBrowserSpeech() {
+  if (window.speechSynthesis && speechSynthesis.speaking) {
+    speechSynthesis.cancel();
+    lastSpeechAt = Date.now();
+  }
+}
+
+// --- Barge-in and echo suppression ---
+
+function rememberSpeech(text) {
+  recentSpeech = [...recentSpeech, text].slice(-10);
+}
+
+function isAssistantSpeaking() {
+  return serverSpeaking || !!(window.speechSynthesis && speechSynthesis.speaking);
+}
+
+function transcriptWords(text) {
+  return WakeWord.normalize(text).split(' ').filter(Boolean);
+}
+
+// True when a transcript is mostly what the assistant was saying when it was heard
+function isEcho(transcript, heardSince = Date.now()) {
+  if (!isAssistantSpeaking() && lastSpeechAt < heardSince - ECHO_WINDOW_MS) {
+    return false;
+  }
+  
+  const words = transcriptWords(transcript);
+  if (words.length === 0) {
+    return false;
+  }
+  const spoken = new Set(recentSpeech.flatMap(transcriptWords));
+  return words.filter(word => spoken.has(word)).length / words.length >= ECHO_MATCH_RATIO;
+}
+
+function isStopPhrase(transcript) {
+  return WakeWord.STOP_PATTERN.test(transcriptWords(transcript).join(' '));
+}
+
+// Someone talking over a busy or speaking assistant stops it (transcript already checked for echo)
+function bargeIn(transcript) {
+  if (!assistantBusy && !isAssistantSpeaking()) return;
+  
+  const stop = isStopPhrase(transcript);
+  if (stop || transcriptWords(transcript).length >= BARGE_IN_MIN_WORDS) {
+    interruptAssistant(stop ? 'stop' : 'speech');
+  }
+}
+
+// Silence speech here and ask the server to stop speaking and cancel the answer
+function interruptAssistant(reason) {
+  if (Date.now() - lastBargeInAt < 1000) return;
+  lastBargeInAt = Date.now();
+  
+  console.log(`✋ Barge-in (${reason})`);
+  stopBrowserSpeech();
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ type: 'interrupt', reason }));
+  }
+}
+
+// Conversational mode keeps listening when what it heard was only echo
+function relistenAfterEcho() {
+  if (conversationalMode) {
+    clearTimeout(autoListenTimeout);
+    autoListenTimeout = setTimeout(startCommandListening, 500);
+  }
+}
+
+function loadTTSSettings() {
+  const defaults = { muted: false, rate: 1.0, voice: null };
+  try {
+    return { ...defaults, ...JSON.parse(localStorage.getItem(TTS_SETTINGS_KEY)) };
+  } catch (e) {
+    return defaults;
+  }
+}
+
+function sendTTSSettings() {
+  localStorage.setItem(TTS_SETTINGS_KEY, JSON.stringify(ttsSettings));
+  updateTTSControls();
+  
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({
+      type: 'tts_settings',
+      muted: ttsSettings.muted,
+      rate: ttsSettings.rate,
+      voice: ttsSettings.voice
+    }));
+  }
+}
+
+function toggleMute() {
+  ttsSettings.muted = !ttsSettings.muted;
+  
+  // Stop anything the browser is already saying
+  if (ttsSettings.muted && window.speechSynthesis) {
+    speechSynthesis.cancel();
+  }
+  
+  sendTTSSettings();
+}
+
+function toggleSpeed() {
+  const current = SPEED_STEPS.findIndex(step => step.rate === ttsSettings.rate);
+  ttsSettings.rate = SPEED_STEPS[(current + 1) % SPEED_STEPS.length].rate;
+  sendTTSSettings();
+}
+
+function changeVoice() {
+  ttsSettings.voice = voiceSelect.value || null;
+  sendTTSSettings();
+}
+
+function updateTTSControls() {
+  muteToggle.textContent = ttsSettings.muted ? '🔇 Sound: OFF' : '🔊 Sound: ON';
+  const step = SPEED_STEPS.find(s => s.rate === ttsSettings.rate);
+  speedToggle.textContent = `⚡ Speed: ${step ? step.label : ttsSettings.rate + 'x'}`;
+}
+
+// Fill the voice dropdown from the active backend (browser voices come from speechSynthesis)
+function populateVoices() {
+  const voices = ttsBackend === 'browser'
+    ? (window.speechSynthesis ? speechSynthesis.getVoices() : []).map(v => ({ id: v.name, name: `${v.name} (${v.lang})` }))
+    : serverVoices;
+  
+  voiceSelect.innerHTML = '';
+  const defaultOption = document.createElement('option');
+  defaultOption.value = '';
+  defaultOption.textContent = voices.length > 0 ? 'Default voice' : 'No voices available';
+  voiceSelect.appendChild(defaultOption);
+  
+  voices.forEach(voice => {
+    const option = document.createElement('option');
+    option.value = voice.id;
+    option.textContent = voice.name;
+    voiceSelect.appendChild(option);
+  });
+  
+  voiceSelect.value = ttsSettings.voice && voices.some(v => v.id === ttsSettings.voice) ? ttsSettings.voice : '';
+}
+
+// Browser voices load asynchronously
+if (window.speechSynthesis) {
+  speechSynthesis.onvoiceschanged = () => {
+    if (ttsBackend === 'browser') {
+      populateVoices();
+    }
+  };
+}
+
+updateTTSControls();
+
+// Tool approval prompt with clickable yes/no (a spoken "yes"/"no" works too)
+function showApprovalRequest(request) {
+  const approvalDiv = document.createElement('div');
+  approvalDiv.className = 'message approval';
+  approvalDiv.dataset.approvalId = request.id;
+  
+  const question = document.createElement('div');
+  question.textContent = `⚠️ Allow: ${request.description}? (${request.reason})`;
+  approvalDiv.appendChild(question);
+  
+  const buttons = document.createElement('div');
+  buttons.className = 'approval-buttons';
+  [['Yes', true], ['No', false]].forEach(([label, approved]) => {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.onclick = () => {
+      ws.send(JSON.stringify({ type: 'tool_approval_response', id: request.id, approved }));
+    };
+    buttons.appendChild(button);
+  });
+  approvalDiv.appendChild(buttons);
+  
+  chatContainer.appendChild(approvalDiv);
+  chatContainer.scrollTop = chatContainer.scrollHeight;
+  
+  // Listen for the spoken answer
+  if (conversationalMode) {
+    clearTimeout(autoListenTimeout);
+    autoListenTimeout = setTimeout(() => {
+      startCommandListening();
+    }, 1000);
+  }
+}
+
+function resolveApprovalRequest(result) {
+  const approvalDiv = chatContainer.querySelector(`[data-approval-id="${CSS.escape(result.id)}"]`);
+  if (!approvalDiv) return;
+  
+  const buttons = approvalDiv.querySelector('.approval-buttons');
+  if (buttons) buttons.remove();
+  
+  const outcome = document.createElement('div');
+  outcome.textContent = result.approved
+    ? '✓ Approved'
+    : (result.source === 'timeout' ? '✗ Denied (no answer)' : '✗ Denied');
+  approvalDiv.appendChild(outcome);
+  approvalDiv.classList.add(result.approved ? 'approved' : 'denied');
+}
+
+function onAssistantResponse() {
+  document.querySelectorAll('.message.streaming').forEach(div => div.classList.remove('streaming'));
+  
+  // In conversational mode, listen again straight away - talking over the answer interrupts it,
+  // and the assistant's own voice is ignored as echo
+  if (conversationalMode) {
+    clearTimeout(autoListenTimeout);
+    autoListenTimeout = setTimeout(() => {
+      console.log('Conversational mode: auto-starting listening');
+      startCommandListening();
+    }, 300);
+  }
+}
+
+function handleSocketError(error) {
   console.error('WebSocket error:', error);
   updateStatus('Connection error');
-};
+}
 
-ws.onclose = () => {
-  updateStatus('Disconnected');
-};
+function handleSocketClose() {
+  updateStatus('Disconnected - reconnecting...');
+  
+  // Keep trying with backoff; the session ID brings the conversation back
+  clearTimeout(reconnectTimeout);
+  reconnectTimeout = setTimeout(connectWebSocket, reconnectDelay);
+  reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
+}
 
 // Wake word recognition
 if (useWebSpeech) {
   wakeWordRecognition.onresult = (event) => {
     const results = event.results;
+    if (isWaitingForCommand || wakeEnrollment) return;
+    
+    // "Stop" works without the wake phrase while the assistant is talking or working
+    const latest = results[results.length - 1][0].transcript;
+    if ((assistantBusy || isAssistantSpeaking()) && isStopPhrase(latest) && !isEcho(latest)) {
+      interruptAssistant('stop');
+      return;
+    }
     
     // Check all results, not just the last one
     for (let i = 0; i < results.length; i++) {
       const transcript = results[i][0].transcript.toLowerCase().trim();
       console.log('Wake word listener heard:', transcript);
       
-      // More flexible wake word detection
-      if (transcript.includes('hey foo') || 
-          transcript.includes('hey fu') ||
-          transcript.includes('a foo') ||
-          transcript.includes('hey food') ||
-          transcript.includes('hay foo')) {
-        console.log('✓ Wake word detected! Starting command listening...');
-        
-        // Visual feedback
-        micIndicator.style.backgroundColor = '#00ff00';
-        setTimeout(() => {
-          micIndicator.style.backgroundColor = '';
-        }, 300);
-        
+      const wake = findWakePhrase(transcript);
+      if (wake) {
+        console.log(`✓ Wake word detected ("${wake.heard}", score ${wake.score})! Starting command listening...`);
+        recordWake({ ...wake, detector: 'speech' });
+        flashMicIndicator();
         startCommandListening();
         break;
       }
@@ -120,7 +656,7 @@ if (useWebSpeech) {
       return;
     }
     
-    if (wakeWordEnabled && !isWaitingForCommand && !conversationalMode) {
+    if (wakeWordEnabled && !isWaitingForCommand && !conversationalMode && !usingLocalDetector()) {
       console.log('Restarting wake word recognition after error...');
       clearTimeout(wakeWordRestartTimeout);
       wakeWordRestartTimeout = setTimeout(() => {
@@ -137,7 +673,7 @@ if (useWebSpeech) {
   wakeWordRecognition.onend = () => {
     console.log('Wake word recognition ended');
     
-    if (wakeWordEnabled && !isWaitingForCommand && !conversationalMode) {
+    if (wakeWordEnabled && !isWaitingForCommand && !conversationalMode && !usingLocalDetector()) {
       console.log('Restarting wake word recognition...');
       clearTimeout(wakeWordRestartTimeout);
       wakeWordRestartTimeout = setTimeout(() => {
@@ -152,7 +688,7 @@ if (useWebSpeech) {
   };
 
   wakeWordRecognition.onstart = () => {
-    console.log('Wake word recognition started - say "Hey Foo"');
+    console.log(`Wake word recognition started - say "${wakeLabel()}"`);
   };
 
   // Command recognition (after wake word)
@@ -170,11 +706,20 @@ if (useWebSpeech) {
     const results = event.results;
     const lastResult = results[results.length - 1];
 
+    if (isEcho(lastResult[0].transcript)) {
+      if (lastResult.isFinal) {
+        console.log('🔇 Ignored echo:', lastResult[0].transcript);
+        messageInput.value = '';
+        relistenAfterEcho();
+      }
+      return;
+    }
+    bargeIn(lastResult[0].transcript);
+
     if (lastResult.isFinal) {
       const transcript = lastResult[0].transcript;
       console.log('Final command:', transcript);
-      messageInput.value = transcript;
-      sendMessage(transcript);
+      sendTranscript(transcript);
       stopCommandListening();
     } else {
       // Show interim results
@@ -195,6 +740,657 @@ if (useWebSpeech) {
   };
 }
 
+// Find a wake phrase in a transcript; returns { phrase, score, heard, remainder } or null
+// remainder is whatever was said after the wake phrase
+function findWakePhrase(transcript) {
+  return wakeMatcher.match(transcript);
+}
+
+function flashMicIndicator() {
+  micIndicator.style.backgroundColor = '#00ff00';
+  setTimeout(() => {
+    micIndicator.style.backgroundColor = '';
+  }, 300);
+}
+
+// --- MediaRecorder capture path ---
+
+async function ensureAudioPipeline() {
+  if (audioStream) return;
+  
+  audioStream = await navigator.mediaDevices.getUserMedia({
+    audio: { echoCancellation: true, noiseSuppression: true }
+  });
+  audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  analyser = audioContext.createAnalyser();
+  analyser.fftSize = 2048;
+  audioSource = audioContext.createMediaStreamSource(audioStream);
+  audioSource.connect(analyser);
+}
+
+// Root-mean-square energy of the current audio frame
+function currentEnergy() {
+  const samples = new Float32Array(analyser.fftSize);
+  analyser.getFloatTimeDomainData(samples);
+  let sum = 0;
+  for (const sample of samples) {
+    sum += sample * sample;
+  }
+  return Math.sqrt(sum / samples.length);
+}
+
+// mode: 'command' sends the transcript, 'wake' checks it for a wake phrase
+// autoStop: stop on silence (push-to-talk passes false and stops on release)
+async function startRecording({ mode = 'command', autoStop = true } = {}) {
+  if (recording) return;
+  
+  try {
+    await ensureAudioPipeline();
+  } catch (error) {
+    console.log('✗ Microphone unavailable:', error);
+    addMessage('assistant', '⚠️ Please allow microphone access for voice control to work.');
+    return;
+  }
+  
+  if (audioContext.state === 'suspended') {
+    await audioContext.resume();
+  }
+  
+  // Another recording may have started while the mic was opening
+  if (recording) return;
+  
+  const state = {
+    recorder: new MediaRecorder(audioStream),
+    chunks: [],
+    mode,
+    autoStop,
+    speechDetected: !autoStop, // push-to-talk always sends what it recorded
+    startedAt: Date.now(),
+    lastVoiceAt: Date.now(),
+    discard: false
+  };
+  recording = state;
+  
+  state.recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) {
+      state.chunks.push(event.data);
+    }
+  };
+  state.recorder.onstop = () => finishRecording(state);
+  state.recorder.start(250);
+  
+  if (mode === 'command') {
+    isListening = true;
+    isWaitingForCommand = true;
+    micIndicator.classList.remove('mic-off');
+    micIndicator.classList.add('mic-on');
+    updateStatus('Listening...');
+    messageInput.placeholder = 'Listening...';
+  }
+  
+  // Voice activity detection drives auto stop
+  clearInterval(vadInterval);
+  vadInterval = setInterval(() => {
+    if (!recording) return;
+    
+    const now = Date.now();
+    const energy = currentEnergy();
+    if (energy > VAD_THRESHOLD) {
+      recording.speechDetected = true;
+      recording.lastVoiceAt = now;
+    }
+    
+    // Sustained loud speech over the assistant is the user barging in
+    if (recording.mode === 'command' && energy > BARGE_IN_ENERGY && (assistantBusy || isAssistantSpeaking())) {
+      recording.loudSince = recording.loudSince || now;
+      if (now - recording.loudSince >= BARGE_IN_MS) {
+        interruptAssistant('speech');
+      }
+    } else {
+      recording.loudSince = null;
+    }
+    
+    if (now - recording.startedAt > MAX_RECORDING_MS) {
+      stopRecording();
+    } else if (recording.autoStop) {
+      if (recording.speechDetected && now - recording.lastVoiceAt > VAD_SILENCE_MS) {
+        stopRecording();
+      } else if (!recording.speechDetected && now - recording.startedAt > VAD_NO_SPEECH_MS) {
+        stopRecording();
+      }
+    }
+  }, 50);
+}
+
+// Stops the current recording; the mic is free for a new one straight away
+function stopRecording({ discard = false } = {}) {
+  clearInterval(vadInterval);
+  if (!recording) return;
+  
+  const state = recording;
+  recording = null;
+  state.discard = discard;
+  if (state.recorder.state !== 'inactive') {
+    state.recorder.stop();
+  }
+}
+
+async function finishRecording(finished) {
+  const blob = new Blob(finished.chunks, { type: finished.recorder.mimeType || 'audio/webm' });
+  
+  if (finished.discard || !finished.speechDetected) {
+    if (finished.mode === 'command') {
+      stopCommandListening();
+    } else if (wakeWordEnabled && !conversationalMode) {
+      startWakeWordRecording();
+    }
+    return;
+  }
+  
+  if (finished.mode === 'command') {
+    updateStatus('Transcribing...');
+  }
+  
+  const result = await transcribeAudio(blob);
+  
+  // Without a speech-to-text engine every recording fails - stop listening instead of retrying
+  if (!result && speechToTextUnavailable) {
+    if (wakeWordEnabled) {
+      toggleWakeWord();
+    }
+    if (conversationalMode) {
+      toggleConversationalMode();
+    } else if (finished.mode === 'command') {
+      stopCommandListening();
+    }
+    return;
+  }
+  
+  if (finished.mode === 'wake') {
+    const wake = result && !wakeEnrollment && findWakePhrase(result.text);
+    if (wake) {
+      console.log(`✓ Wake word detected ("${wake.heard}", score ${wake.score})! Starting command listening...`);
+      recordWake({ ...wake, detector: 'speech' });
+      flashMicIndicator();
+      
+      // "Hey Foo, list the files" - the command came with the wake phrase
+      if (wake.remainder.split(' ').length >= 2) {
+        sendTranscript(wake.remainder);
+        stopCommandListening();
+      } else {
+        startCommandListening();
+      }
+    } else if (wakeWordEnabled && !conversationalMode) {
+      startWakeWordRecording();
+    }
+    return;
+  }
+  
+  if (result && result.text.trim() && isEcho(result.text, finished.startedAt)) {
+    console.log('🔇 Ignored echo:', result.text);
+    stopCommandListening();
+    relistenAfterEcho();
+    return;
+  }
+  
+  if (result && result.text.trim()) {
+    sendTranscript(result.text, result.words);
+  }
+  stopCommandListening();
+}
+
+// Upload a recording to the server's local speech-to-text
+async function transcribeAudio(blob) {
+  const formData = new FormData();
+  formData.append('audio', blob, 'recording.webm');
+  formData.append('language', navigator.language || 'en-US');
+  
+  try {
+    const response = await fetch('/transcribe', { method: 'POST', body: formData });
+    const data = await response.json();
+    
+    if (!response.ok) {
+      console.log('Transcription failed:', data.error);
+      // Warn once - always-on listening would repeat it for every utterance
+      if (response.status === 503 && !speechToTextUnavailable) {
+        speechToTextUnavailable = true;
+        addMessage('assistant', `⚠️ ${data.error}`);
+      }
+      return null;
+    }
+    
+    console.log(`Transcribed with ${data.engine}:`, data.text);
+    return data;
+  } catch (error) {
+    console.log('Transcription request failed:', error);
+    return null;
+  }
+}
+
+function startWakeWordRecording() {
+  clearTimeout(wakeWordRestartTimeout);
+  if (usingLocalDetector()) {
+    startLocalWakeDetector();
+    return;
+  }
+  wakeWordRestartTimeout = setTimeout(() => {
+    if (wakeWordEnabled && !conversationalMode && !isWaitingForCommand) {
+      startRecording({ mode: 'wake' });
+    }
+  }, 100);
+}
+
+// --- Wake word settings and local detector ---
+
+function loadWakeSettings() {
+  const defaults = { phrases: WakeWord.DEFAULT_PHRASES, sensitivity: 0.5, detector: 'speech', templates: [] };
+  try {
+    return { ...defaults, ...JSON.parse(localStorage.getItem(WAKE_SETTINGS_KEY)) };
+  } catch (e) {
+    return defaults;
+  }
+}
+
+function saveWakeSettings() {
+  localStorage.setItem(WAKE_SETTINGS_KEY, JSON.stringify(wakeSettings));
+  wakeMatcher.configure(wakeSettings);
+  sendWakeDetectorSettings();
+  updateWakeControls();
+}
+
+// The first wake phrase as shown to the user, e.g. "Hey Foo"
+function wakeLabel() {
+  return wakeMatcher.phrases[0].replace(/\b\w/g, c => c.toUpperCase());
+}
+
+function usingLocalDetector() {
+  return wakeSettings.detector === 'local' && wakeSettings.templates.length >= WAKE_TEMPLATE_COUNT;
+}
+
+function updateWakeControls() {
+  document.getElementById('wakePhrasesInput').value = wakeMatcher.phrases.join(', ');
+  document.getElementById('wakeSensitivity').value = Math.round(wakeMatcher.sensitivity * 100);
+  document.getElementById('wakeSensitivityValue').textContent =
+    `${Math.round(wakeMatcher.sensitivity * 100)}% (match ≥ ${wakeMatcher.threshold().toFixed(2)})`;
+  document.getElementById('wakeDetectorSelect').value = wakeSettings.detector;
+  if (!wakeEnrollment) {
+    document.getElementById('wakeTrainStatus').textContent = wakeSettings.templates.length >= WAKE_TEMPLATE_COUNT
+      ? '✓ Trained'
+      : 'Not trained yet';
+  }
+  
+  if (wakeWordEnabled && !conversationalMode && !isWaitingForCommand) {
+    messageInput.placeholder = `Type or say "${wakeLabel()}" to speak...`;
+  }
+}
+
+function toggleWakeSettings() {
+  const panel = document.getElementById('wakeSettings');
+  panel.hidden = !panel.hidden;
+  if (!panel.hidden) {
+    updateWakeControls();
+    renderWakeLog();
+  }
+}
+
+function changeWakePhrases() {
+  const phrases = document.getElementById('wakePhrasesInput').value.split(',').map(p => p.trim()).filter(Boolean);
+  wakeSettings.phrases = phrases.length > 0 ? phrases : WakeWord.DEFAULT_PHRASES;
+  saveWakeSettings();
+}
+
+function changeWakeSensitivity() {
+  wakeSettings.sensitivity = document.getElementById('wakeSensitivity').value / 100;
+  saveWakeSettings();
+}
+
+function changeWakeDetector() {
+  wakeSettings.detector = document.getElementById('wakeDetectorSelect').value;
+  if (wakeSettings.detector === 'local' && !usingLocalDetector()) {
+    addMessage('command', `Train the local detector first: click 🎓 Train and say "${wakeLabel()}" ${WAKE_TEMPLATE_COUNT} times. Until then speech recognition listens for the wake word.`);
+  }
+  saveWakeSettings();
+  restartWakeListening();
+}
+
+// Hand wake word listening over to the detector the settings now pick
+function restartWakeListening() {
+  if (!wakeWordEnabled || conversationalMode || isWaitingForCommand) return;
+  
+  if (usingLocalDetector()) {
+    if (useWebSpeech) {
+      try {
+        wakeWordRecognition.stop();
+      } catch (e) {
+        console.log('Wake word recognition not running');
+      }
+    } else if (recording && recording.mode === 'wake') {
+      stopRecording({ discard: true });
+    }
+    startLocalWakeDetector();
+  } else {
+    pauseLocalWakeDetector();
+    if (useWebSpeech) {
+      try {
+        wakeWordRecognition.start();
+      } catch (e) {
+        console.log('Wake word recognition already running:', e.message);
+      }
+    } else if (useMediaRecorder) {
+      startWakeWordRecording();
+    }
+  }
+}
+
+// Load the local detector and feed it the microphone (created once, paused until needed)
+function ensureWakeDetector() {
+  if (!wakeDetectorReady) {
+    wakeDetectorReady = (async () => {
+      await ensureAudioPipeline();
+      if (audioContext.state === 'suspended') {
+        await audioContext.resume();
+      }
+      await audioContext.audioWorklet.addModule('wake-word-worklet.js');
+      
+      const detector = new AudioWorkletNode(audioContext, 'wake-word-detector', { numberOfOutputs: 0 });
+      detector.port.onmessage = (event) => handleWakeDetectorMessage(event.data);
+      detector.port.postMessage({ type: 'pause' });
+      audioSource.connect(detector);
+      return detector;
+    })();
+    
+    wakeDetectorReady.then(sendWakeDetectorSettings).catch(() => {
+      wakeDetectorReady = null; // try again next time
+    });
+  }
+  return wakeDetectorReady;
+}
+
+function sendWakeDetectorSettings() {
+  if (!wakeDetectorReady) return;
+  wakeDetectorReady.then(detector => {
+    detector.port.postMessage({ type: 'templates', templates: wakeSettings.templates });
+    detector.port.postMessage({ type: 'config', threshold: wakeMatcher.threshold() });
+  }).catch(() => {});
+}
+
+function startLocalWakeDetector() {
+  ensureWakeDetector().then(detector => {
+    detector.port.postMessage({ type: 'resume' });
+    console.log('Local wake word detector listening');
+  }).catch(error => {
+    console.log('✗ Local wake word detector unavailable:', error);
+    addMessage('command', `Local wake word detector unavailable: ${error.message}`);
+  });
+}
+
+function pauseLocalWakeDetector() {
+  if (!wakeDetectorReady) return;
+  wakeDetectorReady.then(detector => detector.port.postMessage({ type: 'pause' })).catch(() => {});
+}
+
+function handleWakeDetectorMessage(message) {
+  if (message.type === 'enrolled') {
+    addWakeRecording(message.features);
+    return;
+  }
+  if (message.type !== 'utterance') return;
+  
+  console.log(`Local wake detector heard ${message.durationMs}ms of speech, score ${message.score} (needs ${wakeMatcher.threshold().toFixed(2)})`);
+  if (!message.detected || !wakeWordEnabled || conversationalMode || isWaitingForCommand || wakeEnrollment) return;
+  
+  console.log('✓ Wake word detected locally! Starting command listening...');
+  recordWake({
+    detector: 'local',
+    phrase: wakeMatcher.phrases[0],
+    heard: `${message.durationMs}ms of speech`,
+    score: message.score
+  });
+  flashMicIndicator();
+  startCommandListening();
+}
+
+// Record the wake phrase a few times for the local detector; clicking again cancels
+async function trainLocalDetector() {
+  const trainStatus = document.getElementById('wakeTrainStatus');
+  
+  if (wakeEnrollment) {
+    wakeEnrollment = null;
+    wakeDetectorReady.then(detector => detector.port.postMessage({ type: 'cancel' })).catch(() => {});
+    updateWakeControls();
+    return;
+  }
+  
+  let detector;
+  try {
+    detector = await ensureWakeDetector();
+  } catch (error) {
+    console.log('✗ Local wake word detector unavailable:', error);
+    trainStatus.textContent = `Unavailable: ${error.message}`;
+    return;
+  }
+  
+  wakeEnrollment = [];
+  trainStatus.textContent = `Say "${wakeLabel()}" (1/${WAKE_TEMPLATE_COUNT})...`;
+  detector.port.postMessage({ type: 'enroll' });
+}
+
+function addWakeRecording(features) {
+  if (!wakeEnrollment) return;
+  wakeEnrollment.push(features);
+  
+  if (wakeEnrollment.length < WAKE_TEMPLATE_COUNT) {
+    document.getElementById('wakeTrainStatus').textContent =
+      `Again: "${wakeLabel()}" (${wakeEnrollment.length + 1}/${WAKE_TEMPLATE_COUNT})...`;
+    wakeDetectorReady.then(detector => detector.port.postMessage({ type: 'enroll' }));
+    return;
+  }
+  
+  wakeSettings.templates = wakeEnrollment;
+  wakeEnrollment = null;
+  saveWakeSettings();
+  addMessage('command', `🎓 Local wake word detector trained on ${WAKE_TEMPLATE_COUNT} recordings`);
+  restartWakeListening();
+}
+
+// --- False trigger log ---
+
+// Remember the latest wake-up so it can be logged as a false trigger
+function recordWake(wake) {
+  lastWake = {
+    at: new Date().toISOString(),
+    detector: wake.detector,
+    phrase: wake.phrase,
+    heard: wake.heard,
+    score: wake.score,
+    threshold: Number(wakeMatcher.threshold().toFixed(3)),
+    commandSent: false,
+    checked: false
+  };
+}
+
+function loadWakeLog() {
+  try {
+    return JSON.parse(localStorage.getItem(WAKE_LOG_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function logFalseTrigger(wake, reason) {
+  if (wake.logged) return;
+  wake.logged = true;
+  
+  const { commandSent, checked, logged, ...entry } = wake;
+  const log = [{ ...entry, reason }, ...loadWakeLog()].slice(0, WAKE_LOG_LIMIT);
+  localStorage.setItem(WAKE_LOG_KEY, JSON.stringify(log));
+  console.log(`👎 False wake trigger (${reason}):`, entry);
+  renderWakeLog();
+}
+
+function reportFalseTrigger() {
+  if (!lastWake) {
+    addMessage('command', 'Nothing has woken me up yet');
+  } else if (lastWake.logged) {
+    addMessage('command', 'That wake-up is already in the false trigger log');
+  } else {
+    logFalseTrigger(lastWake, 'reported');
+    addMessage('command', `👎 Logged the wake-up on "${lastWake.heard}" as a false trigger`);
+  }
+}
+
+function clearWakeLog() {
+  localStorage.removeItem(WAKE_LOG_KEY);
+  renderWakeLog();
+}
+
+function renderWakeLog() {
+  const list = document.getElementById('wakeLog');
+  const hint = document.getElementById('wakeLogHint');
+  const log = loadWakeLog();
+  
+  list.innerHTML = '';
+  for (const entry of log) {
+    const item = document.createElement('li');
+    item.textContent = `${new Date(entry.at).toLocaleString()} · ${entry.detector} · "${entry.heard}" ` +
+      `scored ${entry.score} (needed ${entry.threshold}) · ${entry.reason}`;
+    list.appendChild(item);
+  }
+  
+  // Both detectors use the matcher's threshold, so the highest false score says how strict to be
+  const highest = Math.max(...log.map(entry => entry.score));
+  const strictest = Math.floor((0.95 - highest) / 0.4 * 100);
+  if (log.length === 0) {
+    hint.textContent = 'none logged.';
+  } else if (strictest < 0) {
+    hint.textContent = `${log.length} logged. Some matched even at 0% sensitivity - a longer or less common phrase would help.`;
+  } else {
+    hint.textContent = `${log.length} logged. A sensitivity of ${strictest}% or lower would have ignored all of them.`;
+  }
+}
+
+// Correction dictionary panel - entries come from /api/corrections
+function toggleCorrections() {
+  const panel = document.getElementById('correctionsPanel');
+  panel.hidden = !panel.hidden;
+  if (!panel.hidden) {
+    document.getElementById('reviewTranscriptsToggle').checked = reviewTranscripts;
+    document.getElementById('correctionUserInput').value = correctionUser;
+    loadCorrections();
+  }
+}
+
+function changeReviewTranscripts() {
+  reviewTranscripts = document.getElementById('reviewTranscriptsToggle').checked;
+  localStorage.setItem(REVIEW_TRANSCRIPTS_KEY, String(reviewTranscripts));
+}
+
+function changeCorrectionUser() {
+  const user = document.getElementById('correctionUserInput').value.trim();
+  correctionUser = /^[\w.-]{1,64}$/.test(user) ? user : 'default';
+  document.getElementById('correctionUserInput').value = correctionUser;
+  localStorage.setItem(CORRECTION_USER_KEY, correctionUser);
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ type: 'correction_user', user: correctionUser }));
+  }
+  loadCorrections();
+}
+
+async function loadCorrections() {
+  const response = await adminFetch(`/api/corrections?user=${encodeURIComponent(correctionUser)}`);
+  if (response && response.ok) {
+    renderCorrections((await response.json()).corrections);
+  }
+}
+
+function renderCorrections(corrections) {
+  const list = document.getElementById('correctionList');
+  list.innerHTML = '';
+  if (corrections.length === 0) {
+    const item = document.createElement('li');
+    item.textContent = 'No corrections yet.';
+    list.appendChild(item);
+  }
+  
+  for (const correction of corrections) {
+    const item = document.createElement('li');
+    const heard = correction.from ? `"${correction.from}"` : '(sounds like)';
+    item.textContent = `${correction.kind} · ${heard} → "${correction.to}" · ${correction.source} `;
+    
+    const remove = document.createElement('button');
+    remove.textContent = '✕';
+    remove.title = 'Delete this correction';
+    remove.onclick = () => deleteCorrection(correction.id);
+    item.appendChild(remove);
+    list.appendChild(item);
+  }
+}
+
+async function addCorrection() {
+  const fromInput = document.getElementById('correctionFrom');
+  const toInput = document.getElementById('correctionTo');
+  const response = await adminFetch('/api/corrections', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      user: correctionUser,
+      kind: document.getElementById('correctionKind').value,
+      from: fromInput.value,
+      to: toInput.value
+    })
+  });
+  if (!response) return;
+  
+  if (!response.ok) {
+    addMessage('command', `Could not add the correction: ${(await response.json()).error}`);
+    return;
+  }
+  fromInput.value = '';
+  toInput.value = '';
+  loadCorrections();
+}
+
+async function deleteCorrection(id) {
+  const response = await adminFetch(`/api/corrections/${encodeURIComponent(id)}?user=${encodeURIComponent(correctionUser)}`, {
+    method: 'DELETE'
+  });
+  if (response && response.ok) {
+    loadCorrections();
+  }
+}
+
+// Push-to-talk: hold the mic button to record, release to send
+function startPushToTalk() {
+  if (useWebSpeech) {
+    startCommandListening();
+  } else if (useMediaRecorder) {
+    // Hand the mic over from wake word listening
+    if (recording && recording.mode === 'wake') {
+      stopRecording({ discard: true });
+    }
+    pushToTalkHeld = true;
+    startRecording({ mode: 'command', autoStop: false }).then(() => {
+      // Released while the mic was still starting up
+      if (!pushToTalkHeld) {
+        stopRecording();
+      }
+    });
+  } else {
+    alert('Voice input is not supported in this browser.');
+  }
+}
+
+function stopPushToTalk() {
+  pushToTalkHeld = false;
+  if (useWebSpeech) {
+    if (isListening) {
+      recognition.stop();
+    }
+  } else if (recording && recording.mode === 'command') {
+    stopRecording();
+  }
+}
+
 function toggleConversationalMode() {
   conversationalMode = !conversationalMode;
   
@@ -209,12 +1405,12 @@ function toggleConversationalMode() {
     }
     
     // Start listening immediately without announcement
-    if (useWebSpeech) {
+    if (useWebSpeech || useMediaRecorder) {
       setTimeout(() => {
         startCommandListening();
       }, 500);
     } else {
-      alert('Web Speech API not supported. Please use Chrome or Edge browser.');
+      alert('Voice input is not supported in this browser.');
     }
   } else {
     conversationalToggle.textContent = 'Conversational: OFF';
@@ -225,12 +1421,14 @@ function toggleConversationalMode() {
     clearTimeout(autoListenTimeout);
     
     // Stop listening if active
-    if (isListening) {
+    if (isListening && useWebSpeech) {
       try {
         recognition.stop();
       } catch (e) {
         console.log('Could not stop recognition');
       }
+    } else if (recording) {
+      stopRecording({ discard: true });
     }
     
     stopCommandListening();
@@ -249,23 +1447,29 @@ function toggleWakeWord() {
     wakeWordToggle.textContent = 'Wake Word: ON';
     wakeWordToggle.style.color = '#00ff00';
     micIndicator.style.opacity = '0.6';
-    updateStatus('Listening for "Hey Foo"...');
+    updateStatus(`Listening for "${wakeLabel()}"...`);
     
-    if (useWebSpeech) {
+    if (usingLocalDetector()) {
+      startLocalWakeDetector();
+    } else if (useWebSpeech) {
       try {
         wakeWordRecognition.start();
         console.log('Wake word detection enabled');
       } catch (e) {
         console.log('Wake word recognition already running:', e.message);
       }
+    } else if (useMediaRecorder) {
+      startWakeWordRecording();
+      console.log('Wake word detection enabled (server-side transcription)');
     } else {
-      alert('Web Speech API not supported. Please use Chrome or Edge browser.');
+      alert('Voice input is not supported in this browser.');
     }
   } else {
     wakeWordToggle.textContent = 'Wake Word: OFF';
     wakeWordToggle.style.color = '#00cc00';
     micIndicator.style.opacity = '0.3';
     updateStatus('Ready');
+    pauseLocalWakeDetector();
     
     if (useWebSpeech) {
       try {
@@ -274,6 +1478,8 @@ function toggleWakeWord() {
       } catch (e) {
         console.log('Wake word recognition not running');
       }
+    } else if (recording && recording.mode === 'wake') {
+      stopRecording({ discard: true });
     }
     
     clearTimeout(wakeWordRestartTimeout);
@@ -285,6 +1491,15 @@ function startCommandListening() {
     console.log('Already waiting for command, ignoring...');
     return;
   }
+  pauseLocalWakeDetector();
+  
+  if (!useWebSpeech) {
+    if (useMediaRecorder) {
+      clearTimeout(wakeWordRestartTimeout);
+      startRecording({ mode: 'command' });
+    }
+    return;
+  }
   
   // Stop wake word recognition temporarily (only if not in conversational mode)
   if (wakeWordEnabled && !conversationalMode) {
@@ -308,14 +1523,26 @@ function stopCommandListening() {
   micIndicator.classList.remove('mic-on');
   micIndicator.classList.add('mic-off');
   
+  // Woke up but no command followed - most likely a false trigger
+  if (lastWake && !lastWake.checked) {
+    lastWake.checked = true;
+    if (!lastWake.commandSent) {
+      logFalseTrigger(lastWake, 'no command followed');
+    }
+  }
+  
   if (conversationalMode) {
     messageInput.placeholder = 'Type or speak...';
     updateStatus('Ready');
   } else if (wakeWordEnabled) {
-    messageInput.placeholder = 'Type or say "Hey Foo" to speak...';
-    updateStatus('Listening for "Hey Foo"...');
+    messageInput.placeholder = `Type or say "${wakeLabel()}" to speak...`;
+    updateStatus(`Listening for "${wakeLabel()}"...`);
     
     // Restart wake word recognition
+    if (!useWebSpeech || usingLocalDetector()) {
+      startWakeWordRecording();
+      return;
+    }
     setTimeout(() => {
       if (wakeWordEnabled && !isWaitingForCommand) {
         try {
@@ -332,19 +1559,169 @@ function stopCommandListening() {
   }
 }
 
-function sendMessage(text) {
-  const message = text || messageInput.value;
-  if (!message.trim()) return;
+// A final transcript - sent right away, or left in the input box to fix first
+function sendTranscript(text, words) {
+  heardTranscript = { text, words };
+  messageInput.value = text;
+  if (reviewTranscripts) {
+    messageInput.focus();
+    updateStatus('Fix the transcript if needed, then press Enter');
+    return;
+  }
+  sendMessage(text, words);
+}
+
+// words: word-level confidences when the text came from server-side transcription
+// Whether a message is the transcript with a few words fixed, rather than something retyped
+function isEditOf(heard, text) {
+  const heardWords = transcriptWords(heard);
+  const textWords = transcriptWords(text);
+  const kept = heardWords.filter(word => textWords.includes(word)).length;
+  return kept >= Math.max(heardWords.length, textWords.length) * 0.5;
+}
+
+function sendMessage(text, words) {
+  let message = text || messageInput.value;
 
-  addMessage('user', message);
+  // Spoken messages carry what was heard, so the server can apply and learn corrections.
+  // A different message typed over the transcript is sent as typed
+  const heard = heardTranscript && isEditOf(heardTranscript.text, message) ? heardTranscript : null;
+  heardTranscript = null;
+  if (heard && !words && message === heard.text) {
+    words = heard.words;
+  }
+
+  if (!message.trim()) {
+    if (pendingAttachments.length === 0) return;
+    message = 'Take a look at the attached files.';
+  }
+
+  if (lastWake) {
+    lastWake.commandSent = true;
+  }
+  assistantBusy = true;
+
+  const attachments = pendingAttachments.map(a => a.id);
+  const attachedNames = pendingAttachments.map(a => `📎 ${a.name}`).join('  ');
+
+  addMessage('user', attachedNames ? `${attachedNames}  ${message}` : message);
   messageInput.value = '';
+  pendingAttachments = [];
+  renderAttachmentChips();
 
   ws.send(JSON.stringify({
     type: 'voice_input',
-    text: message
+    text: message,
+    ...(words && { words }),
+    ...(heard && { transcript: heard.text }),
+    ...(attachments.length > 0 && { attachments })
   }));
 }
 
+// Collect { file, path } for dropped items, walking into folders
+async function collectDroppedFiles(dataTransfer) {
+  const entries = [...dataTransfer.items]
+    .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+    .filter(Boolean);
+
+  // Browsers without the entries API only give flat files
+  if (entries.length === 0) {
+    return [...dataTransfer.files].map(file => ({ file, path: file.name }));
+  }
+
+  const collected = [];
+  const walk = async (entry, prefix) => {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      collected.push({ file, path: prefix + entry.name });
+    } else if (entry.isDirectory && !SKIPPED_FOLDERS.includes(entry.name)) {
+      const reader = entry.createReader();
+      // readEntries returns the folder in batches until it comes back empty
+      let batch;
+      do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of batch) {
+          await walk(child, `${prefix}${entry.name}/`);
+        }
+      } while (batch.length > 0);
+    }
+  };
+
+  for (const entry of entries) {
+    await walk(entry, '');
+  }
+  return collected;
+}
+
+async function uploadAttachments(dropped) {
+  if (dropped.length === 0) return;
+
+  const formData = new FormData();
+  for (const { file, path } of dropped) {
+    formData.append('files', file, file.name);
+    formData.append('paths', path);
+  }
+
+  updateStatus(`Uploading ${dropped.length} file(s)...`);
+  try {
+    const response = await fetch(`/api/attachments?session=${encodeURIComponent(sessionId)}`, {
+      method: 'POST',
+      body: formData
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      addMessage('command', `Could not attach files: ${data.error}`);
+      return;
+    }
+
+    pendingAttachments.push(...data.attachments);
+    renderAttachmentChips();
+    messageInput.focus();
+  } catch (error) {
+    addMessage('command', `Could not attach files: ${error.message}`);
+  } finally {
+    updateStatus('Ready');
+  }
+}
+
+function removeAttachment(id) {
+  pendingAttachments = pendingAttachments.filter(a => a.id !== id);
+  renderAttachmentChips();
+
+  fetch(`/api/attachments/${encodeURIComponent(id)}?session=${encodeURIComponent(sessionId)}`, { method: 'DELETE' })
+    .catch(() => {});
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function renderAttachmentChips() {
+  attachmentChips.innerHTML = '';
+
+  for (const attachment of pendingAttachments) {
+    const chip = document.createElement('span');
+    chip.className = `attachment-chip ${attachment.kind}`;
+
+    const icon = attachment.kind === 'folder' ? '📁' : attachment.kind === 'image' ? '🖼️' : '📄';
+    const detail = attachment.kind === 'folder'
+      ? `${attachment.fileCount} files, ${formatSize(attachment.size)}`
+      : formatSize(attachment.size);
+    chip.textContent = `${icon} ${attachment.name} (${detail})`;
+
+    const remove = document.createElement('button');
+    remove.textContent = '✕';
+    remove.title = 'Remove attachment';
+    remove.onclick = () => removeAttachment(attachment.id);
+    chip.appendChild(remove);
+
+    attachmentChips.appendChild(chip);
+  }
+}
+
 function addMessage(role, content) {
   const messageDiv = document.createElement('div');
   messageDiv.className = `message ${role}`;
@@ -353,6 +1730,7 @@ function addMessage(role, content) {
   chatContainer.scrollTop = chatContainer.scrollHeight;
 
   messages.push({ role, content, timestamp: new Date() });
+  return messageDiv;
 }
 
 function handleCommand(action, original) {
@@ -386,6 +1764,7 @@ function clearChat() {
   if (confirm('Clear all messages?')) {
     chatContainer.innerHTML = '';
     messages = [];
+    ws.send(JSON.stringify({ type: 'clear_history' }));
     addMessage('command', 'Chat cleared');
   }
 }
@@ -419,6 +1798,50 @@ function copyLastMessage() {
   }
 }
 
+// Admin endpoints need the token the server prints at startup (or ADMIN_TOKEN from .env)
+// Returns the response, or null when there's no valid token or the server can't be reached
+async function adminFetch(url, options = {}) {
+  let token = localStorage.getItem('juzgofoo.adminToken');
+  if (!token) {
+    token = prompt('Admin token (printed in the server console at startup):');
+    if (!token) return null;
+  }
+  
+  try {
+    const response = await fetch(url, {
+      ...options,
+      headers: { ...options.headers, Authorization: `Bearer ${token}` }
+    });
+    
+    if (response.status === 401) {
+      localStorage.removeItem('juzgofoo.adminToken');
+      addMessage('command', 'Invalid admin token');
+      return null;
+    }
+    
+    localStorage.setItem('juzgofoo.adminToken', token);
+    return response;
+  } catch (error) {
+    addMessage('command', `Could not reach the server: ${error.message}`);
+    return null;
+  }
+}
+
+async function callAdminEndpoint(action) {
+  const response = await adminFetch(`/api/admin/${action}`, { method: 'POST' });
+  return !!response && response.ok;
+}
+
+function shutdownServer() {
+  if (confirm('Shut down the server? Memory and sessions will be saved first.')) {
+    callAdminEndpoint('shutdown');
+  }
+}
+
+function rebootServer() {
+  callAdminEndpoint('reboot');
+}
+
 function updateStatus(text) {
   statusText.textContent = text;
 }
@@ -433,7 +1856,7 @@ window.addEventListener('load', () => {
     navigator.mediaDevices.getUserMedia({ audio: true })
       .then(() => {
         console.log('✓ Microphone access granted');
-        addMessage('assistant', '✓ Microphone ready. Choose your mode: Wake Word (say "Hey Foo" each time) or Conversational (continuous listening).');
+        addMessage('assistant', `✓ Microphone ready. Choose your mode: Wake Word (say "${wakeLabel()}" each time) or Conversational (continuous listening).`);
       })
       .catch((err) => {
         console.log('✗ Microphone access denied:', err);
@@ -442,6 +1865,48 @@ window.addEventListener('load', () => {
   }
 });
 
+// Push-to-talk button
+const pttButton = document.getElementById('pttButton');
+pttButton.addEventListener('pointerdown', (e) => {
+  e.preventDefault();
+  pttButton.classList.add('active');
+  startPushToTalk();
+});
+['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+  pttButton.addEventListener(type, () => {
+    if (!pttButton.classList.contains('active')) return;
+    pttButton.classList.remove('active');
+    stopPushToTalk();
+  });
+});
+
+// Drag and drop files or folders anywhere on the page
+document.addEventListener('dragenter', (e) => {
+  if (!e.dataTransfer.types.includes('Files')) return;
+  e.preventDefault();
+  dragDepth++;
+  dropOverlay.classList.add('active');
+});
+document.addEventListener('dragover', (e) => {
+  if (e.dataTransfer.types.includes('Files')) {
+    e.preventDefault();
+  }
+});
+document.addEventListener('dragleave', () => {
+  dragDepth = Math.max(0, dragDepth - 1);
+  if (dragDepth === 0) {
+    dropOverlay.classList.remove('active');
+  }
+});
+document.addEventListener('drop', async (e) => {
+  e.preventDefault();
+  dragDepth = 0;
+  dropOverlay.classList.remove('active');
+
+  const dropped = await collectDroppedFiles(e.dataTransfer);
+  await uploadAttachments(dropped);
+});
+
 // Enter key to send message
 messageInput.addEventListener('keypress', (e) => {
   if (e.key === 'Enter') {
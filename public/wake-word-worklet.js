@@ -0,0 +1,296 @@
+/**
+ * Local Wake Word Detector (AudioWorklet)
+ * Runs entirely in the browser - no audio leaves the machine. Speech is cut out of
+ * the microphone stream by energy, each utterance becomes a sequence of MFCC frames,
+ * and dynamic time warping compares it with recordings of the user saying the wake phrase.
+ *
+ * Messages in:  { type: 'templates', templates }   recordings from earlier 'enrolled' messages
+ *               { type: 'config', threshold }      similarity 0-1 an utterance needs to wake
+ *               { type: 'enroll' }                 the next utterance is a recording, not a check
+ *               { type: 'cancel' }                 stop waiting for a recording
+ *               { type: 'pause' } / { type: 'resume' }
+ * Messages out: { type: 'enrolled', features }
+ *               { type: 'utterance', score, detected, durationMs }
+ */
+
+const FRAME_MS = 25;
+const HOP_MS = 10;
+const NUM_FILTERS = 26;
+const NUM_COEFFS = 13; // c0 (loudness) is dropped before matching
+const MIN_FRAMES = 20; // 200ms - shorter bursts are clicks and bumps
+const MAX_FRAMES = 250; // 2.5s - longer is a sentence, not a wake phrase
+const HANGOVER_FRAMES = 30; // 300ms of quiet ends an utterance
+
+function melScale(hz) {
+  return 2595 * Math.log10(1 + hz / 700);
+}
+
+function inverseMel(mel) {
+  return 700 * (Math.pow(10, mel / 2595) - 1);
+}
+
+// Triangular filters spaced evenly on the mel scale, as [{ start, weights }]
+function melFilterbank(fftSize, rate) {
+  const low = melScale(100);
+  const high = melScale(Math.min(8000, rate / 2));
+  const bins = [];
+  for (let i = 0; i < NUM_FILTERS + 2; i++) {
+    const hz = inverseMel(low + (high - low) * i / (NUM_FILTERS + 1));
+    bins.push(Math.floor((fftSize + 1) * hz / rate));
+  }
+
+  const filters = [];
+  for (let f = 1; f <= NUM_FILTERS; f++) {
+    const weights = [];
+    for (let k = bins[f - 1]; k < bins[f + 1]; k++) {
+      weights.push(k < bins[f]
+        ? (k - bins[f - 1]) / Math.max(1, bins[f] - bins[f - 1])
+        : (bins[f + 1] - k) / Math.max(1, bins[f + 1] - bins[f]));
+    }
+    filters.push({ start: bins[f - 1], weights });
+  }
+  return filters;
+}
+
+// In-place iterative radix-2 FFT
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tre = re[b] * cos - im[b] * sin;
+        const tim = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tre;
+        im[b] = im[a] - tim;
+        re[a] += tre;
+        im[a] += tim;
+      }
+    }
+  }
+}
+
+// Subtract the mean of each coefficient (cepstral mean normalization) so the mic and room matter less
+function normalizeFrames(frames) {
+  if (frames.length === 0) return frames;
+  const mean = new Array(frames[0].length).fill(0);
+  for (const frame of frames) {
+    frame.forEach((value, i) => { mean[i] += value / frames.length; });
+  }
+  return frames.map(frame => frame.map((value, i) => value - mean[i]));
+}
+
+function frameDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const d = a[i] - b[i];
+    sum += d * d;
+  }
+  return Math.sqrt(sum);
+}
+
+// Average per-step distance along the best alignment of two utterances
+function dtwDistance(a, b) {
+  const n = a.length;
+  const m = b.length;
+  // Saying the phrase twice as fast or slow is as far as we stretch
+  if (n > 2 * m || m > 2 * n) {
+    return Infinity;
+  }
+
+  let previous = new Float64Array(m + 1).fill(Infinity);
+  previous[0] = 0;
+  for (let i = 1; i <= n; i++) {
+    const current = new Float64Array(m + 1).fill(Infinity);
+    for (let j = 1; j <= m; j++) {
+      current[j] = frameDistance(a[i - 1], b[j - 1]) + Math.min(previous[j - 1], previous[j], current[j - 1]);
+    }
+    previous = current;
+  }
+  return previous[m] / (n + m);
+}
+
+class WakeWordProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.frameSize = Math.round(sampleRate * FRAME_MS / 1000);
+    this.hopSize = Math.round(sampleRate * HOP_MS / 1000);
+    this.fftSize = 1 << Math.ceil(Math.log2(this.frameSize));
+    this.window = Float32Array.from({ length: this.frameSize },
+      (_, i) => 0.54 - 0.46 * Math.cos(2 * Math.PI * i / (this.frameSize - 1)));
+    this.filters = melFilterbank(this.fftSize, sampleRate);
+
+    this.samples = new Float32Array(this.frameSize * 4);
+    this.sampleCount = 0;
+
+    this.noiseFloor = 0.01;
+    this.utterance = null; // MFCC frames of the speech in progress
+    this.quietFrames = 0;
+
+    this.templates = [];
+    this.reference = 1; // typical distance between two of the user's recordings
+    this.threshold = 0.75;
+    this.enrolling = false;
+    this.paused = false;
+
+    this.port.onmessage = (event) => this.handleMessage(event.data);
+  }
+
+  handleMessage(message) {
+    if (message.type === 'templates') {
+      this.templates = (message.templates || []).map(normalizeFrames);
+      this.reference = this.templateSpread();
+    } else if (message.type === 'config') {
+      this.threshold = message.threshold;
+    } else if (message.type === 'enroll') {
+      this.enrolling = true;
+      this.utterance = null;
+    } else if (message.type === 'cancel') {
+      this.enrolling = false;
+    } else if (message.type === 'pause') {
+      this.paused = true;
+      this.utterance = null;
+    } else if (message.type === 'resume') {
+      this.paused = false;
+    }
+  }
+
+  // Mean distance between the recordings; an utterance that close to one of them scores 1
+  templateSpread() {
+    const distances = [];
+    for (let i = 0; i < this.templates.length; i++) {
+      for (let j = i + 1; j < this.templates.length; j++) {
+        const distance = dtwDistance(this.templates[i], this.templates[j]);
+        if (Number.isFinite(distance)) distances.push(distance);
+      }
+    }
+    return distances.length > 0 ? distances.reduce((sum, d) => sum + d, 0) / distances.length : 1;
+  }
+
+  process(inputs) {
+    const channel = inputs[0] && inputs[0][0];
+    if (!channel || (this.paused && !this.enrolling)) {
+      return true;
+    }
+
+    for (let i = 0; i < channel.length; i++) {
+      this.samples[this.sampleCount++] = channel[i];
+      if (this.sampleCount === this.frameSize) {
+        this.handleFrame(this.samples.subarray(0, this.frameSize));
+        this.samples.copyWithin(0, this.hopSize, this.frameSize);
+        this.sampleCount = this.frameSize - this.hopSize;
+      }
+    }
+    return true;
+  }
+
+  handleFrame(frame) {
+    let energy = 0;
+    for (let i = 0; i < frame.length; i++) {
+      energy += frame[i] * frame[i];
+    }
+    const rms = Math.sqrt(energy / frame.length);
+    const speech = rms > Math.max(this.noiseFloor * 3, 0.005);
+
+    if (!this.utterance) {
+      if (speech) {
+        this.utterance = [this.mfcc(frame)];
+        this.quietFrames = 0;
+      } else {
+        // Track the background level while nobody is talking
+        this.noiseFloor = this.noiseFloor * 0.95 + rms * 0.05;
+      }
+      return;
+    }
+
+    this.utterance.push(this.mfcc(frame));
+    this.quietFrames = speech ? 0 : this.quietFrames + 1;
+
+    if (this.quietFrames >= HANGOVER_FRAMES) {
+      const frames = this.utterance.slice(0, -this.quietFrames);
+      this.utterance = null;
+      this.finishUtterance(frames);
+    } else if (this.utterance.length > MAX_FRAMES + HANGOVER_FRAMES) {
+      // Drop it, but keep listening for the end of the sentence before the next check
+      this.utterance = [];
+      this.quietFrames = 0;
+    }
+  }
+
+  finishUtterance(frames) {
+    if (frames.length < MIN_FRAMES || frames.length > MAX_FRAMES) {
+      return;
+    }
+
+    if (this.enrolling) {
+      this.enrolling = false;
+      this.port.postMessage({
+        type: 'enrolled',
+        features: frames.map(frame => frame.map(value => Math.round(value * 1000) / 1000))
+      });
+      return;
+    }
+
+    if (this.templates.length === 0) {
+      return;
+    }
+
+    const utterance = normalizeFrames(frames);
+    const distance = Math.min(...this.templates.map(template => dtwDistance(utterance, template)));
+    const score = Number.isFinite(distance) ? Math.min(1, this.reference / distance) : 0;
+
+    this.port.postMessage({
+      type: 'utterance',
+      score: Math.round(score * 1000) / 1000,
+      detected: score >= this.threshold,
+      durationMs: frames.length * HOP_MS
+    });
+  }
+
+  // Mel-frequency cepstral coefficients of one frame, without c0
+  mfcc(frame) {
+    const re = new Float32Array(this.fftSize);
+    const im = new Float32Array(this.fftSize);
+    for (let i = 0; i < this.frameSize; i++) {
+      re[i] = frame[i] * this.window[i];
+    }
+    fft(re, im);
+
+    const energies = this.filters.map(({ start, weights }) => {
+      let sum = 0;
+      weights.forEach((weight, k) => {
+        const bin = start + k;
+        sum += weight * (re[bin] * re[bin] + im[bin] * im[bin]);
+      });
+      return Math.log(sum + 1e-10);
+    });
+
+    const coefficients = [];
+    for (let c = 1; c < NUM_COEFFS; c++) {
+      let sum = 0;
+      for (let f = 0; f < NUM_FILTERS; f++) {
+        sum += energies[f] * Math.cos(Math.PI * c * (f + 0.5) / NUM_FILTERS);
+      }
+      coefficients.push(sum);
+    }
+    return coefficients;
+  }
+}
+
+registerProcessor('wake-word-detector', WakeWordProcessor);
@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
 const MemorySearch = require('./memory-search');
+const MemoryStore = require('./memory-store');
 
 async function main() {
   const args = process.argv.slice(2);
@@ -55,7 +56,7 @@ EXAMPLES:
         } else {
           console.log('📝 ANSWER:');
           console.log(result.answer);
-          console.log(`\n📊 Searched ${result.totalConversations} conversations and ${result.totalFacts} facts`);
+          console.log(`\n📊 Answered from ${result.results.length} of ${result.totalRecords} memory records (${result.method} search)`);
         }
         break;
       }
@@ -83,7 +84,7 @@ EXAMPLES:
         } else {
           results.forEach((result, i) => {
             const c = result.conversation;
-            console.log(`\n[${i + 1}] ${c.timestamp}`);
+            console.log(`\n[${i + 1}] ${c.createdAt} (${result.method} score ${result.score.toFixed(2)})`);
             console.log(`User: ${c.user}`);
             console.log(`Assistant: ${c.assistant}`);
           });
@@ -106,16 +107,20 @@ EXAMPLES:
 
       case 'status':
       case 'st': {
-        const memory = memorySearch.memoryManager.memory;
+        const store = memorySearch.store;
+        const preferences = store.getPreferences();
         console.log('📊 MEMORY STATUS:\n');
-        console.log(`System: ${memory.context.system_name}`);
-        console.log(`App: ${memory.context.current_app}`);
-        console.log(`Session: ${memory.context.session_start}`);
-        console.log(`Last Updated: ${memory.context.last_updated}`);
-        console.log(`\nConversations: ${memory.memory.recent_conversations.length}`);
-        console.log(`Important Facts: ${memory.memory.important_facts.length}`);
+        console.log(`System: ${preferences.system_name || 'JuzGoFoo'}`);
+        console.log(`File: ${store.config.file} (schema v${MemoryStore.SCHEMA_VERSION})`);
+        console.log(`\nConversations: ${store.count('turn')}`);
+        console.log(`Summaries: ${store.count('summary')}`);
+        console.log(`Preferences: ${store.count('preference')}`);
+        console.log(`Important Facts: ${store.count('fact')}`);
+        await memorySearch.index.checkEmbeddings();
+        const index = memorySearch.index.getStats();
+        console.log(`\nSearch: ${index.method === 'embedding' ? `embeddings (${index.embeddingModel})` : 'keywords'}, ${index.embedded}/${index.records} records embedded`);
         console.log('\nFacts:');
-        memory.memory.important_facts.forEach(f => console.log(`  - ${f}`));
+        memorySearch.getFacts().forEach(f => console.log(`  - ${f}`));
         break;
       }
 
@@ -5,61 +5,180 @@ const path = require('path');
 const fetch = require('node-fetch');
 const multer = require('multer');
 const fs = require('fs');
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const Anthropic = require('@anthropic-ai/sdk');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
 const NLPHandler = require('./nlp-handler');
+const ClarificationManager = require('./clarification');
+const CorrectionDictionary = require('./corrections');
+const MemoryStore = require('./memory-store');
 const MemoryManager = require('./memory-manager');
+const MemoryIndex = require('./memory-index');
 const LogCompressor = require('./log-compressor');
 const ContextMonitor = require('./context-monitor');
+const TokenMonitor = require('./token-monitor');
+const SessionManager = require('./session-manager');
+const ToolPolicy = require('./tool-policy');
+const Workspace = require('./workspace');
+const PathResolver = require('./path-resolver');
+const TextToSpeech = require('./tts');
+const Transcriber = require('./transcriber');
+const AttachmentStore = require('./attachments');
+const ProviderRouter = require('./provider-router');
+const OllamaClient = require('./ollama-client');
+const { AnthropicProvider, OllamaProvider, OpenAICompatibleProvider } = require('./llm-providers');
 require('dotenv').config();
 
-const execAsync = promisify(exec);
-
 const app = express();
 const PORT = 3000;
+const OLLAMA_HOST = process.env.OLLAMA_HOST || 'http://localhost:11434';
+
+// LLM providers - Claude, a local Ollama model and, if configured, an OpenAI-compatible server
+const llmProviders = {
+  claude: new AnthropicProvider({
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    defaultModel: process.env.CLAUDE_MODEL || 'claude-sonnet-4-5-20250929'
+  }),
+  local: new OllamaProvider({
+    ollamaHost: OLLAMA_HOST,
+    defaultModel: process.env.LOCAL_MODEL || 'llama3.2'
+  })
+};
+
+if (process.env.OPENAI_BASE_URL) {
+  llmProviders.openai = new OpenAICompatibleProvider({
+    baseURL: process.env.OPENAI_BASE_URL,
+    apiKey: process.env.OPENAI_API_KEY,
+    defaultModel: process.env.OPENAI_MODEL || 'default'
+  });
+}
 
-// Initialize Claude API
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY || 'PLEASE_SET_YOUR_API_KEY'
+// Routes each request to a provider, failing over to the others
+const providerRouter = new ProviderRouter({
+  providers: llmProviders,
+  defaultProvider: process.env.LLM_PROVIDER || 'claude'
 });
+const MAX_TOOL_STEPS = 20; // tool calls allowed in one turn
+
+// Long-term memory (memory.jsonl) - one store shared by every service that reads or writes memory
+const memoryStore = new MemoryStore();
 
-// Initialize NLP Handler
-const nlpHandler = new NLPHandler();
+// Semantic search over memory for per-turn retrieval and the recall_memory tool. It has its
+// own Ollama client so searches don't wait behind background summaries
+const memoryIndex = new MemoryIndex({
+  memoryStore,
+  ollamaHost: OLLAMA_HOST,
+  embeddingModel: process.env.EMBEDDING_MODEL || 'nomic-embed-text'
+});
+memoryIndex.start();
 
 // Initialize Memory Manager
-const memoryManager = new MemoryManager();
+const memoryManager = new MemoryManager(memoryStore, {
+  memoryIndex,
+  retrievalBudget: parseInt(process.env.MEMORY_RETRIEVAL_TOKENS, 10) || 1500
+});
+
+// One Ollama HTTP client for the background services, so their prompts queue
+// instead of loading several models at once
+const ollamaClient = new OllamaClient({
+  host: OLLAMA_HOST,
+  maxConcurrent: parseInt(process.env.OLLAMA_MAX_CONCURRENT, 10) || 1
+});
 
 // Initialize Log Compressor (saves cloud credits!)
 const logCompressor = new LogCompressor({
   compressionThreshold: 10,
   checkInterval: 120000, // check every 2 minutes
-  ollamaModel: 'llama2'
+  ollamaModel: 'llama2',
+  ollamaClient,
+  memoryStore
 });
 
 // Initialize Context Monitor (extracts organized data for Claude)
 const contextMonitor = new ContextMonitor({
   ollamaModel: 'mistral', // better for JSON
-  messagesBeforeExtract: 3
+  messagesBeforeExtract: 3,
+  ollamaClient,
+  memoryStore
+});
+
+// Real token usage and cost per session and per day; compacts sessions near their budget
+const tokenMonitor = new TokenMonitor({
+  sessionBudget: parseInt(process.env.SESSION_TOKEN_BUDGET, 10) || 40000,
+  ollamaModel: 'mistral', // summaries are JSON
+  ollamaClient,
+  memoryStore
 });
 
-// Conversation history for context
-const conversationHistory = [];
+// Per-session conversation history (survives page reloads)
+const sessionManager = new SessionManager({
+  maxHistoryTokens: 30000
+});
+
+// Admin token for shutdown/reboot - generated per run when not configured
+const adminToken = process.env.ADMIN_TOKEN || crypto.randomBytes(16).toString('hex');
+
+// Workspace sandbox: file tools stay inside these roots, shell commands run in the first one
+const workspace = new Workspace({
+  roots: (process.env.WORKSPACE_ROOTS || process.cwd()).split(path.delimiter).filter(Boolean),
+  commandTimeout: 30000,
+  cpuSeconds: 20,
+  maxOutputBytes: 100 * 1024
+});
+
+// Tool policy: which tool calls run automatically, need approval, or are refused
+const toolPolicy = new ToolPolicy({
+  workspace,
+  approvalTimeout: 30000
+});
+
+// Initialize NLP Handler - spoken file names are matched against the workspace tree
+const pathResolver = new PathResolver(workspace);
+const nlpHandler = new NLPHandler({ pathResolver });
+const clarifier = new ClarificationManager(nlpHandler);
+
+// Each user's fixes for misheard words, applied before interpretation
+const corrections = new CorrectionDictionary();
 
 // Set up multer for audio file uploads
 const upload = multer({ dest: 'uploads/' });
 
+// Files dropped into the chat are kept inside the workspace so Claude's file tools can open them
+const attachmentStore = new AttachmentStore({
+  uploadRoot: path.join(workspace.primaryRoot, 'uploads', 'attachments')
+});
+
+const attachmentUpload = multer({
+  storage: attachmentStore.uploadStorage('uploads/'),
+  limits: { fileSize: attachmentStore.config.maxFileBytes, files: attachmentStore.config.maxUploadFiles }
+});
+
 app.use(bodyParser.json());
+// The wake word matcher is a server module; the browser gets the same file
+app.get('/wake-word.js', (req, res) => {
+  res.sendFile(path.join(__dirname, 'wake-word.js'));
+});
 app.use(express.static('public'));
 
-// Text-to-speech function
-async function speak(text) {
-  try {
-    // Use macOS 'say' command with faster voice and better quality
-    await execAsync(`say -v Samantha -r 200 "${text.replace(/"/g, '\\"')}"`);
-  } catch (error) {
-    console.error('TTS error:', error.message);
-  }
+// Initialize Text-to-Speech (backend auto-detected at startup)
+const tts = new TextToSpeech({
+  backend: process.env.TTS_BACKEND,
+  voice: process.env.TTS_VOICE,
+  piperModel: process.env.PIPER_MODEL,
+  piperVoicesDir: process.env.PIPER_VOICES_DIR
+});
+
+// Initialize Speech-to-Text for browsers without the Web Speech API
+const transcriber = new Transcriber({
+  engine: process.env.STT_ENGINE,
+  language: process.env.STT_LANGUAGE || 'en',
+  whisperModel: process.env.WHISPER_MODEL,
+  voskModel: process.env.VOSK_MODEL
+});
+
+// Text-to-speech function - uses the session's backend, browser mode speaks on the client
+// Stops early when signal is aborted; by default that happens when the user interrupts the session
+async function speak(text, ws = null, session = null, signal = session?.speech.signal) {
+  await tts.speak(text, { ...session?.tts, ws, signal });
 }
 
 // Tool definitions
@@ -72,7 +191,7 @@ const tools = [
       properties: {
         file_path: {
           type: "string",
-          description: "The absolute path to the file to read"
+          description: "Path to the file to read, relative to the workspace root"
         }
       },
       required: ["file_path"]
@@ -86,7 +205,7 @@ const tools = [
       properties: {
         file_path: {
           type: "string",
-          description: "The absolute path to the file to write"
+          description: "Path to the file to write, relative to the workspace root"
         },
         content: {
           type: "string",
@@ -98,7 +217,7 @@ const tools = [
   },
   {
     name: "execute_bash",
-    description: "Execute a bash command and return the output",
+    description: "Execute a bash command in the workspace root and return the output. Commands have time, CPU and output limits and no access to API keys.",
     input_schema: {
       type: "object",
       properties: {
@@ -118,45 +237,313 @@ const tools = [
       properties: {
         directory: {
           type: "string",
-          description: "The directory path to list files from"
+          description: "The directory to list, relative to the workspace root"
         }
       },
       required: ["directory"]
     }
+  },
+  {
+    name: "edit_file",
+    description: "Replace an exact string in a file. old_string must appear exactly once unless replace_all is true. Prefer this over write_file for small changes.",
+    input_schema: {
+      type: "object",
+      properties: {
+        file_path: {
+          type: "string",
+          description: "Path to the file to edit, relative to the workspace root"
+        },
+        old_string: {
+          type: "string",
+          description: "The exact text to replace, including whitespace"
+        },
+        new_string: {
+          type: "string",
+          description: "The replacement text"
+        },
+        replace_all: {
+          type: "boolean",
+          description: "Replace every occurrence instead of requiring a unique match"
+        }
+      },
+      required: ["file_path", "old_string", "new_string"]
+    }
+  },
+  {
+    name: "search_files",
+    description: "Search file contents with a regular expression. Returns matching lines with line numbers.",
+    input_schema: {
+      type: "object",
+      properties: {
+        pattern: {
+          type: "string",
+          description: "JavaScript regular expression to search for"
+        },
+        path: {
+          type: "string",
+          description: "Directory to search, relative to the workspace root (defaults to the root)"
+        },
+        glob: {
+          type: "string",
+          description: "Only search files matching this glob, e.g. **/*.js"
+        },
+        case_insensitive: {
+          type: "boolean",
+          description: "Ignore case when matching"
+        }
+      },
+      required: ["pattern"]
+    }
+  },
+  {
+    name: "glob",
+    description: "Find files by name pattern, e.g. **/*.test.js or src/*.{ts,tsx}",
+    input_schema: {
+      type: "object",
+      properties: {
+        pattern: {
+          type: "string",
+          description: "Glob pattern matched against paths relative to the search directory"
+        },
+        path: {
+          type: "string",
+          description: "Directory to search, relative to the workspace root (defaults to the root)"
+        }
+      },
+      required: ["pattern"]
+    }
+  },
+  {
+    name: "file_info",
+    description: "Get size, modification time and type of a file or directory",
+    input_schema: {
+      type: "object",
+      properties: {
+        file_path: {
+          type: "string",
+          description: "Path relative to the workspace root"
+        }
+      },
+      required: ["file_path"]
+    }
+  },
+  {
+    name: "recall_memory",
+    description: "Search long-term memory (past conversations, remembered facts and summaries) by meaning. Use it when the user mentions something from an earlier session that isn't in this conversation",
+    input_schema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "What to look for, in plain words"
+        },
+        limit: {
+          type: "number",
+          description: "Maximum number of results (default 5)"
+        },
+        type: {
+          type: "string",
+          enum: ["turn", "fact", "summary"],
+          description: "Only search one kind of record"
+        }
+      },
+      required: ["query"]
+    }
   }
 ];
 
+// Result caps for the search tools
+const MAX_SEARCH_MATCHES = 100;
+const MAX_GLOB_RESULTS = 500;
+
 // Tool execution functions
-async function executeTool(toolName, toolInput) {
+// Paths go through the workspace sandbox; violations come back as structured errors
+// signal: cancels a running command when the user interrupts (only passed when that is safe)
+async function executeTool(toolName, toolInput, { signal } = {}) {
   switch (toolName) {
     case 'read_file':
       try {
-        const content = fs.readFileSync(toolInput.file_path, 'utf8');
+        const filePath = workspace.resolvePath(toolInput.file_path);
+        const { size } = fs.statSync(filePath);
+        if (size > workspace.config.maxReadBytes) {
+          return { success: false, code: 'FILE_TOO_LARGE', error: `File is ${size} bytes, limit is ${workspace.config.maxReadBytes}` };
+        }
+        const content = fs.readFileSync(filePath, 'utf8');
         return { success: true, content };
       } catch (error) {
-        return { success: false, error: error.message };
+        return workspace.toToolError(error);
       }
 
     case 'write_file':
       try {
-        fs.writeFileSync(toolInput.file_path, toolInput.content, 'utf8');
-        return { success: true, message: 'File written successfully' };
+        const filePath = workspace.resolvePath(toolInput.file_path);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, toolInput.content, 'utf8');
+        pathResolver.invalidate(); // the file may be new
+        return { success: true, message: 'File written successfully', path: workspace.relativePath(filePath) };
       } catch (error) {
-        return { success: false, error: error.message };
+        return workspace.toToolError(error);
       }
 
     case 'execute_bash':
       try {
-        const { stdout, stderr } = await execAsync(toolInput.command);
-        return { success: true, stdout, stderr };
+        const result = await workspace.runCommand(toolInput.command, { signal });
+        pathResolver.invalidate(); // commands can create, move and delete files
+
+        if (result.cancelled) {
+          return { success: false, code: 'CANCELLED', error: 'Command stopped because the user interrupted', stdout: result.stdout, stderr: result.stderr };
+        }
+        if (result.timedOut) {
+          return { success: false, code: 'TIMEOUT', error: `Command killed after ${workspace.config.commandTimeout / 1000}s`, stdout: result.stdout, stderr: result.stderr };
+        }
+
+        return {
+          success: result.exitCode === 0,
+          exitCode: result.exitCode,
+          stdout: result.stdout,
+          stderr: result.stderr,
+          ...(result.truncated && { truncated: true, note: `Output truncated at ${workspace.config.maxOutputBytes} bytes` }),
+          ...(result.signal && { signal: result.signal })
+        };
       } catch (error) {
-        return { success: false, error: error.message, stderr: error.stderr };
+        return workspace.toToolError(error);
       }
 
     case 'list_files':
       try {
-        const files = fs.readdirSync(toolInput.directory);
+        const directory = workspace.resolvePath(toolInput.directory);
+        const files = fs.readdirSync(directory);
         return { success: true, files };
+      } catch (error) {
+        return workspace.toToolError(error);
+      }
+
+    case 'edit_file':
+      try {
+        const filePath = workspace.resolvePath(toolInput.file_path);
+        const { old_string: oldString, new_string: newString } = toolInput;
+        if (!oldString) {
+          return { success: false, code: 'INVALID_INPUT', error: 'old_string must not be empty' };
+        }
+
+        const content = fs.readFileSync(filePath, 'utf8');
+        const occurrences = content.split(oldString).length - 1;
+
+        if (occurrences === 0) {
+          return { success: false, code: 'NOT_FOUND', error: 'old_string was not found in the file' };
+        }
+        if (occurrences > 1 && !toolInput.replace_all) {
+          return { success: false, code: 'NOT_UNIQUE', error: `old_string appears ${occurrences} times - add surrounding context or set replace_all`, occurrences };
+        }
+
+        // Split/join avoids special '$' handling in String.replace
+        const updated = toolInput.replace_all
+          ? content.split(oldString).join(newString)
+          : content.replace(oldString, () => newString);
+        fs.writeFileSync(filePath, updated, 'utf8');
+        return { success: true, replacements: toolInput.replace_all ? occurrences : 1, path: workspace.relativePath(filePath) };
+      } catch (error) {
+        return workspace.toToolError(error);
+      }
+
+    case 'search_files':
+      try {
+        const directory = workspace.resolvePath(toolInput.path || '.');
+        const regex = new RegExp(toolInput.pattern, toolInput.case_insensitive ? 'i' : '');
+        const fileFilter = toolInput.glob ? workspace.globToRegExp(toolInput.glob) : null;
+        const matches = [];
+        let filesSearched = 0;
+        let truncated = false;
+
+        for (const filePath of workspace.walk(directory)) {
+          const relative = path.relative(directory, filePath).split(path.sep).join('/');
+          if (fileFilter && !fileFilter.test(relative)) continue;
+          if (fs.statSync(filePath).size > workspace.config.maxReadBytes || workspace.isBinaryFile(filePath)) continue;
+
+          filesSearched++;
+          const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+          for (let i = 0; i < lines.length; i++) {
+            if (regex.test(lines[i])) {
+              matches.push({ file: workspace.relativePath(filePath), line: i + 1, text: lines[i].trim().slice(0, 200) });
+              if (matches.length >= MAX_SEARCH_MATCHES) {
+                truncated = true;
+                break;
+              }
+            }
+          }
+          if (truncated) break;
+        }
+
+        return { success: true, matches, filesSearched, ...(truncated && { truncated: true }) };
+      } catch (error) {
+        if (error instanceof SyntaxError) {
+          return { success: false, code: 'INVALID_PATTERN', error: error.message };
+        }
+        return workspace.toToolError(error);
+      }
+
+    case 'glob':
+      try {
+        const directory = workspace.resolvePath(toolInput.path || '.');
+        const matcher = workspace.globToRegExp(toolInput.pattern);
+        const files = [];
+        let truncated = false;
+
+        for (const filePath of workspace.walk(directory)) {
+          const relative = path.relative(directory, filePath).split(path.sep).join('/');
+          if (matcher.test(relative)) {
+            files.push(relative);
+            if (files.length >= MAX_GLOB_RESULTS) {
+              truncated = true;
+              break;
+            }
+          }
+        }
+
+        return { success: true, files: files.sort(), ...(truncated && { truncated: true }) };
+      } catch (error) {
+        return workspace.toToolError(error);
+      }
+
+    case 'file_info':
+      try {
+        const filePath = workspace.resolvePath(toolInput.file_path);
+        const linkStats = fs.lstatSync(filePath);
+        const stats = fs.statSync(filePath);
+        const type = stats.isFile() ? 'file' : stats.isDirectory() ? 'directory' : 'other';
+
+        return {
+          success: true,
+          path: workspace.relativePath(filePath),
+          type,
+          size: stats.size,
+          mtime: stats.mtime.toISOString(),
+          created: stats.birthtime.toISOString(),
+          mode: (stats.mode & 0o777).toString(8),
+          ...(linkStats.isSymbolicLink() && { symlink: true, target: fs.readlinkSync(filePath) })
+        };
+      } catch (error) {
+        return workspace.toToolError(error);
+      }
+
+    case 'recall_memory':
+      try {
+        const limit = Math.min(Math.max(parseInt(toolInput.limit, 10) || 5, 1), 20);
+        const hits = await memoryIndex.search(String(toolInput.query || ''), {
+          limit,
+          ...(toolInput.type && { types: [toolInput.type] })
+        });
+
+        return {
+          success: true,
+          method: hits[0]?.method || memoryIndex.method(),
+          results: hits.map(({ record, score }) => ({
+            type: record.type,
+            date: record.createdAt,
+            score: Number(score.toFixed(3)),
+            text: memoryIndex.recordText(record).substring(0, 1500)
+          }))
+        };
       } catch (error) {
         return { success: false, error: error.message };
       }
@@ -166,32 +553,352 @@ async function executeTool(toolName, toolInput) {
   }
 }
 
-// Call Claude API with tool support
-async function callLLM(userMessage, ws, nlpContext = null) {
-  // Clear conversation history to avoid context buildup and rate limits
-  conversationHistory.length = 0;
+// Sentence-level TTS: speak each finished sentence while the rest is still streaming
+// Sentences queued before an interruption are dropped; signal (the turn's) silences everything
+function createSentenceSpeaker(ws = null, session = null, signal = null) {
+  let buffer = '';
+  let queue = Promise.resolve();
+
+  const enqueue = (sentence) => {
+    const text = sentence.trim();
+    if (text) {
+      const stop = AbortSignal.any([session?.speech.signal, signal].filter(Boolean));
+      queue = queue.then(() => speak(text, ws, session, stop));
+    }
+  };
+
+  return {
+    push(delta) {
+      buffer += delta;
+      // A sentence ends at . ! ? followed by whitespace, or at a newline
+      const pattern = /[\s\S]*?(?:[.!?]+(?=\s)|\n)/y;
+      let match;
+      let consumed = 0;
+      while ((match = pattern.exec(buffer)) !== null) {
+        enqueue(match[0]);
+        consumed = pattern.lastIndex;
+      }
+      buffer = buffer.slice(consumed);
+    },
+
+    // Speak a standalone prompt after anything already buffered
+    say(text) {
+      enqueue(buffer);
+      buffer = '';
+      enqueue(text);
+    },
+
+    // Speak whatever is left and wait for the queue to drain
+    async flush() {
+      enqueue(buffer);
+      buffer = '';
+      await queue;
+    }
+  };
+}
+
+// Ask the user to approve a tool call; resolves true/false, unanswered requests are denied
+function requestApproval(ws, session, toolUse, decision, onPrompt) {
+  return new Promise((resolve) => {
+    const description = toolPolicy.describe(toolUse.name, toolUse.input);
+    const timer = setTimeout(() => {
+      resolveApproval(session, toolUse.id, false, 'timeout');
+    }, toolPolicy.config.approvalTimeout);
+
+    session.pendingApprovals.set(toolUse.id, { ws, timer, resolve });
+
+    ws.send(JSON.stringify({
+      type: 'tool_approval_request',
+      id: toolUse.id,
+      tool: toolUse.name,
+      input: toolUse.input,
+      description: description,
+      reason: decision.reason,
+      timeout: toolPolicy.config.approvalTimeout
+    }));
+
+    const question = `Should I ${description}? Say yes or no.`;
+    if (onPrompt) {
+      onPrompt(question);
+    } else {
+      speak(question, ws, session);
+    }
+  });
+}
+
+// Settle a pending approval; without an id the oldest pending request is answered.
+// from: the connection answering - only the one that was asked may answer
+function resolveApproval(session, id, approved, source, from = null) {
+  const approvalId = id || [...session.pendingApprovals.keys()]
+    .find(key => !from || session.pendingApprovals.get(key).ws === from);
+  const pending = session.pendingApprovals.get(approvalId);
+  if (!pending) {
+    return false;
+  }
+  if (from && pending.ws !== from) {
+    console.warn(`⚠️  Ignoring an answer to tool approval ${approvalId} from another connection`);
+    return false;
+  }
+
+  clearTimeout(pending.timer);
+  session.pendingApprovals.delete(approvalId);
+
+  console.log(`Tool approval ${approvalId}: ${approved ? 'approved' : 'denied'} (${source})`);
+
+  if (pending.ws.readyState === WebSocket.OPEN) {
+    pending.ws.send(JSON.stringify({
+      type: 'tool_approval_resolved',
+      id: approvalId,
+      approved: approved,
+      source: source
+    }));
+  }
+
+  pending.resolve(approved);
+  return true;
+}
+
+// Run a tool call through the policy layer before executing it
+async function executeToolWithPolicy(toolUse, ws, session, onPrompt, signal) {
+  const decision = toolPolicy.evaluate(toolUse.name, toolUse.input);
+
+  if (decision.level === 'deny') {
+    return { success: false, denied: true, error: `Blocked by tool policy: ${decision.reason}` };
+  }
+
+  if (decision.level === 'confirm') {
+    // No one to ask means no approval
+    const approved = ws && session
+      ? await requestApproval(ws, session, toolUse, decision, onPrompt)
+      : false;
+
+    if (!approved) {
+      return { success: false, denied: true, error: `The user did not approve this action (${decision.reason})` };
+    }
+  }
+
+  const cancellable = signal && toolPolicy.canCancel(toolUse.name, toolUse.input);
+  return executeTool(toolUse.name, toolUse.input, { signal: cancellable ? signal : undefined });
+}
+
+// Run tool calls from either provider through the policy, notifying the client
+// Once signal is aborted the remaining calls are skipped
+async function runToolUses(toolUses, ws, session, onPrompt, signal) {
+  const toolResults = [];
+  for (const toolUse of toolUses) {
+    if (signal?.aborted) {
+      toolResults.push({
+        type: 'tool_result',
+        tool_use_id: toolUse.id,
+        content: JSON.stringify({ success: false, cancelled: true, error: 'Skipped because the user interrupted' })
+      });
+      continue;
+    }
+
+    console.log(`Executing tool: ${toolUse.name}`, toolUse.input);
+
+    // Send tool execution notification to client
+    if (ws) {
+      ws.send(JSON.stringify({
+        type: 'tool_execution',
+        tool: toolUse.name,
+        input: toolUse.input
+      }));
+    }
+
+    const result = await executeToolWithPolicy(toolUse, ws, session, onPrompt, signal);
+
+    toolResults.push({
+      type: 'tool_result',
+      tool_use_id: toolUse.id,
+      content: JSON.stringify(result)
+    });
+  }
+  return toolResults;
+}
+
+// Stream a text delta to the client and the sentence speaker
+function emitDelta(delta, ws, onText) {
+  if (ws) {
+    ws.send(JSON.stringify({ type: 'message_delta', text: delta }));
+  }
+  if (onText) {
+    onText(delta);
+  }
+}
+
+// Thrown when the user interrupts a turn; text is what had been said so far
+function interruptedError(text, usage, contextTokens) {
+  const error = new Error('Interrupted by the user');
+  error.interrupted = true;
+  error.partialText = text;
+  error.usage = usage;
+  error.contextTokens = contextTokens;
+  return error;
+}
+
+function emptyUsage() {
+  return {
+    input_tokens: 0,
+    output_tokens: 0,
+    cache_creation_input_tokens: 0,
+    cache_read_input_tokens: 0
+  };
+}
+
+// Add one request's token usage to a running total
+function addUsage(total, usage) {
+  for (const key of Object.keys(total)) {
+    total[key] += usage?.[key] || 0;
+  }
+  return total;
+}
+
+function hasUsage(usage) {
+  return Boolean(usage) && Object.values(usage).some(n => n > 0);
+}
+
+// One turn with tool support on any provider, appended to the history
+// Returns { text, usage, contextTokens }; throws once retries are exhausted, or interruptedError
+// when signal is aborted (the history then ends on a user message). Either error carries
+// the usage of every request made so far as error.usage, since those tokens are billed
+async function runTurn(provider, model, conversationHistory, systemPrompt, { ws, session, onText, onPrompt, signal }) {
+  const usage = emptyUsage();
+
+  let fullResponse = '';
+  let contextTokens = 0; // prompt size of the latest request
+  let retryCount = 0;
+  let toolSteps = 0;
+  const maxRetries = 3;
+
+  while (true) {
+    // Smaller models sometimes call tools forever
+    if (toolSteps >= MAX_TOOL_STEPS) {
+      const error = new Error(`${provider.config.label} was still calling tools after ${MAX_TOOL_STEPS} steps`);
+      error.usage = usage;
+      error.contextTokens = contextTokens;
+      throw error;
+    }
+
+    let streamedText = '';
+
+    try {
+      const response = await provider.toolCall(conversationHistory, {
+        model: model,
+        system: systemPrompt,
+        tools: tools,
+        signal: signal
+      }, (delta) => {
+        streamedText += delta;
+        emitDelta(delta, ws, onText);
+      });
+
+      addUsage(usage, response.usage);
+      contextTokens = (response.usage?.input_tokens || 0) +
+        (response.usage?.cache_creation_input_tokens || 0) +
+        (response.usage?.cache_read_input_tokens || 0);
+
+      if (response.content.length === 0) {
+        throw new Error(`${provider.config.label} returned an empty reply`);
+      }
+
+      // Text spoken before a tool call is part of what the user heard
+      if (response.text) {
+        fullResponse += (fullResponse ? '\n' : '') + response.text;
+      }
+
+      // Add assistant response (with any tool uses) ONCE
+      conversationHistory.push({
+        role: 'assistant',
+        content: response.content
+      });
+
+      // No more tools to use - the streamed text is the final response
+      if (response.stopReason !== 'tool_use') {
+        return { text: fullResponse, usage, contextTokens };
+      }
+
+      // Add all tool results in one user message
+      const toolUses = response.toolCalls.map(call => ({ type: 'tool_use', ...call }));
+      conversationHistory.push({
+        role: 'user',
+        content: await runToolUses(toolUses, ws, session, onPrompt, signal)
+      });
+      toolSteps++;
+
+      if (signal?.aborted) {
+        throw interruptedError(fullResponse, usage, contextTokens);
+      }
+    } catch (innerError) {
+      if (innerError.interrupted) {
+        throw innerError;
+      }
+      addUsage(usage, innerError.usage); // a request cut off mid-stream
+      if (signal?.aborted) {
+        throw interruptedError([fullResponse, streamedText].filter(Boolean).join('\n'), usage, contextTokens);
+      }
+
+      retryCount++;
+      console.error(`${provider.config.label} call attempt ${retryCount} failed:`, innerError.message);
+      
+      // Text already streamed to the client can't be taken back, so don't retry
+      if (retryCount >= maxRetries || streamedText) {
+        innerError.usage = usage;
+        innerError.contextTokens = contextTokens;
+        throw innerError;
+      }
+      
+      // Wait before retrying
+      await new Promise(resolve => setTimeout(resolve, 1000 * retryCount));
+    }
+  }
+}
+
+// Answer a user message with the session's chosen provider, or the routed one (with failover)
+// Streams text through onText and returns { text, usage, provider, model, label, error, interrupted }
+// attachments: IDs of files the user dropped in, sent along with this message
+// signal: aborted when the user interrupts; text is then whatever was said before that
+async function callLLM(userMessage, { ws = null, nlpContext = null, session = null, onText = null, onPrompt = null, attachments = [], signal = null } = {}) {
+  // Without a session (e.g. internal calls) use a throwaway history
+  const conversationHistory = session ? session.history : [];
 
   // Use enhanced prompt if available from NLP processing
   const promptToUse = nlpContext?.enhancedPrompt || userMessage;
   
-  // Get persistent memory context
-  const memoryContext = memoryManager.getContextPrompt();
-  
   // Get extracted context from local LLM monitoring
   const extractedContext = await contextMonitor.getContextForClaude();
-  
-  // Add NLP metadata to system prompt if intent was detected
-  let systemPrompt = `You are Claude Sonnet 4.5, integrated into a voice-controlled terminal interface called JuzGoFoo.
 
-${memoryContext}
-
-${extractedContext}
+  // Past turns, facts and summaries relevant to this message
+  const memory = await memoryManager.retrieve(nlpContext?.corrected || userMessage, { sessionId: session?.id });
+  if (memory.items.length > 0) {
+    console.log(`🧠 Injected ${memory.items.length} memories (${memory.tokens}/${memory.budget} tokens, ${memory.method})`);
+  }
+  if (ws) {
+    ws.send(JSON.stringify({
+      type: 'memory_debug',
+      method: memory.method,
+      budget: memory.budget,
+      tokens: memory.tokens,
+      injected: memory.items,
+      skipped: memory.skipped
+    }));
+  }
+  
+  // The system prompt goes out in segments, stable ones first so Claude can cache them:
+  // instructions (identical every turn), long-term facts (change rarely), then this turn's context.
+  // Instructions start mid-sentence - each provider prepends "You are <model>, "
+  const instructions = `integrated into a voice-controlled terminal interface called JuzGoFoo.
 
 You have access to real tools for:
 - Reading files (read_file)
 - Writing files (write_file)
 - Executing bash commands (execute_bash)
 - Listing directory contents (list_files)
+- Editing part of a file by exact string replacement (edit_file)
+- Searching file contents with a regex (search_files)
+- Finding files by name pattern (glob)
+- Checking a file's size, type and modification time (file_info)
+- Searching long-term memory of earlier conversations (recall_memory)
 
 When users ask you to do something, USE THE TOOLS to actually do it! You can:
 - Create, read, and modify files
@@ -199,133 +906,617 @@ When users ask you to do something, USE THE TOOLS to actually do it! You can:
 - Search for files
 - Execute code
 
+All file paths are relative to the workspace root (${workspace.primaryRoot}). Paths outside the workspace are rejected.
+
+Files the user drags into the chat arrive with their message and are saved under uploads/attachments in the workspace, so you can read or edit them with your tools.
+
+Risky actions (writing files, deleting, pushing, installing) may need the user's spoken approval first. If a tool result says it was denied, don't retry it - ask what they'd like instead.
+
 Keep responses SHORT and conversational since this is a VOICE interface. Aim for 1-2 sentences max when possible.`;
 
+  let turnContext = `${memory.prompt}
+
+${extractedContext}`;
+
+  // Add NLP metadata if intent was detected
   if (nlpContext && nlpContext.type === 'task') {
-    systemPrompt += `\n\nNOTE: The user's voice input may contain transcription errors. Here's what we detected:
+    turnContext += `\n\nNOTE: The user's voice input may contain transcription errors. Here's what we detected:
 - Original input: "${nlpContext.original}"
 - Corrected input: "${nlpContext.corrected}"
 - Detected intent: ${nlpContext.intent} (confidence: ${(nlpContext.confidence * 100).toFixed(1)}%)
-- File paths mentioned: ${nlpContext.filePaths.length > 0 ? nlpContext.filePaths.join(', ') : 'none'}
+- File paths mentioned: ${nlpContext.filePaths.length > 0 ? nlpContext.filePaths.join(', ') : 'none'}${nlpContext.resolvedPaths?.length > 0 ? `
+- Matching workspace paths: ${nlpHandler.describeResolvedPaths(nlpContext.resolvedPaths)}` : ''}
 
 Be intelligent about interpreting the user's intent even if the transcription isn't perfect.`;
   }
 
-  // Add user message to history
-  conversationHistory.push({ role: 'user', content: promptToUse });
+  if (nlpContext?.lowConfidenceWords?.length > 0) {
+    const unsure = nlpContext.lowConfidenceWords
+      .map(w => `"${w.word}" (${(w.confidence * 100).toFixed(0)}%)`)
+      .join(', ');
+    turnContext += `\n\nThe speech recognizer was unsure about these words: ${unsure}. If one of them matters for what you're about to do, check with the user first.`;
+  }
 
-  try {
-    let continueLoop = true;
-    let fullResponse = '';
-    let retryCount = 0;
-    const maxRetries = 3;
+  // Attached files go before the text so Claude reads them first
+  const attachmentBlocks = session && attachments.length > 0
+    ? await attachmentStore.toContentBlocks(session.id, attachments, (p) => workspace.relativePath(p))
+    : [];
 
-    while (continueLoop && retryCount < maxRetries) {
-      try {
-        const response = await anthropic.messages.create({
-          model: 'claude-sonnet-4-5-20250929',
-          max_tokens: 4096,
-          tools: tools,
-          system: systemPrompt,
-          messages: conversationHistory
-        });
+  // Add user message to history, dropping the oldest turns if over budget
+  const userEntry = {
+    role: 'user',
+    content: attachmentBlocks.length > 0 ? [...attachmentBlocks, { type: 'text', text: promptToUse }] : promptToUse
+  };
+  conversationHistory.push(userEntry);
+  if (session) {
+    sessionManager.trimHistory(session);
+  }
 
-        // Check if we need to use tools
-        if (response.stop_reason === 'tool_use') {
-          const toolUses = response.content.filter(block => block.type === 'tool_use');
-
-          // Add assistant response with tool uses ONCE
-          conversationHistory.push({
-            role: 'assistant',
-            content: response.content
-          });
-
-          // Execute each tool and collect results
-          const toolResults = [];
-          for (const toolUse of toolUses) {
-            console.log(`Executing tool: ${toolUse.name}`, toolUse.input);
-
-            // Send tool execution notification to client
-            if (ws) {
-              ws.send(JSON.stringify({
-                type: 'tool_execution',
-                tool: toolUse.name,
-                input: toolUse.input
-              }));
-            }
+  const plan = await providerRouter.plan({
+    text: userMessage,
+    nlpContext,
+    hasAttachments: attachmentBlocks.length > 0
+  }, session?.llm);
+  let lastError = null;
+  let failedUsage = null; // tokens billed by providers that then failed
 
-            const result = await executeTool(toolUse.name, toolUse.input);
+  for (const { provider, model, reason } of plan) {
+    const llm = providerRouter.get(provider);
+    const label = llm.config.label;
 
-            toolResults.push({
-              type: 'tool_result',
-              tool_use_id: toolUse.id,
-              content: JSON.stringify(result)
-            });
-          }
+    // Tell the client who is answering (it also discards text from a provider that failed)
+    if (ws) {
+      ws.send(JSON.stringify({ type: 'provider', provider, model, label, reason }));
+    }
+    console.log(`🔀 Answering with ${provider} (${model}): ${reason}`);
 
-          // Add all tool results in one user message
-          conversationHistory.push({
-            role: 'user',
-            content: toolResults
-          });
-        } else {
-          // No more tools to use, extract final response
-          const textContent = response.content.find(block => block.type === 'text');
-          if (textContent) {
-            fullResponse = textContent.text;
-          }
+    try {
+      const systemPrompt = [
+        { text: `You are ${llm.identity(model)}, ${instructions}`, cache: true },
+        { text: memoryManager.getFactsPrompt(), cache: true },
+        { text: turnContext.trim() }
+      ];
+      const result = await runTurn(llm, model, conversationHistory, systemPrompt, { ws, session, onText, onPrompt, signal });
+
+      // Store conversation in persistent memory
+      memoryManager.addConversation(userMessage, result.text, { sessionId: session?.id, provider, model });
+      if (session) {
+        sessionManager.save(session);
+      }
+      
+      // Monitor conversation for context extraction (local LLM)
+      await contextMonitor.onMessage(userMessage, result.text);
 
-          conversationHistory.push({
-            role: 'assistant',
-            content: response.content
-          });
+      await trackUsage(session, result, { provider, model }, ws);
 
-          continueLoop = false;
+      return { text: result.text, usage: result.usage, provider, model, label, error: false };
+    } catch (error) {
+      if (error.interrupted) {
+        // Keep what was said and done so far, so the next turn knows where things stand
+        conversationHistory.push({
+          role: 'assistant',
+          content: `${error.partialText ? error.partialText + '\n' : ''}[The user interrupted here]`
+        });
+        if (session) {
+          sessionManager.save(session);
         }
-      } catch (innerError) {
-        retryCount++;
-        console.error(`API call attempt ${retryCount} failed:`, innerError.message);
-        
-        if (retryCount >= maxRetries) {
-          throw innerError;
+        console.log(`✋ ${provider} interrupted by the user`);
+        if (hasUsage(error.usage)) {
+          await trackUsage(session, error, { provider, model }, ws);
+        }
+        return { text: error.partialText, usage: error.usage || null, provider, model, label, error: false, interrupted: true };
+      }
+
+      console.error(`${provider} failed:`, error.message);
+      if (hasUsage(error.usage)) {
+        await tokenMonitor.record(session?.id, error.usage, { provider, model, contextTokens: error.contextTokens });
+        failedUsage = addUsage(failedUsage || emptyUsage(), error.usage);
+        if (session) {
+          sendUsage(ws, session);
         }
-        
-        // Wait before retrying
-        await new Promise(resolve => setTimeout(resolve, 1000 * retryCount));
+      }
+      lastError = error;
+      providerRouter.markFailed(provider);
+
+      // Drop this attempt's tool calls so the next provider starts from the user's message
+      const turnIndex = conversationHistory.indexOf(userEntry);
+      if (turnIndex !== -1) {
+        conversationHistory.splice(turnIndex + 1);
       }
     }
+  }
 
-    // Store conversation in persistent memory
-    memoryManager.addConversation(userMessage, fullResponse);
-    
-    // Monitor conversation for context extraction (local LLM)
-    await contextMonitor.onMessage(userMessage, fullResponse);
+  // Roll back the failed turn so history never ends on an unanswered message
+  const turnIndex = conversationHistory.indexOf(userEntry);
+  if (turnIndex !== -1) {
+    conversationHistory.splice(turnIndex);
+  }
 
-    return fullResponse;
-  } catch (error) {
-    console.error('Claude API error:', error);
+  // Fallback to friendly error message
+  if (plan.length === 0 || lastError?.status === 401) {
+    return {
+      text: "I need an API key to work! Please set your ANTHROPIC_API_KEY in the .env file, or start Ollama with a local model.",
+      usage: failedUsage,
+      provider: null,
+      error: true
+    };
+  }
+
+  return { text: "Sorry, I'm having trouble right now. Let me try again.", usage: failedUsage, provider: null, error: true };
+}
+
+// Record a turn's token usage, then compact the session in the background if it is near its budget
+async function trackUsage(session, result, { provider, model }, ws) {
+  await tokenMonitor.record(session?.id, result.usage, { provider, model, contextTokens: result.contextTokens });
+  if (!session) {
+    return;
+  }
+
+  sendUsage(ws, session);
+
+  if (tokenMonitor.needsCompaction(session.id)) {
+    tokenMonitor.compact(session, sessionManager)
+      .then(folded => {
+        if (folded > 0) {
+          sendUsage(ws, session, { compacted: folded });
+        }
+      })
+      .catch(error => console.error('Compaction failed:', error.message));
+  }
+}
+
+// Token totals for the header widget
+function sendUsage(ws, session, extra = {}) {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ type: 'usage', ...tokenMonitor.getStatus(session.id), ...extra }));
+  }
+}
+
+// Tell the client which LLM providers and models it can pick, and its current choice
+async function sendLLMInfo(ws, session) {
+  ws.send(JSON.stringify({
+    type: 'llm_info',
+    providers: await providerRouter.describe(),
+    settings: session.llm
+  }));
+}
+
+// Apply a provider/model choice to a session; provider 'auto' (or none) goes back to routing
+// Returns { ok, message } with a short sentence to show and speak
+async function applyLLMSettings(session, { provider = null, model = null }) {
+  if (provider === 'auto' || (!provider && !model)) {
+    session.llm = { provider: null, model: null };
+    sessionManager.save(session);
+    return { ok: true, message: 'Switched to automatic model routing.' };
+  }
+
+  const llm = provider ? providerRouter.get(provider) : null;
+  if (provider && !llm) {
+    return { ok: false, message: `There's no ${provider} provider set up.` };
+  }
+  if (llm && !(await llm.isAvailable())) {
+    return { ok: false, message: `${llm.config.label} isn't available right now.` };
+  }
+
+  if (model) {
+    const resolved = await providerRouter.resolveModel(model, provider);
+    if (!resolved) {
+      return { ok: false, message: `I couldn't find a model called ${model}${llm ? ` on ${llm.config.label}` : ''}.` };
+    }
+    ({ provider, model } = resolved);
+  }
+
+  const chosen = providerRouter.get(provider);
+  session.llm = { provider, model: model || null };
+  sessionManager.save(session);
+  return { ok: true, message: `Switched to ${chosen.config.label} (${model || chosen.config.defaultModel}).` };
+}
+
+// Tell the client which TTS backend, voices and settings its session uses
+async function sendTTSInfo(ws, session) {
+  const backend = tts.resolveBackend(session.tts.backend);
+  const voices = await tts.listVoices(backend);
+
+  ws.send(JSON.stringify({
+    type: 'tts_info',
+    backends: tts.available,
+    backend: backend,
+    voices: voices,
+    settings: {
+      voice: session.tts.voice,
+      rate: session.tts.rate || tts.config.rate,
+      muted: session.tts.muted
+    }
+  }));
+}
+
+// Apply a client's tts_settings message to its session, ignoring invalid values
+async function applyTTSSettings(session, settings) {
+  if (settings.backend !== undefined) {
+    // Only backends detected on this machine can be chosen
+    session.tts.backend = tts.available.includes(settings.backend) ? settings.backend : null;
+  }
+
+  if (typeof settings.muted === 'boolean') {
+    session.tts.muted = settings.muted;
+  }
+
+  if (settings.rate !== undefined) {
+    const rate = Number(settings.rate);
+    session.tts.rate = Number.isFinite(rate) ? Math.min(Math.max(rate, 0.5), 2) : null;
+  }
+
+  if (settings.voice !== undefined) {
+    session.tts.voice = typeof settings.voice === 'string' && settings.voice ? settings.voice.slice(0, 100) : null;
+  }
+
+  // Browser voices can't be checked here; server voices must belong to the backend
+  const backend = tts.resolveBackend(session.tts.backend);
+  if (session.tts.voice && backend !== 'browser') {
+    const voices = await tts.listVoices(backend);
+    if (!voices.some(v => v.id === session.tts.voice)) {
+      session.tts.voice = null;
+    }
+  }
+}
+
+// Barge-in: silence the assistant and cancel its turn - the model request, any command that is
+// safe to kill, and approval questions. keepTurn only silences it (the user is answering a question).
+function interruptSession(session, { keepTurn = false } = {}) {
+  session.speech.abort();
+  session.speech = new AbortController();
+
+  if (session.turn && !keepTurn) {
+    session.turn.controller.abort();
+    for (const id of [...session.pendingApprovals.keys()]) {
+      resolveApproval(session, id, false, 'interrupted');
+    }
+  }
+}
+
+// Answer a message with the LLM and tools, speaking it sentence by sentence.
+// The turn lives in session.turn until it has been spoken, so it can be interrupted.
+async function answerMessage(ws, session, data, interpretation) {
+  // A new message talks over whatever the assistant was still doing
+  while (session.turn) {
+    interruptSession(session);
+    await session.turn.done;
+  }
 
-    // Fallback to friendly error message
-    if (error.status === 401) {
-      return "I need an API key to work! Please set your ANTHROPIC_API_KEY in the .env file.";
+  const turn = { controller: new AbortController(), done: null };
+  session.turn = turn;
+  turn.done = (async () => {
+    try {
+      const speaker = createSentenceSpeaker(ws, session, turn.controller.signal);
+      const result = await callLLM(data.text, {
+        ws,
+        nlpContext: interpretation,
+        session,
+        attachments: Array.isArray(data.attachments) ? data.attachments : [],
+        onText: (delta) => speaker.push(delta),
+        onPrompt: (text) => speaker.say(text),
+        signal: turn.controller.signal
+      });
+      
+      // Finalize the streamed response on the client
+      ws.send(JSON.stringify({
+        type: 'message_end',
+        text: data.text,
+        response: result.text,
+        usage: result.usage,
+        provider: result.provider,
+        model: result.model,
+        label: result.label,
+        interrupted: !!result.interrupted,
+        nlp: interpretation
+      }));
+      
+      // Error messages were never streamed, so speak them now
+      if (result.error) {
+        speaker.push(result.text);
+      }
+      await speaker.flush();
+      
+    } catch (error) {
+      console.error('LLM call failed:', error);
+      
+      const errorMessage = "I'm having trouble. Let me keep trying.";
+      
+      ws.send(JSON.stringify({
+        type: 'message',
+        text: data.text,
+        response: errorMessage
+      }));
+      
+      await speak(errorMessage, ws, session);
+    } finally {
+      if (session.turn === turn) {
+        session.turn = null;
+      }
     }
+  })();
+
+  return turn.done;
+}
+
+// Forget a subject in long-term memory and in every session's history, so it can't be recalled
+// from the conversation either
+function forgetSubject(subject, via) {
+  const removed = memoryManager.forget(subject, { via });
+  const matches = memoryManager.subjectMatcher(subject);
+  const redacted = matches ? sessionManager.redact(matches) : 0;
+  return { removed, redacted };
+}
+
+// What forgetSubject would delete, without deleting it
+function previewForget(subject) {
+  const matches = memoryManager.subjectMatcher(subject);
+  return {
+    records: memoryManager.findForgettable(subject),
+    turns: matches ? sessionManager.redact(matches, { dryRun: true }) : 0
+  };
+}
+
+// "2 facts and 3 turns of our chats"
+function describeForgettable(records, turns) {
+  const names = {
+    fact: ['fact', 'facts'],
+    preference: ['preference', 'preferences'],
+    turn: ['saved conversation', 'saved conversations'],
+    summary: ['summary', 'summaries']
+  };
+  const parts = Object.entries(names)
+    .map(([type, [one, many]]) => {
+      const n = records.filter(r => r.type === type).length;
+      return n > 0 && `${n} ${n === 1 ? one : many}`;
+    })
+    .filter(Boolean);
+  if (turns > 0) {
+    parts.push(`${turns} ${turns === 1 ? 'turn' : 'turns'} of our chats`);
+  }
+  return parts.join(' and ');
+}
+
+// Carry out a spoken memory request, returning the reply to speak.
+// "Forget ..." only asks first - the deletion waits for a yes in session.pendingForget
+function handleMemoryCommand(command, session) {
+  switch (command.action) {
+    case 'remember': {
+      const result = memoryManager.rememberFact(command.subject, { via: 'voice' });
+      if (!result.success) {
+        return "I didn't catch what to remember.";
+      }
+      return result.created ? "Got it, I'll remember that." : 'I already knew that.';
+    }
+
+    case 'forget': {
+      if (/^(everything|all|all of it|it all)$/i.test(command.subject)) {
+        return 'I can only forget specific things. Tell me what to forget.';
+      }
+
+      const { records, turns } = previewForget(command.subject);
+      if (records.length === 0 && turns === 0) {
+        return `I don't have anything saved about ${command.subject}.`;
+      }
+
+      session.pendingForget = { subject: command.subject, expiresAt: Date.now() + 60000 };
+      return `I found ${describeForgettable(records, turns)} about ${command.subject}. Should I forget all of it? Say yes or no.`;
+    }
+
+    case 'profile':
+      return memoryManager.describeUser();
 
-    return "Sorry, I'm having trouble right now. Let me try again.";
+    default:
+      return "I'm not sure what to do with that.";
+  }
+}
+
+/**
+ * Run a spoken message through the user's correction dictionary, and show the fixed text
+ */
+function applyCorrections(ws, session, data) {
+  const { text, applied } = corrections.apply(session.user, data.text);
+  if (applied.length === 0) {
+    return;
+  }
+
+  console.log(`📖 Corrected "${data.text}" -> "${text}"`);
+  ws.send(JSON.stringify({ type: 'transcript_corrected', original: data.text, text }));
+  data.text = text;
+}
+
+function sendLearnedCorrections(ws, learned) {
+  if (learned.length > 0) {
+    ws.send(JSON.stringify({ type: 'corrections_learned', corrections: learned }));
   }
 }
 
 // WebSocket server for real-time communication
-const wss = new WebSocket.Server({ port: 3001 });
+// Browsers send any page's Origin with a WebSocket, so only the app's own pages may connect -
+// otherwise any website could talk to the assistant and approve its own commands.
+// Clients that send no Origin aren't browsers (scripts on this machine)
+const allowedOrigins = new Set([
+  `http://localhost:${PORT}`,
+  `http://127.0.0.1:${PORT}`,
+  `http://[::1]:${PORT}`,
+  ...(process.env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
+]);
 
-wss.on('connection', (ws) => {
-  console.log('Client connected');
+const wss = new WebSocket.Server({
+  port: 3001,
+  verifyClient: ({ origin }) => {
+    if (!origin || allowedOrigins.has(origin)) {
+      return true;
+    }
+    console.warn(`⚠️  Refused a WebSocket connection from ${origin}`);
+    return false;
+  }
+});
+
+wss.on('connection', (ws, req) => {
+  // Clients pass their stored session ID so a reload resumes the conversation
+  const requestedId = new URL(req.url, 'ws://localhost').searchParams.get('session');
+  const { session, resumed } = sessionManager.getOrCreate(requestedId);
+  session.connections++;
+
+  console.log(`Client connected (session ${session.id}${resumed ? ', resumed' : ''})`);
+
+  ws.send(JSON.stringify({
+    type: 'session',
+    sessionId: session.id,
+    resumed: resumed,
+    turns: sessionManager.countTurns(session)
+  }));
+
+  sendTTSInfo(ws, session);
+  sendLLMInfo(ws, session);
+  sendUsage(ws, session);
 
   ws.on('message', async (message) => {
-    const data = JSON.parse(message);
+    let data;
+    try {
+      data = JSON.parse(message);
+    } catch (error) {
+      console.warn('⚠️  Ignoring a WebSocket message that is not JSON');
+      return;
+    }
+    if (!data || typeof data !== 'object') {
+      return;
+    }
+    session.lastActive = new Date().toISOString();
+
+    if (data.type === 'clear_history') {
+      sessionManager.clear(session.id);
+      return;
+    }
+
+    if (data.type === 'tts_settings') {
+      await applyTTSSettings(session, data);
+      await sendTTSInfo(ws, session);
+      return;
+    }
+
+    if (data.type === 'llm_settings') {
+      const result = await applyLLMSettings(session, data);
+      if (!result.ok) {
+        ws.send(JSON.stringify({ type: 'message', response: result.message }));
+      }
+      await sendLLMInfo(ws, session);
+      return;
+    }
+
+    // Whose correction dictionary applies to this browser's speech
+    if (data.type === 'correction_user') {
+      session.user = corrections.userId(data.user);
+      return;
+    }
+
+    if (data.type === 'tool_approval_response') {
+      resolveApproval(session, data.id, data.approved === true, 'click', ws);
+      return;
+    }
+
+    // The user started talking over the assistant (reason 'speech') or said "stop"
+    if (data.type === 'interrupt') {
+      const keepTurn = data.reason === 'speech' && session.pendingApprovals.size > 0;
+      console.log(`✋ Interrupted (${data.reason || 'client'})${keepTurn ? ' - waiting for the approval answer' : ''}`);
+      interruptSession(session, { keepTurn });
+      return;
+    }
 
     if (data.type === 'voice_input') {
+      if (typeof data.text !== 'string') {
+        return;
+      }
+
+      // data.transcript is what speech recognition heard; the user may have fixed it before sending
+      if (typeof data.transcript === 'string' && data.transcript.trim()) {
+        if (data.transcript.trim() !== data.text.trim()) {
+          sendLearnedCorrections(ws, corrections.learnFromEdit(session.user, data.transcript, data.text));
+        }
+        applyCorrections(ws, session, data);
+      }
+
+      // "No, I said kubectl" fixes the last request and runs it again; the mishearing is learned once repeated
+      const restated = nlpHandler.parseRestatement(data.text);
+      if (restated && session.lastUtterance) {
+        interruptSession(session); // the misheard request's answer and approvals are moot
+        clarifier.cancel(session);
+        const result = corrections.learnFromRestatement(session.user, session.lastUtterance, restated);
+        sendLearnedCorrections(ws, result.learned);
+        console.log(`🔁 Restated: "${session.lastUtterance}" -> "${result.text}"`);
+        data.text = result.text;
+      }
+
+      // "Stop" or "wait" on its own interrupts the assistant (denying any waiting approval) instead of starting a turn.
+      // Checked before approvals so "ok wait" can never count as a yes
+      if (nlpHandler.isStopCommand(data.text)) {
+        console.log(`✋ Interrupted ("${data.text}")`);
+        interruptSession(session);
+        clarifier.cancel(session);
+        session.pendingForget = null;
+        ws.send(JSON.stringify({ type: 'interrupted', text: data.text }));
+        return;
+      }
+
+      // A spoken yes/no answers a waiting tool approval instead of starting a new turn
+      if (session.pendingApprovals.size > 0) {
+        const answer = nlpHandler.parseConfirmation(data.text);
+        if (answer !== null) {
+          resolveApproval(session, null, answer, 'voice', ws);
+          return;
+        }
+      }
+
+      // ...and "Should I forget ...?" the same way; anything else drops that question
+      if (session.pendingForget) {
+        const { subject, expiresAt } = session.pendingForget;
+        session.pendingForget = null;
+        const answer = expiresAt > Date.now() ? nlpHandler.parseConfirmation(data.text) : null;
+        if (answer !== null) {
+          let response = "Okay, I'll keep it.";
+          if (answer) {
+            const { removed, redacted } = forgetSubject(subject, 'voice');
+            response = removed.length > 0 || redacted > 0
+              ? `Done, I forgot ${describeForgettable(removed, redacted)} about ${subject}.`
+              : `There's nothing left to forget about ${subject}.`;
+          }
+          ws.send(JSON.stringify({ type: 'message', text: data.text, response }));
+          await speak(response, ws, session);
+          return;
+        }
+      }
+
+      // An answer to "Did you mean ...?" settles the waiting question; anything else replaces it
+      const clarified = clarifier.resolve(session, data.text);
+      if (clarified) {
+        if (clarified.action === 'choose') {
+          const request = clarified.option.request;
+          const promoted = corrections.confirm(session.user, clarified.option.heard, clarified.option.keyword);
+          sendLearnedCorrections(ws, promoted ? [promoted] : []);
+          ws.send(JSON.stringify({ type: 'nlp_debug', interpretation: clarified.interpretation }));
+          await answerMessage(ws, session, { ...data, text: request, attachments: clarified.attachments }, clarified.interpretation);
+        } else {
+          const response = clarified.action === 'repeat' ? clarified.question : 'Okay, never mind.';
+          ws.send(JSON.stringify({ type: 'message', text: data.text, response }));
+          await speak(response, ws, session);
+        }
+        return;
+      }
+
+      // "Switch to the local model" changes this session's provider instead of starting a turn
+      const modelSwitch = nlpHandler.parseModelSwitch(data.text);
+      if (modelSwitch) {
+        const result = await applyLLMSettings(session, modelSwitch);
+        ws.send(JSON.stringify({ type: 'message', text: data.text, response: result.message }));
+        await sendLLMInfo(ws, session);
+        await speak(result.message, ws, session);
+        return;
+      }
+
       // Use NLP handler to interpret the input
-      const interpretation = nlpHandler.interpret(data.text);
+      session.lastUtterance = data.text;
+      const interpretation = nlpHandler.interpret(data.text, { words: data.words });
       
       console.log('NLP Interpretation:', interpretation);
 
@@ -335,7 +1526,12 @@ wss.on('connection', (ws) => {
         interpretation: interpretation
       }));
 
-      if (interpretation.type === 'meta_command') {
+      if (interpretation.type === 'memory_command') {
+        // "Remember that...", "forget what I said about..." and "what do you know about me?"
+        const response = handleMemoryCommand(interpretation, session);
+        ws.send(JSON.stringify({ type: 'message', text: data.text, response }));
+        await speak(response, ws, session);
+      } else if (interpretation.type === 'meta_command') {
         // Send command back to client for UI control
         ws.send(JSON.stringify({
           type: 'command',
@@ -347,40 +1543,32 @@ wss.on('connection', (ws) => {
         // Ignore empty input
         return;
       } else {
-        // Regular message or task - process with LLM and tools
-        try {
-          const response = await callLLM(data.text, ws, interpretation);
-          
-          // Send response to client
-          ws.send(JSON.stringify({
-            type: 'message',
-            text: data.text,
-            response: response,
-            nlp: interpretation
-          }));
-          
-          // Speak the response
-          await speak(response);
-          
-        } catch (error) {
-          console.error('LLM call failed:', error);
-          
-          const errorMessage = "I'm having trouble. Let me keep trying.";
-          
-          ws.send(JSON.stringify({
-            type: 'message',
-            text: data.text,
-            response: errorMessage
-          }));
-          
-          await speak(errorMessage);
+        // A request whose verb was probably misheard gets a question before anything runs
+        const question = clarifier.ask(session, data.text, { words: data.words, attachments: data.attachments });
+        if (question) {
+          console.log(`❓ Asking: ${question}`);
+          ws.send(JSON.stringify({ type: 'message', text: data.text, response: question }));
+          await speak(question, ws, session);
+          return;
         }
+
+        // Regular message or task - process with LLM and tools
+        await answerMessage(ws, session, data, interpretation);
       }
     }
   });
 
   ws.on('close', () => {
     console.log('Client disconnected');
+    session.connections--;
+    session.lastActive = new Date().toISOString(); // idle time counts from the disconnect
+
+    // Nobody is left to answer approvals asked on this connection
+    for (const [id, pending] of session.pendingApprovals) {
+      if (pending.ws === ws) {
+        resolveApproval(session, id, false, 'disconnected');
+      }
+    }
   });
 });
 
@@ -388,36 +1576,245 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Transcription endpoint for cross-platform audio
+// Transcription endpoint for cross-platform audio (local whisper.cpp or Vosk)
 app.post('/transcribe', upload.single('audio'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No audio file provided' });
+  }
+
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No audio file provided' });
+    if (!transcriber.isAvailable()) {
+      return res.status(503).json({
+        error: 'No speech-to-text engine installed on the server. Install whisper.cpp and set WHISPER_MODEL, or use Chrome/Edge.'
+      });
     }
 
-    // For now, return a placeholder - you can integrate Whisper API here
-    // Options: OpenAI Whisper API, Groq Whisper, or local Whisper.cpp
     console.log('Received audio for transcription:', req.file.path);
 
-    // Clean up the uploaded file
-    fs.unlinkSync(req.file.path);
+    const result = await transcriber.transcribe(req.file.path, {
+      language: req.body?.language
+    });
 
-    // Placeholder response - integrate real transcription service
     res.json({
-      text: 'Cross-platform transcription coming soon - use Chrome for Web Speech API',
+      text: result.text,
+      words: result.words,
+      language: result.language,
+      engine: result.engine,
       method: 'mediarecorder'
     });
 
   } catch (error) {
     console.error('Transcription error:', error);
     res.status(500).json({ error: 'Transcription failed' });
+  } finally {
+    // Clean up the uploaded file
+    fs.promises.unlink(req.file.path).catch(() => {});
+  }
+});
+
+// Upload dropped files/folders for a session - they're attached to its next message
+// 'paths' carries each file's path inside a dropped folder, in the same order as 'files'
+app.post('/api/attachments', (req, res) => {
+  // A drop that says it is too big is refused before any of it is read (1MB allows for form overhead)
+  if (Number(req.get('content-length')) > attachmentStore.config.maxUploadBytes + 1024 * 1024) {
+    return res.status(413).json({ error: attachmentStore.uploadTooLarge(Number(req.get('content-length'))).message });
+  }
+
+  attachmentUpload.array('files')(req, res, async (uploadError) => {
+    const files = req.files || [];
+
+    try {
+      if (uploadError) {
+        const status = ['LIMIT_FILE_SIZE', 'LIMIT_FILE_COUNT', 'LIMIT_UPLOAD_SIZE'].includes(uploadError.code) ? 413 : 400;
+        return res.status(status).json({ error: uploadError.message });
+      }
+
+      const session = sessionManager.get(req.query.session);
+      if (!session) {
+        return res.status(404).json({ error: 'Unknown session' });
+      }
+      if (files.length === 0) {
+        return res.status(400).json({ error: 'No files provided' });
+      }
+
+      const paths = [].concat(req.body?.paths || []);
+      const attachments = await attachmentStore.ingest(session.id, files, paths);
+      pathResolver.invalidate(); // they're written into the workspace
+      console.log(`📎 Attached ${files.length} file(s) to session ${session.id}`);
+
+      res.json({ attachments: attachments.map(a => attachmentStore.summarize(a)) });
+    } catch (error) {
+      console.error('Attachment upload error:', error.message);
+      res.status(error.code === 'LIMIT_UPLOAD_SIZE' ? 413 : 500).json({ error: error.message });
+    } finally {
+      // Anything not moved into the session folder is left in uploads/
+      for (const file of files) {
+        fs.promises.unlink(file.path).catch(() => {});
+      }
+    }
+  });
+});
+
+app.delete('/api/attachments/:id', async (req, res) => {
+  const session = sessionManager.get(req.query.session);
+  if (!session) {
+    return res.status(404).json({ error: 'Unknown session' });
+  }
+
+  const removed = await attachmentStore.remove(session.id, req.params.id);
+  if (removed) {
+    pathResolver.invalidate();
+  }
+  res.status(removed ? 200 : 404).json({ removed });
+});
+
+// Token usage and estimated cost: today, the last 30 days and (with ?session=) one session
+app.get('/api/usage', (req, res) => {
+  res.json({
+    ...tokenMonitor.getStatus(req.query.session),
+    days: tokenMonitor.getDailyUsage(30)
+  });
+});
+
+// Admin endpoints need the admin token as a Bearer token
+function requireAdmin(req, res, next) {
+  const header = req.get('authorization') || '';
+  const token = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(adminToken);
+
+  if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+    return res.status(401).json({ error: 'Invalid admin token' });
   }
+  next();
+}
+
+app.post('/api/admin/shutdown', requireAdmin, (req, res) => {
+  res.status(202).json({ status: 'shutting_down' });
+  gracefulShutdown();
+});
+
+app.post('/api/admin/reboot', requireAdmin, (req, res) => {
+  res.status(202).json({ status: 'rebooting' });
+  gracefulShutdown({ restart: true });
+});
+
+// Long-term memory the user can review and correct: facts and preferences.
+// Memory holds personal details, so these need the admin token too. Every change is audited
+function sendMemoryResult(res, result, status = 200) {
+  if (!result.success) {
+    return res.status(result.notFound ? 404 : 400).json({ error: result.error });
+  }
+  res.status(status).json(result.record ? { memory: result.record } : {});
+}
+
+app.get('/api/memory', requireAdmin, (req, res) => {
+  const type = ['fact', 'preference'].includes(req.query.type) ? req.query.type : null;
+  res.json({ memories: memoryManager.listMemories(type) });
+});
+
+app.get('/api/memory/audit', requireAdmin, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  res.json({ entries: await memoryManager.getAudit(limit) });
+});
+
+app.post('/api/memory/facts', requireAdmin, (req, res) => {
+  const result = memoryManager.rememberFact(req.body?.text, { pinned: req.body?.pinned, via: 'api' });
+  sendMemoryResult(res, result, result.created ? 201 : 200);
+});
+
+app.put('/api/memory/preferences/:key', requireAdmin, (req, res) => {
+  sendMemoryResult(res, memoryManager.setPreference(req.params.key, req.body?.value, { via: 'api' }));
+});
+
+// Body: { text, pinned } for a fact, { value } for a preference
+app.patch('/api/memory/:id', requireAdmin, (req, res) => {
+  sendMemoryResult(res, memoryManager.editMemory(req.params.id, req.body || {}, { via: 'api' }));
+});
+
+app.delete('/api/memory/:id', requireAdmin, (req, res) => {
+  sendMemoryResult(res, memoryManager.deleteMemory(req.params.id, { via: 'api' }));
+});
+
+// Same as saying "forget what I said about <subject>": without "confirm": true it only
+// reports what would be deleted
+app.post('/api/memory/forget', requireAdmin, (req, res) => {
+  const subject = typeof req.body?.subject === 'string' ? req.body.subject : '';
+  if (req.body?.confirm !== true) {
+    const { records, turns } = previewForget(subject);
+    return res.json({ confirmRequired: true, matches: records.map(r => ({ id: r.id, type: r.type })), matchingTurns: turns });
+  }
+  const { removed, redacted } = forgetSubject(subject, 'api');
+  res.json({ removed: removed.map(r => ({ id: r.id, type: r.type })), redactedTurns: redacted });
+});
+
+// Transcription correction dictionaries. ?user= (or "user" in the body) picks whose, default 'default'.
+// They hold names and project vocabulary, so these need the admin token too
+function correctionUser(req) {
+  return corrections.userId(req.query.user || req.body?.user);
+}
+
+function sendCorrectionResult(res, result, status = 200) {
+  if (!result.success) {
+    return res.status(result.notFound ? 404 : 400).json({ error: result.error });
+  }
+  res.status(status).json({ correction: result.entry });
+}
+
+app.get('/api/corrections', requireAdmin, (req, res) => {
+  const user = correctionUser(req);
+  res.json({ user, corrections: corrections.list(user) });
+});
+
+app.get('/api/corrections/users', requireAdmin, (req, res) => {
+  res.json({ users: corrections.listUsers() });
+});
+
+// Body: { kind, from, to } - kind is 'word', 'phrase' or 'vocabulary' (from optional)
+app.post('/api/corrections', requireAdmin, (req, res) => {
+  const result = corrections.add(correctionUser(req), req.body || {}, { source: 'manual' });
+  sendCorrectionResult(res, result, result.created ? 201 : 200);
+});
+
+app.patch('/api/corrections/:id', requireAdmin, (req, res) => {
+  sendCorrectionResult(res, corrections.update(correctionUser(req), req.params.id, req.body || {}));
+});
+
+app.delete('/api/corrections/:id', requireAdmin, (req, res) => {
+  sendCorrectionResult(res, corrections.remove(correctionUser(req), req.params.id));
+});
+
+// Same as fixing a transcript before sending it: { heard, text }
+app.post('/api/corrections/learn', requireAdmin, (req, res) => {
+  const { heard, text } = req.body || {};
+  if (typeof heard !== 'string' || typeof text !== 'string') {
+    return res.status(400).json({ error: 'heard and text are required' });
+  }
+  res.json({ learned: corrections.learnFromEdit(correctionUser(req), heard, text, { source: 'manual' }) });
 });
 
 // Initialize services
 async function initializeServices() {
   console.log('\n🚀 Initializing services...\n');
   
+  // Pick the text-to-speech backend for this machine
+  await tts.detect();
+  
+  // Find a local speech-to-text engine
+  await transcriber.detect();
+  
+  // Check which LLM providers can answer (unavailable ones are skipped when routing)
+  const setupHints = {
+    claude: 'set ANTHROPIC_API_KEY in .env',
+    local: `start Ollama and run \`ollama pull ${llmProviders.local.config.defaultModel}\``
+  };
+  for (const { name, label, available, defaultModel } of await providerRouter.describe()) {
+    if (available) {
+      console.log(`🤖 LLM provider ${name}: ${label} (${defaultModel})`);
+    } else {
+      console.warn(`⚠️  LLM provider ${name} (${label}) not available${setupHints[name] ? ` - ${setupHints[name]}` : ''}`);
+    }
+  }
+  
   // Start log compressor
   await logCompressor.start();
   
@@ -427,7 +1824,7 @@ async function initializeServices() {
   console.log('\n✅ All services initialized\n');
 }
 
-app.listen(PORT, async () => {
+const server = app.listen(PORT, async () => {
   console.log(`Server running at http://localhost:${PORT}`);
   console.log(`WebSocket server running on port 3001`);
   console.log(`\n🎤 Voice Recognition Features:`);
@@ -443,14 +1840,67 @@ app.listen(PORT, async () => {
   console.log(`  - Chrome/Edge: Full support (Web Speech API)`);
   console.log(`  - Firefox/Safari: MediaRecorder fallback`);
   console.log(`  - Raspberry Pi: Use Chrome/Chromium for best results`);
+  if (!process.env.ADMIN_TOKEN) {
+    console.log(`\n🔑 Admin token for shutdown/reboot (set ADMIN_TOKEN in .env to keep it fixed): ${adminToken}`);
+  }
   
   // Initialize background services
   await initializeServices();
 });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n👋 Shutting down gracefully...');
+// Graceful shutdown: save everything, then exit (or re-exec for a reboot)
+let shuttingDown = false;
+
+async function gracefulShutdown({ restart = false } = {}) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  console.log(restart ? '\n🔃 Rebooting (auto-saving first)...' : '\n👋 Shutting down gracefully...');
+
+  // Let clients know so they can reconnect after a reboot
+  wss.clients.forEach(client => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(JSON.stringify({ type: 'server_status', status: restart ? 'rebooting' : 'shutting_down' }));
+    }
+  });
+
   logCompressor.stop();
+
+  // Flush persistent memory and session transcripts
+  await memoryManager.saveMemory();
+  await sessionManager.saveAll();
+  await tokenMonitor.saveState();
+  await memoryIndex.stop();
+  await clarifier.flush();
+  await corrections.flush();
+  console.log(`💾 Saved memory, token usage and ${sessionManager.sessions.size} session(s)`);
+
+  // Final context extraction - the local LLM gets 20 seconds at most
+  await Promise.race([
+    contextMonitor.forceExtract(),
+    new Promise(resolve => setTimeout(resolve, 20000))
+  ]);
+  ollamaClient.cancelAll(); // don't leave a timed-out extraction running
+
+  wss.clients.forEach(client => client.close(1012, restart ? 'Server restarting' : 'Server shutting down'));
+  await new Promise(resolve => wss.close(resolve));
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+
+  if (restart) {
+    // Ports are free now - start a fresh copy of this process
+    const child = spawn(process.execPath, process.argv.slice(1), {
+      cwd: process.cwd(),
+      env: process.env,
+      detached: true,
+      stdio: 'inherit'
+    });
+    child.unref();
+    console.log(`🔃 Restarted as process ${child.pid}`);
+  }
+
   process.exit(0);
-});
+}
+
+process.on('SIGINT', () => gracefulShutdown());
+process.on('SIGTERM', () => gracefulShutdown());
@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { queueWrite, writeFileAtomic } = require('./atomic-write');
+
+/**
+ * Session Manager
+ * Keeps per-session multi-turn conversation history for callLLM
+ * Sessions outlive a single WebSocket so a page reload can resume them,
+ * and are saved to disk so they survive a server restart
+ */
+
+class SessionManager {
+  constructor(config = {}) {
+    this.config = {
+      maxHistoryTokens: config.maxHistoryTokens || 30000, // history budget sent to Claude
+      sessionTTL: config.sessionTTL || 24 * 60 * 60 * 1000, // drop idle sessions after a day
+      sessionsDir: config.sessionsDir || './sessions',
+      ...config
+    };
+
+    this.sessions = new Map();
+    this.loadAll();
+  }
+
+  /**
+   * Restore saved sessions from disk
+   */
+  loadAll() {
+    try {
+      if (!fs.existsSync(this.config.sessionsDir)) {
+        return;
+      }
+
+      for (const file of fs.readdirSync(this.config.sessionsDir)) {
+        if (!file.endsWith('.json')) continue;
+
+        try {
+          const saved = JSON.parse(fs.readFileSync(path.join(this.config.sessionsDir, file), 'utf8'));
+          if (this.isValidId(saved.id)) {
+            this.sessions.set(saved.id, this.createSession(saved.id, saved));
+          }
+        } catch (error) {
+          console.error(`Error loading session ${file}:`, error.message);
+        }
+      }
+
+      this.pruneExpired();
+      if (this.sessions.size > 0) {
+        console.log(`💬 Restored ${this.sessions.size} saved session(s)`);
+      }
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+    }
+  }
+
+  /**
+   * Write a session transcript to disk - saves of one session run in order, the last one wins
+   */
+  async save(session) {
+    const data = {
+      id: session.id,
+      history: session.history,
+      tts: session.tts,
+      llm: session.llm,
+      createdAt: session.createdAt,
+      lastActive: session.lastActive
+    };
+
+    try {
+      await fs.promises.mkdir(this.config.sessionsDir, { recursive: true });
+      await writeFileAtomic(this.sessionFile(session.id), JSON.stringify(data, null, 2));
+    } catch (error) {
+      console.error(`Error saving session ${session.id}:`, error.message);
+    }
+  }
+
+  sessionFile(id) {
+    return path.join(this.config.sessionsDir, `${id}.json`);
+  }
+
+  async saveAll() {
+    await Promise.all([...this.sessions.values()].map(session => this.save(session)));
+  }
+
+  createSession(id, saved = {}) {
+    return {
+      id: id,
+      history: saved.history || [],
+      pendingApprovals: new Map(), // tool_use id -> waiting approval request
+      turn: null, // { controller, done } while an answer is being generated or spoken
+      pendingClarification: null, // "Did you mean ...?" waiting for the next utterance
+      pendingForget: null, // { subject, expiresAt } - "forget ..." waiting for a yes
+      lastUtterance: null, // the last spoken request, for "no, I said ..."
+      user: 'default', // whose correction dictionary applies, set by the client
+      connections: 0, // open websockets using this session - it never expires while one is open
+      speech: new AbortController(), // aborted (and replaced) to silence the assistant
+      tts: { backend: null, voice: null, rate: null, muted: false, ...saved.tts }, // null = server default
+      llm: { provider: null, model: null, ...saved.llm }, // null provider = route automatically
+      createdAt: saved.createdAt || new Date().toISOString(),
+      lastActive: saved.lastActive || new Date().toISOString()
+    };
+  }
+
+  /**
+   * Check that a client-supplied session ID is safe to use as a key
+   */
+  isValidId(sessionId) {
+    return typeof sessionId === 'string' && /^[\w-]{8,64}$/.test(sessionId);
+  }
+
+  /**
+   * Get an existing session or create a new one
+   * Returns { session, resumed }
+   */
+  getOrCreate(sessionId) {
+    this.pruneExpired();
+
+    if (this.isValidId(sessionId) && this.sessions.has(sessionId)) {
+      const session = this.sessions.get(sessionId);
+      session.lastActive = new Date().toISOString();
+      return { session, resumed: true };
+    }
+
+    const session = this.createSession(this.isValidId(sessionId) ? sessionId : crypto.randomUUID());
+    this.sessions.set(session.id, session);
+    return { session, resumed: false };
+  }
+
+  get(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  /**
+   * Rough token estimate for a message (4 chars ≈ 1 token)
+   */
+  estimateTokens(message) {
+    if (typeof message.content === 'string') {
+      return Math.ceil(message.content.length / 4);
+    }
+
+    return message.content.reduce((sum, block) => {
+      if (block.type === 'image') {
+        return sum + 1600; // Claude bills images by size, not by base64 length
+      }
+      return sum + Math.ceil(JSON.stringify(block).length / 4);
+    }, 0);
+  }
+
+  /**
+   * A turn starts with a user message (text, or text plus attachments), never with a tool_result
+   */
+  isTurnStart(message) {
+    return message.role === 'user' &&
+      (typeof message.content === 'string' || !message.content.some(block => block.type === 'tool_result'));
+  }
+
+  /**
+   * Trim the oldest whole turns until history fits the token budget.
+   * Turns are dropped as a unit so tool_use/tool_result pairs stay intact,
+   * and the most recent turn is always kept.
+   */
+  trimHistory(session) {
+    const history = session.history;
+    let total = history.reduce((sum, m) => sum + this.estimateTokens(m), 0);
+
+    while (total > this.config.maxHistoryTokens) {
+      // Find the start of the second turn - everything before it is the oldest turn
+      let nextTurn = -1;
+      for (let i = 1; i < history.length; i++) {
+        if (this.isTurnStart(history[i])) {
+          nextTurn = i;
+          break;
+        }
+      }
+
+      if (nextTurn === -1) {
+        break; // Only the current turn left
+      }
+
+      const removed = history.splice(0, nextTurn);
+      total -= removed.reduce((sum, m) => sum + this.estimateTokens(m), 0);
+    }
+
+    return total;
+  }
+
+  /**
+   * Replace all but the last `keepTurns` turns with a summary from `summarize(messages)`.
+   * Whole turns are folded so tool_use/tool_result pairs stay intact.
+   * Returns the number of messages folded into the summary (0 if there was nothing to compact)
+   */
+  async compact(session, summarize, keepTurns = 2) {
+    const turnStarts = session.history
+      .map((m, i) => (this.isTurnStart(m) ? i : -1))
+      .filter(i => i !== -1);
+
+    if (turnStarts.length <= keepTurns) {
+      return 0;
+    }
+
+    const cut = turnStarts[turnStarts.length - keepTurns];
+    const older = session.history.slice(0, cut);
+    const firstKept = session.history[cut];
+    const summary = await summarize(older);
+
+    // History can change while the summary is written (new turns, trimming)
+    const keptIndex = session.history.indexOf(firstKept);
+    if (keptIndex === -1) {
+      return 0;
+    }
+
+    session.history.splice(0, keptIndex,
+      { role: 'user', content: `[Summary of our earlier conversation]\n${summary}` },
+      { role: 'assistant', content: 'Got it, I have the summary of our earlier conversation.' }
+    );
+    await this.save(session);
+    return older.length;
+  }
+
+  // Text of a message and its content blocks, for matching
+  messageText(message) {
+    if (typeof message.content === 'string') {
+      return message.content;
+    }
+    return message.content.map(block => {
+      if (block.type === 'text') return block.text;
+      if (block.type === 'tool_use') return JSON.stringify(block.input);
+      if (block.type === 'tool_result') return typeof block.content === 'string' ? block.content : JSON.stringify(block.content);
+      return '';
+    }).join(' ');
+  }
+
+  /**
+   * Blank out every turn whose text `matches(text)`, in all sessions and their saved transcripts
+   * ("forget what I said about X"). The whole turn goes - question, tool calls and answer - but its
+   * messages are kept as placeholders so tool_use/tool_result pairs stay intact.
+   * Returns the number of turns changed - with dryRun, the number that would be
+   */
+  redact(matches, { dryRun = false } = {}) {
+    const FORGOTTEN = '[forgotten]';
+    let changed = 0;
+
+    for (const session of this.sessions.values()) {
+      const starts = session.history
+        .map((m, i) => (this.isTurnStart(m) ? i : -1))
+        .filter(i => i !== -1);
+      if (starts[0] !== 0) {
+        starts.unshift(0); // history that begins mid-turn
+      }
+
+      let sessionChanged = false;
+      starts.forEach((start, n) => {
+        const turn = session.history.slice(start, starts[n + 1]);
+        if (turn.length === 0 || !matches(turn.map(m => this.messageText(m)).join(' '))) {
+          return;
+        }
+        if (dryRun) {
+          changed++;
+          return;
+        }
+
+        for (const message of turn) {
+          if (typeof message.content === 'string') {
+            message.content = FORGOTTEN;
+            continue;
+          }
+          for (const block of message.content) {
+            if (block.type === 'text') block.text = FORGOTTEN;
+            else if (block.type === 'tool_use') block.input = {};
+            else if (block.type === 'tool_result') block.content = FORGOTTEN;
+          }
+          // Images can't be blanked - drop them, keeping a placeholder so the message isn't empty
+          message.content = message.content.filter(block => block.type !== 'image' && block.type !== 'document');
+          if (message.content.length === 0) {
+            message.content = FORGOTTEN;
+          }
+        }
+        sessionChanged = true;
+        changed++;
+      });
+
+      if (!dryRun && session.lastUtterance && matches(session.lastUtterance)) {
+        session.lastUtterance = null;
+      }
+      if (sessionChanged) {
+        this.save(session);
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Number of completed user turns in a session
+   */
+  countTurns(session) {
+    return session.history.filter(m => this.isTurnStart(m)).length;
+  }
+
+  clear(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (session) {
+      session.history = [];
+      this.save(session);
+    }
+  }
+
+  /**
+   * Remove sessions that have been idle longer than the TTL and have no open connection
+   */
+  pruneExpired() {
+    const cutoff = Date.now() - this.config.sessionTTL;
+    for (const [id, session] of this.sessions) {
+      if (session.connections === 0 && new Date(session.lastActive).getTime() < cutoff) {
+        this.sessions.delete(id);
+        // Behind any save still queued, so the file isn't written back
+        const file = this.sessionFile(id);
+        queueWrite(file, () => fs.promises.unlink(file)).catch(() => {});
+      }
+    }
+  }
+}
+
+module.exports = SessionManager;
@@ -0,0 +1,140 @@
+/**
+ * Checks for the correction dictionary
+ * Ordinary replies and edits must not turn into permanent rewrites of what the user says
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NLPHandler = require('./nlp-handler');
+const CorrectionDictionary = require('./corrections');
+
+const nlp = new NLPHandler();
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'juzgofoo-corrections-'));
+let fileCount = 0;
+
+// A fresh dictionary for each check
+function dictionary() {
+  return new CorrectionDictionary({ file: path.join(tempDir, `corrections-${++fileCount}.json`) });
+}
+
+const checks = [
+  // Replies that aren't corrections
+  {
+    name: '"Sorry, it\'s fine." is not a restatement',
+    run: () => nlp.parseRestatement("Sorry, it's fine.") === null
+  },
+  {
+    name: '"no it was great" is not a restatement',
+    run: () => nlp.parseRestatement('no it was great') === null
+  },
+  {
+    name: '"no, I said kubectl" and "I meant postgres" are restatements',
+    run: () => nlp.parseRestatement('no, I said kubectl') === 'kubectl' && nlp.parseRestatement('I meant postgres') === 'postgres'
+  },
+
+  // Edits that are changes of mind
+  {
+    name: 'Editing "open app.js" to "open api.js" learns nothing',
+    run: () => {
+      const d = dictionary();
+      const learned = [1, 2, 3].flatMap(() => d.learnFromEdit('default', 'open app.js', 'open api.js'));
+      return learned.length === 0 && d.apply('default', 'open app.js').text === 'open app.js';
+    }
+  },
+  {
+    name: 'Editing "app js" to "api.js" never rewrites "app js"',
+    run: () => {
+      const d = dictionary();
+      [1, 2].forEach(() => d.learnFromEdit('default', 'open app js now', 'open api.js now'));
+      return d.apply('default', 'open app js').text === 'open app js';
+    }
+  },
+  {
+    name: 'Editing "cat" to "hat" learns nothing',
+    run: () => {
+      const d = dictionary();
+      const learned = [1, 2, 3].flatMap(() => d.learnFromEdit('default', 'draw me a cat please', 'draw me a hat please'));
+      return learned.length === 0 && d.apply('default', 'feed the cat').text === 'feed the cat';
+    }
+  },
+  {
+    name: 'A retyped message sent over the transcript learns nothing',
+    run: () => {
+      const d = dictionary();
+      const learned = [1, 2].flatMap(() => d.learnFromEdit('default', 'read the config file', 'read the config fine thanks'))
+        .concat(d.learnFromEdit('default', 'read the config file', 'what time is it in tokyo'));
+      return learned.length === 0;
+    }
+  },
+  {
+    name: '"create" -> "great" is not learned from a restatement',
+    run: () => {
+      const d = dictionary();
+      const learned = [1, 2].flatMap(() => d.learnFromRestatement('default', 'create a test', 'great').learned);
+      return learned.length === 0 && d.apply('default', 'create a file').text === 'create a file';
+    }
+  },
+
+  // Real fixes, once there is enough evidence
+  {
+    name: 'A fix is only stored the second time it is made',
+    run: () => {
+      const d = dictionary();
+      const first = d.learnFromEdit('default', 'parse the jason file', 'parse the JSON file');
+      const before = d.apply('default', 'load the jason').text;
+      const second = d.learnFromEdit('default', 'parse the jason file', 'parse the JSON file');
+      return first.length === 0 && before === 'load the jason' &&
+        second.length === 1 && d.apply('default', 'load the jason').text === 'load the JSON';
+    }
+  },
+  {
+    name: 'A restatement reruns the request straight away and is learned the second time',
+    run: () => {
+      const d = dictionary();
+      const first = d.learnFromRestatement('default', 'connect to post gress now', 'postgres');
+      const second = d.learnFromRestatement('default', 'connect to post gress now', 'postgres');
+      return first.text === 'connect to postgres now' && first.learned.length === 0 && second.learned.length === 1;
+    }
+  },
+  {
+    name: 'A file name fix becomes vocabulary, not a rewrite of the heard words',
+    run: () => {
+      const d = dictionary();
+      [1, 2].forEach(() => d.learnFromEdit('default', 'open server js please', 'open server.js please'));
+      const [entry] = d.list('default');
+      return entry && entry.kind === 'vocabulary' && entry.from === null &&
+        d.apply('default', 'read server js').text === 'read server.js';
+    }
+  },
+  {
+    name: 'A "did you mean...?" guess becomes an entry after two confirmations',
+    run: () => {
+      const d = dictionary();
+      return d.confirm('default', 'red', 'read') === null && d.confirm('default', 'red', 'read') !== null;
+    }
+  }
+];
+
+async function runChecks() {
+  let passed = 0;
+  let failed = 0;
+
+  for (const check of checks) {
+    let ok = false;
+    try {
+      ok = check.run();
+    } catch (error) {
+      console.log(`   ${error.stack}`);
+    }
+    console.log(`${ok ? '✅ PASS' : '❌ FAIL'} - ${check.name}`);
+    ok ? passed++ : failed++;
+  }
+
+  console.log(`\n📊 ${passed} passed, ${failed} failed out of ${checks.length} checks`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+runChecks()
+  .then(() => new Promise(resolve => setTimeout(resolve, 100))) // let queued dictionary writes finish
+  .finally(() => fs.rmSync(tempDir, { recursive: true, force: true }));
@@ -0,0 +1,122 @@
+/**
+ * Checks for the tool sandbox and approvals
+ * Commands that read secrets or leave the workspace must never run without a yes
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Workspace = require('./workspace');
+const ToolPolicy = require('./tool-policy');
+const NLPHandler = require('./nlp-handler');
+
+// A workspace with a secrets file, and a folder outside it for links to point at
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'juzgofoo-safety-'));
+const root = path.join(tempDir, 'workspace');
+const outside = path.join(tempDir, 'outside');
+fs.mkdirSync(path.join(root, 'src'), { recursive: true });
+fs.mkdirSync(outside);
+fs.writeFileSync(path.join(root, '.env'), 'ANTHROPIC_API_KEY=sk-secret\n');
+fs.writeFileSync(path.join(root, 'src', 'app.js'), 'console.log("hi");\n');
+fs.symlinkSync(path.join(outside, 'pwned.txt'), path.join(root, 'dangling'));
+fs.symlinkSync(outside, path.join(root, 'out'));
+fs.symlinkSync('src', path.join(root, 'code'));
+
+const workspace = new Workspace({ roots: [root] });
+const policy = new ToolPolicy({ workspace, policyFile: path.join(tempDir, 'no-policy.json') });
+const nlp = new NLPHandler();
+
+// The WorkspaceError code resolvePath throws, or 'ok'
+function resolveCode(p) {
+  try {
+    workspace.resolvePath(p);
+    return 'ok';
+  } catch (error) {
+    return error.code;
+  }
+}
+
+const checks = [
+  // Read-only commands that would print secrets or leave the workspace
+  ...['cat .e*', 'cat .en?', 'cat {a,.env}', 'cat ~/.aws/credentials', 'cat /proc/$PPID/environ', 'cat /proc/self/environ',
+    'cat /etc/passwd', 'ls ..', 'cat .env', 'cat < .env', 'grep -r KEY .', 'grep -rn KEY src', 'grep --recursive KEY .',
+    'git show HEAD:.env', 'grep --file=.env src/app.js', 'cat dangling'].map(command => ({
+    name: `"${command}" is not auto-approved`,
+    run: () => !policy.isReadOnly(command) && policy.evaluate('execute_bash', { command }).level !== 'auto'
+  })),
+  {
+    name: 'Commands naming .env are refused outright',
+    run: () => ['cat .env', 'grep KEY .env', 'cat ".env"'].every(command => policy.evaluate('execute_bash', { command }).level === 'deny')
+  },
+
+  // Read-only commands that stay inside the workspace
+  ...['ls -la', 'cat src/app.js | head -5', 'grep -n "hello world" src/app.js', 'git log --oneline -5', 'pwd && echo done'].map(command => ({
+    name: `"${command}" runs without asking`,
+    run: () => policy.evaluate('execute_bash', { command }).level === 'auto'
+  })),
+
+  // Paths
+  {
+    name: 'A dangling symlink to outside the workspace is rejected',
+    run: () => resolveCode('dangling') === 'SYMLINK_ESCAPE' && !fs.existsSync(path.join(outside, 'pwned.txt'))
+  },
+  {
+    name: 'A path through a linked folder outside the workspace is rejected',
+    run: () => resolveCode('out/new.txt') === 'SYMLINK_ESCAPE'
+  },
+  {
+    name: '".." out of the workspace is rejected',
+    run: () => resolveCode('../outside/x.txt') === 'OUTSIDE_WORKSPACE' && resolveCode('src/../../x') === 'OUTSIDE_WORKSPACE'
+  },
+  {
+    name: 'Secrets files are rejected, .env.example is not',
+    run: () => resolveCode('.env') === 'SECRET_FILE' && resolveCode('config/id_rsa') === 'SECRET_FILE' && resolveCode('.env.example') === 'ok'
+  },
+  {
+    name: 'New files and links that stay inside are allowed',
+    run: () => resolveCode('src/new/file.js') === 'ok' && resolveCode('code/app.js') === 'ok'
+  },
+  {
+    name: 'Searches skip secrets files',
+    run: () => [...workspace.walk(root)].every(file => path.basename(file) !== '.env')
+  },
+
+  // Spoken approvals
+  ...['yes', 'Yes.', 'okay go ahead', 'yes please', 'do it'].map(text => ({
+    name: `"${text}" approves`,
+    run: () => nlp.parseConfirmation(text) === true
+  })),
+  ...['no', 'ok wait', 'okay hold on a second', 'ok what does that do', 'stop', 'why?'].map(text => ({
+    name: `"${text}" denies`,
+    run: () => nlp.parseConfirmation(text) === false
+  })),
+  {
+    name: '"sure but first show me" does not approve',
+    run: () => nlp.parseConfirmation('sure but first show me') !== true
+  }
+];
+
+function runChecks() {
+  let passed = 0;
+  let failed = 0;
+
+  for (const check of checks) {
+    let ok = false;
+    try {
+      ok = check.run();
+    } catch (error) {
+      console.log(`   ${error.stack}`);
+    }
+    console.log(`${ok ? '✅ PASS' : '❌ FAIL'} - ${check.name}`);
+    ok ? passed++ : failed++;
+  }
+
+  console.log(`\n📊 ${passed} passed, ${failed} failed out of ${checks.length} checks`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+try {
+  runChecks();
+} finally {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+}
@@ -1,115 +1,245 @@
-const { exec } = require('child_process');
-const { promisify } = require('util');
 const fs = require('fs').promises;
+const { writeFileAtomic } = require('./atomic-write');
+const OllamaClient = require('./ollama-client');
+const MemoryStore = require('./memory-store');
 
-const execAsync = promisify(exec);
+// USD per million tokens, matched by model name prefix (first match wins).
+// Local and OpenAI-compatible servers are free unless a price is configured.
+const DEFAULT_PRICING = [
+  { prefix: 'claude-opus-4-5', input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+  { prefix: 'claude-opus-4', input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  { prefix: 'claude-sonnet-4', input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  { prefix: 'claude-3-7-sonnet', input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  { prefix: 'claude-haiku-4-5', input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+  { prefix: 'claude-3-5-haiku', input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 }
+];
+
+const USAGE_KEYS = ['input_tokens', 'output_tokens', 'cache_creation_input_tokens', 'cache_read_input_tokens'];
+
+function emptyTotals() {
+  return {
+    requests: 0,
+    input_tokens: 0,
+    output_tokens: 0,
+    cache_creation_input_tokens: 0,
+    cache_read_input_tokens: 0,
+    cache_hits: 0, // turns that read the prompt cache
+    cache_misses: 0, // turns that had to write it
+    cost: 0
+  };
+}
+
+// Share of prompt tokens served from the cache, 0-100
+function cacheHitRate(totals) {
+  const prompt = totals.input_tokens + totals.cache_creation_input_tokens + totals.cache_read_input_tokens;
+  return prompt > 0 ? Number(((totals.cache_read_input_tokens / prompt) * 100).toFixed(1)) : 0;
+}
 
 class TokenMonitor {
   constructor(options = {}) {
-    this.tokenThreshold = options.tokenThreshold || 120000;
+    this.usageFile = options.usageFile || './token-usage.json';
+    this.sessionBudget = options.sessionBudget || 40000; // context tokens a session's requests may use
+    this.compactAt = options.compactAt || 0.8; // compact once a request uses 80% of the budget
+    this.keepTurns = options.keepTurns || 2; // recent turns kept word for word when compacting
+    this.daysKept = options.daysKept || 90;
     this.ollamaModel = options.ollamaModel || 'llama2';
-    this.currentTokenCount = 0;
-    this.conversationBuffer = [];
-    this.summaryFile = options.summaryFile || './conversation-summary.json';
-    this.isProcessing = false;
-    
-    console.log(`📊 Token Monitor initialized (threshold: ${this.tokenThreshold} tokens)`);
-    
-    // Load existing token count
-    this.loadState();
-  }
-  
+    this.summaryTimeout = options.summaryTimeout || 120000;
+    this.pricing = [...(options.pricing || []), ...DEFAULT_PRICING];
+    this.ollama = options.ollamaClient || new OllamaClient({ host: options.ollamaHost });
+    this.store = options.memoryStore || new MemoryStore();
+
+    this.state = { sessions: {}, days: {} };
+    this.compacting = new Set(); // session IDs being compacted
+
+    console.log(`📊 Token Monitor initialized (session budget: ${this.sessionBudget} tokens)`);
+
+    // Load saved totals
+    this.loaded = this.loadState();
+  }
+
   async loadState() {
     try {
-      const data = await fs.readFile(this.summaryFile, 'utf8');
-      const state = JSON.parse(data);
-      this.currentTokenCount = state.totalTokens || 0;
-      console.log(`📊 Loaded token count: ${this.currentTokenCount} tokens`);
+      const data = await fs.readFile(this.usageFile, 'utf8');
+      const saved = JSON.parse(data);
+      this.state = { sessions: saved.sessions || {}, days: saved.days || {} };
+      const today = this.state.days[this.today()];
+      if (today) {
+        console.log(`📊 Loaded token usage: ${today.input_tokens + today.output_tokens} tokens today`);
+      }
     } catch (error) {
       // File doesn't exist yet, start fresh
-      this.currentTokenCount = 0;
     }
   }
-  
-  async saveState(summary = null) {
-    const state = {
-      totalTokens: this.currentTokenCount,
-      lastProcessed: new Date().toISOString(),
-      summary: summary
-    };
-    
-    await fs.writeFile(this.summaryFile, JSON.stringify(state, null, 2), 'utf8');
-  }
-  
-  // Rough token estimation (4 chars ≈ 1 token)
-  estimateTokens(text) {
-    return Math.ceil(text.length / 4);
-  }
-  
-  // Add message and track tokens
-  async addMessage(userMessage, assistantResponse) {
-    const userTokens = this.estimateTokens(userMessage);
-    const assistantTokens = this.estimateTokens(assistantResponse);
-    const totalNew = userTokens + assistantTokens;
-    
-    this.currentTokenCount += totalNew;
-    this.conversationBuffer.push({
-      user: userMessage,
-      assistant: assistantResponse,
-      tokens: totalNew,
-      timestamp: new Date().toISOString()
-    });
-    
-    console.log(`📊 Token count: ${this.currentTokenCount}/${this.tokenThreshold} (+${totalNew})`);
-    
-    // Check if we've hit the threshold
-    if (this.currentTokenCount >= this.tokenThreshold && !this.isProcessing) {
-      console.log('🚨 Token threshold reached! Triggering background Llama process...');
-      await this.processWithLlama();
+
+  saveState() {
+    return writeFileAtomic(this.usageFile, () => JSON.stringify(this.state, null, 2))
+      .catch(error => console.error('Error saving token usage:', error.message));
+  }
+
+  // Local date, e.g. 2025-01-31
+  today() {
+    return new Date().toLocaleDateString('en-CA');
+  }
+
+  priceFor(model) {
+    return this.pricing.find(p => (model || '').startsWith(p.prefix)) || null;
+  }
+
+  // Estimated cost in USD of one response's usage
+  estimateCost(usage, model) {
+    const price = this.priceFor(model);
+    if (!price) {
+      return 0;
+    }
+
+    return (
+      (usage.input_tokens || 0) * price.input +
+      (usage.output_tokens || 0) * price.output +
+      (usage.cache_creation_input_tokens || 0) * price.cacheWrite +
+      (usage.cache_read_input_tokens || 0) * price.cacheRead
+    ) / 1e6;
+  }
+
+  addTo(totals, usage, cost) {
+    totals.requests++;
+    for (const key of USAGE_KEYS) {
+      totals[key] += usage[key] || 0;
+    }
+    // Providers without prompt caching count as neither
+    if (usage.cache_read_input_tokens > 0) {
+      totals.cache_hits = (totals.cache_hits || 0) + 1;
+    } else if (usage.cache_creation_input_tokens > 0) {
+      totals.cache_misses = (totals.cache_misses || 0) + 1;
+    }
+    totals.cost += cost;
+  }
+
+  // Record the real usage of one answered turn (summed over its tool calls)
+  // contextTokens: prompt size of the turn's last request - what the next turn starts from
+  async record(sessionId, usage, { provider, model, contextTokens = 0 } = {}) {
+    await this.loaded;
+
+    const cost = this.estimateCost(usage, model);
+    const day = this.today();
+
+    this.state.days[day] = this.state.days[day] || emptyTotals();
+    this.addTo(this.state.days[day], usage, cost);
+
+    if (sessionId) {
+      const session = this.state.sessions[sessionId] || {
+        ...emptyTotals(),
+        lastContextTokens: 0,
+        compactions: 0
+      };
+      this.addTo(session, usage, cost);
+      session.lastContextTokens = contextTokens;
+      session.lastProvider = provider;
+      session.lastModel = model;
+      session.lastActive = new Date().toISOString();
+      this.state.sessions[sessionId] = session;
+    }
+
+    console.log(`📊 Tokens: ${usage.input_tokens} in / ${usage.output_tokens} out` +
+      (usage.cache_read_input_tokens ? ` / ${usage.cache_read_input_tokens} from cache` : '') +
+      (usage.cache_creation_input_tokens ? ` / ${usage.cache_creation_input_tokens} cached` : '') +
+      ` ($${cost.toFixed(4)}, context ${contextTokens}/${this.sessionBudget})`);
+
+    this.prune();
+    await this.saveState();
+  }
+
+  // Drop old days and sessions nobody has touched for a month
+  prune() {
+    const dayCutoff = new Date(Date.now() - this.daysKept * 24 * 60 * 60 * 1000).toLocaleDateString('en-CA');
+    for (const day of Object.keys(this.state.days)) {
+      if (day < dayCutoff) {
+        delete this.state.days[day];
+      }
+    }
+
+    const sessionCutoff = Date.now() - 30 * 24 * 60 * 60 * 1000;
+    for (const [id, session] of Object.entries(this.state.sessions)) {
+      if (new Date(session.lastActive).getTime() < sessionCutoff) {
+        delete this.state.sessions[id];
+      }
     }
   }
-  
-  // Run Llama in background to compress/summarize
-  async processWithLlama() {
-    if (this.isProcessing) {
-      console.log('⏳ Already processing, skipping...');
-      return;
+
+  // True when the session's last request came close to its budget
+  needsCompaction(sessionId) {
+    const session = this.state.sessions[sessionId];
+    return !!session &&
+      !this.compacting.has(sessionId) &&
+      session.lastContextTokens >= this.sessionBudget * this.compactAt;
+  }
+
+  // Compact a session's history through sessionManager.compact, summarizing with the local LLM
+  // Returns the number of messages folded into the summary
+  async compact(session, sessionManager) {
+    if (this.compacting.has(session.id)) {
+      return 0;
     }
-    
-    this.isProcessing = true;
-    
+
+    this.compacting.add(session.id);
     try {
-      console.log('🦙 Starting Llama background processing...');
-      
-      // Read the current memory file
-      let memoryData = {};
-      try {
-        const memoryContent = await fs.readFile('./conversation-memory.json', 'utf8');
-        memoryData = JSON.parse(memoryContent);
-      } catch (error) {
-        console.log('No existing memory file found, starting fresh');
+      let summary = null;
+      const folded = await sessionManager.compact(session, async (messages) => {
+        summary = await this.summarizeHistory(messages);
+        return summary;
+      }, this.keepTurns);
+
+      if (folded > 0) {
+        // Kept in long-term memory too, tagged with the session it came from
+        this.store.addSummary(summary, { source: 'compaction', sessionId: session.id, messageCount: folded });
+
+        const entry = this.state.sessions[session.id];
+        if (entry) {
+          entry.compactions++;
+          entry.lastContextTokens = 0; // unknown until the next request measures it
+        }
+        await this.saveState();
+        console.log(`🗜️  Compacted ${folded} messages of session ${session.id} into a summary`);
       }
-      
-      // Create a comprehensive summary of the conversation buffer
-      const conversationText = this.conversationBuffer.map(msg => 
-        `User: ${msg.user}\nAssistant: ${msg.assistant}`
-      ).join('\n\n');
-      
-      const prompt = `You are a context summarizer. You've been given ${this.currentTokenCount} tokens of conversation history.
-
-Your task is to create a concise, information-dense summary that preserves:
+      return folded;
+    } finally {
+      this.compacting.delete(session.id);
+    }
+  }
+
+  // Plain text of a history message for the summarizer
+  messageText(message) {
+    if (typeof message.content === 'string') {
+      return message.content;
+    }
+
+    return message.content.map(block => {
+      if (block.type === 'text') return block.text;
+      if (block.type === 'tool_use') return `[used ${block.name} ${JSON.stringify(block.input).substring(0, 200)}]`;
+      if (block.type === 'tool_result') return `[tool result: ${String(block.content).substring(0, 200)}]`;
+      if (block.type === 'document') return `[attached ${block.title || 'a file'}]`;
+      if (block.type === 'image') return '[attached an image]';
+      return '';
+    }).filter(Boolean).join('\n');
+  }
+
+  // Summarize earlier history with the local LLM
+  async summarizeHistory(messages) {
+    const conversationText = messages.map(m =>
+      `${m.role === 'user' ? 'User' : 'Assistant'}: ${this.messageText(m)}`
+    ).join('\n\n');
+
+    const prompt = `You are a context summarizer. Summarize this conversation between a user and a voice assistant so the assistant can continue it without the full history.
+
+Preserve:
 1. Key facts and decisions made
 2. Important file paths and system states
 3. User preferences and project context
 4. Any ongoing tasks or goals
 
-Current conversation buffer (${this.conversationBuffer.length} messages):
+Conversation (${messages.length} messages):
 
 ${conversationText}
 
-Previous important facts:
-${JSON.stringify(memoryData.importantFacts || [], null, 2)}
-
 Provide your summary as a JSON object with:
 {
   "keyFacts": ["fact1", "fact2", ...],
@@ -118,82 +248,63 @@ Provide your summary as a JSON object with:
   "contextSummary": "brief overall summary"
 }`;
 
-      // Call Ollama
-      const response = await this.callOllama(prompt);
-      
-      // Parse the response
-      let summary;
-      try {
-        // Extract JSON from markdown code blocks if present
-        let jsonText = response;
-        const jsonMatch = response.match(/```(?:json)?\s*(\{[\s\S]*\})\s*```/);
-        if (jsonMatch) {
-          jsonText = jsonMatch[1];
-        }
-        
-        summary = JSON.parse(jsonText);
-      } catch (error) {
-        console.error('Failed to parse Llama response as JSON:', error);
-        summary = {
-          keyFacts: [],
-          systemState: "Unable to parse summary",
-          ongoingTasks: [],
-          contextSummary: response.substring(0, 500)
-        };
-      }
-      
-      console.log('✅ Llama processing complete!');
-      console.log('📝 Summary:', summary.contextSummary);
-      
-      // Save the summary
-      await this.saveState(summary);
-      
-      // Clear the buffer and reset counter
-      this.conversationBuffer = [];
-      this.currentTokenCount = 0;
-      
-      // Update memory file with new context
-      memoryData.importantFacts = [
-        ...(summary.keyFacts || []),
-        `[${new Date().toISOString()}] Context compressed at 120k tokens: ${summary.contextSummary}`
-      ].slice(-20); // Keep last 20 facts
-      
-      await fs.writeFile(
-        './conversation-memory.json',
-        JSON.stringify(memoryData, null, 2),
-        'utf8'
-      );
-      
+    try {
+      const summary = JSON.parse(await this.callOllama(prompt));
+
+      return [
+        summary.contextSummary,
+        ...(summary.keyFacts || []).map(f => `- ${f}`),
+        summary.systemState && `System state: ${summary.systemState}`,
+        summary.ongoingTasks?.length > 0 && `Ongoing tasks: ${summary.ongoingTasks.join('; ')}`
+      ].filter(Boolean).join('\n');
     } catch (error) {
-      console.error('❌ Error processing with Llama:', error);
-    } finally {
-      this.isProcessing = false;
+      console.error('⚠️  History summary failed, keeping the user requests only:', error.message);
+
+      const requests = messages
+        .filter(m => m.role === 'user' && typeof m.content === 'string')
+        .map(m => `- ${m.content.substring(0, 150)}`);
+      return `Earlier the user asked:\n${requests.join('\n')}`;
     }
   }
-  
-  // Call Ollama with a prompt
+
+  // Call Ollama with a prompt (JSON mode - the summary prompt asks for an object)
   async callOllama(prompt) {
     try {
-      const command = `ollama run ${this.ollamaModel} "${prompt.replace(/"/g, '\\"')}"`;
-      const { stdout } = await execAsync(command, {
-        maxBuffer: 10 * 1024 * 1024 // 10MB buffer
+      return await this.ollama.generate(prompt, {
+        model: this.ollamaModel,
+        json: true,
+        timeout: this.summaryTimeout
       });
-      
-      return stdout.trim();
     } catch (error) {
-      console.error('Ollama execution error:', error);
+      console.error('Ollama request error:', error.message);
       throw error;
     }
   }
-  
-  // Get current status
-  getStatus() {
+
+  // Usage per day, most recent first
+  getDailyUsage(days = 30) {
+    return Object.entries(this.state.days)
+      .sort(([a], [b]) => b.localeCompare(a))
+      .slice(0, days)
+      .map(([date, totals]) => ({ date, ...totals, cacheHitRate: cacheHitRate(totals) }));
+  }
+
+  // Get current status for a session (or just today's totals)
+  getStatus(sessionId = null) {
+    const session = sessionId && Object.hasOwn(this.state.sessions, sessionId)
+      ? this.state.sessions[sessionId]
+      : null;
+
+    const today = this.state.days[this.today()] || emptyTotals();
+
     return {
-      currentTokens: this.currentTokenCount,
-      threshold: this.tokenThreshold,
-      percentage: ((this.currentTokenCount / this.tokenThreshold) * 100).toFixed(1),
-      bufferSize: this.conversationBuffer.length,
-      isProcessing: this.isProcessing
+      session: session && { ...session, cacheHitRate: cacheHitRate(session) },
+      today: { date: this.today(), ...today, cacheHitRate: cacheHitRate(today) },
+      budget: {
+        tokens: this.sessionBudget,
+        compactAt: Math.round(this.sessionBudget * this.compactAt),
+        percentage: session ? Number(((session.lastContextTokens / this.sessionBudget) * 100).toFixed(1)) : 0
+      }
     };
   }
 }
@@ -0,0 +1,219 @@
+const fs = require('fs');
+const Workspace = require('./workspace');
+
+/**
+ * Tool Policy
+ * Decides whether a tool call runs automatically, needs the user's approval,
+ * or is refused outright. A misheard sentence should never delete things.
+ */
+
+const LEVELS = ['auto', 'confirm', 'deny'];
+
+// Shell syntax that can write files, run hidden commands or read from elsewhere - never auto-approved
+const UNSAFE_SHELL = /[<>`$\\]|\n/;
+
+// Arguments the shell expands into other paths ("cat .e*", "cat {a,.env}", "cat ~/.aws/credentials")
+const EXPANDING_ARGUMENT = /[*?[\]{}~]/;
+
+class ToolPolicy {
+  constructor(config = {}) {
+    this.workspace = config.workspace || new Workspace();
+    this.config = {
+      policyFile: config.policyFile || './tool-policy.json',
+      approvalTimeout: config.approvalTimeout || 30000, // unanswered requests are denied
+      // Default level per tool
+      tools: {
+        read_file: 'auto',
+        list_files: 'auto',
+        write_file: 'confirm',
+        edit_file: 'confirm',
+        search_files: 'auto',
+        glob: 'auto',
+        file_info: 'auto',
+        recall_memory: 'auto',
+        execute_bash: 'confirm',
+        ...config.tools
+      },
+      // Commands that only read, run without asking when every part of a pipeline is one of them
+      // and every argument stays inside the workspace and off its secrets files.
+      // flags: options that make the command write, run other commands or read whole directories
+      readOnlyCommands: config.readOnlyCommands || [
+        { command: 'ls' }, { command: 'cat' }, { command: 'head' }, { command: 'tail' }, { command: 'wc' },
+        { command: 'pwd' }, { command: 'echo' }, { command: 'stat' },
+        { command: 'grep', flags: '(^|\\s)(-\\w*[rR]|--recursive|--dereference-recursive|-d|--directories)' },
+        { command: 'file', flags: '(^|\\s)-C\\b' }, { command: 'du' }, { command: 'df' }, { command: 'which' }, { command: 'whoami' },
+        { command: 'date' }, { command: 'uname' }, { command: 'uniq' }, { command: 'cut' },
+        { command: 'sort', flags: '(^|\\s)(-o|--output)' },
+        { command: 'find', flags: '-(delete|exec|execdir|ok|okdir|fprint|fprint0|fprintf|fls)\\b' },
+        { command: 'tree', flags: '(^|\\s)-o\\b' },
+        { command: 'git', subcommands: ['status', 'log', 'diff', 'show', 'blame'], flags: '--output\\b' }
+      ],
+      // Patterns within execute_bash commands - the strictest match wins
+      bashPatterns: config.bashPatterns || [
+        { pattern: '\\brm\\s', level: 'confirm', reason: 'deletes files' },
+        { pattern: '\\bgit\\s+push\\b', level: 'confirm', reason: 'pushes to a remote' },
+        { pattern: '\\bgit\\s+(reset\\s+--hard|clean\\b)', level: 'confirm', reason: 'discards work' },
+        { pattern: '\\bmv\\s', level: 'confirm', reason: 'moves or renames files' },
+        { pattern: '\\b(npm|pip|brew|apt(-get)?)\\s+(install|uninstall|remove)\\b', level: 'confirm', reason: 'changes installed packages' },
+        { pattern: '\\bkill(all)?\\b', level: 'confirm', reason: 'stops processes' },
+        { pattern: '\\bsudo\\b', level: 'deny', reason: 'runs with root privileges' },
+        { pattern: '(^|[\\s/\'"=<])(\\.env(?!\\.(example|sample|template)\\b)(\\.[\\w.-]+)?|id_(rsa|dsa|ecdsa|ed25519)|\\.netrc|\\.npmrc|[\\w-]+\\.pem)(?![\\w.-])', level: 'deny', reason: 'touches a secrets file' },
+        { pattern: '\\b(mkfs|dd\\s+if=|shutdown|reboot)\\b', level: 'deny', reason: 'can damage the system' },
+        { pattern: '\\brm\\s+(-\\w*[rR]\\w*\\s+)*(\\/|~)(\\s|$)', level: 'deny', reason: 'deletes the root or home directory' }
+      ]
+    };
+
+    this.loadPolicyFile();
+    this.compiledPatterns = this.config.bashPatterns.map(rule => ({
+      ...rule,
+      regex: new RegExp(rule.pattern, 'i')
+    }));
+  }
+
+  /**
+   * Merge overrides from the optional policy file
+   */
+  loadPolicyFile() {
+    try {
+      if (fs.existsSync(this.config.policyFile)) {
+        const overrides = JSON.parse(fs.readFileSync(this.config.policyFile, 'utf8'));
+
+        if (overrides.tools) {
+          Object.assign(this.config.tools, overrides.tools);
+        }
+        if (Array.isArray(overrides.bashPatterns)) {
+          this.config.bashPatterns = overrides.bashPatterns;
+        }
+        if (Array.isArray(overrides.readOnlyCommands)) {
+          this.config.readOnlyCommands = overrides.readOnlyCommands;
+        }
+        if (overrides.approvalTimeout) {
+          this.config.approvalTimeout = overrides.approvalTimeout;
+        }
+
+        console.log(`🛡️  Tool policy loaded from ${this.config.policyFile}`);
+      }
+    } catch (error) {
+      console.error('Error loading tool policy:', error.message);
+    }
+  }
+
+  /**
+   * Evaluate a tool call
+   * Returns { level: 'auto' | 'confirm' | 'deny', reason }
+   */
+  evaluate(toolName, toolInput = {}) {
+    // Unknown tools need a human to look at them
+    let level = this.config.tools[toolName] || 'confirm';
+    let reason = `${toolName} is set to ${level}`;
+
+    if (toolName === 'execute_bash' && typeof toolInput.command === 'string') {
+      if (level === 'confirm' && this.isReadOnly(toolInput.command)) {
+        level = 'auto';
+        reason = 'command only reads';
+      }
+      for (const rule of this.compiledPatterns) {
+        if (rule.regex.test(toolInput.command) && LEVELS.indexOf(rule.level) > LEVELS.indexOf(level)) {
+          level = rule.level;
+          reason = `command ${rule.reason}`;
+        }
+      }
+    }
+
+    return { level, reason };
+  }
+
+  /**
+   * Whether every command in a pipeline or list is on the read-only allowlist
+   * ("ls -la | grep js" is; "find . -delete", "cat a > b", "cat .e*", "grep -r KEY ." and
+   * "git checkout ." are not)
+   */
+  isReadOnly(command) {
+    if (UNSAFE_SHELL.test(command)) {
+      return false;
+    }
+
+    const parts = command.split(/\|\||&&|[|;&]/).map(part => part.trim());
+    return parts.every(part => {
+      const words = this.splitWords(part);
+      if (!words) {
+        return false;
+      }
+      const [name, subcommand] = words;
+      const rule = this.config.readOnlyCommands.find(r => r.command === name);
+      if (!rule) {
+        return false;
+      }
+      if (rule.subcommands && !rule.subcommands.includes(subcommand)) {
+        return false;
+      }
+      if (rule.flags && new RegExp(rule.flags).test(part)) {
+        return false;
+      }
+      return words.slice(1).every(word => this.isSafeArgument(word));
+    });
+  }
+
+  /**
+   * Words of one simple command with plain quotes removed, or null when quoting is too
+   * unusual to read safely ('a'"b", unbalanced quotes)
+   */
+  splitWords(part) {
+    const words = part.match(/'[^']*'|"[^"]*"|[^\s'"]+|['"]/g) || [];
+    if (words.some(word => word === "'" || word === '"')) {
+      return null;
+    }
+    return words.map(word => (/^(['"]).*\1$/.test(word) ? word.slice(1, -1) : word));
+  }
+
+  /**
+   * Whether an argument is a literal that stays inside the workspace and off its secrets
+   * files. Every argument is checked as if it were a path, so "--file=.env" and a
+   * pattern that happens to be "/etc/passwd" both need a yes.
+   */
+  isSafeArgument(word) {
+    if (EXPANDING_ARGUMENT.test(word)) {
+      return false;
+    }
+    // "--file=.env" names .env; "HEAD:.env" (git show) names .env too
+    const value = word.startsWith('-') ? word.split('=').slice(1).join('=') : word;
+    const paths = [value, ...value.split(':').slice(1)].filter(Boolean);
+    try {
+      paths.forEach(p => this.workspace.resolvePath(p));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Whether a running call may be killed when the user interrupts. Only commands that
+   * would have run without asking are; anything that needed approval is left to finish.
+   * The other tools finish almost instantly, so an interrupt only skips the ones not started.
+   */
+  canCancel(toolName, toolInput = {}) {
+    return toolName === 'execute_bash' && this.evaluate(toolName, toolInput).level === 'auto';
+  }
+
+  /**
+   * Short spoken description of a tool call for the approval question
+   */
+  describe(toolName, toolInput = {}) {
+    switch (toolName) {
+      case 'execute_bash':
+        return `run the command ${toolInput.command}`;
+      case 'write_file':
+        return `write to ${toolInput.file_path}`;
+      case 'edit_file':
+        return `edit ${toolInput.file_path}`;
+      case 'read_file':
+        return `read ${toolInput.file_path}`;
+      case 'list_files':
+        return `list ${toolInput.directory}`;
+      default:
+        return `use the ${toolName} tool`;
+    }
+  }
+}
+
+module.exports = ToolPolicy;
@@ -0,0 +1,224 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Speech-to-Text
+ * Local transcription for browsers without the Web Speech API
+ * Engines: whisper.cpp and Vosk, both run as local binaries (no cloud)
+ */
+
+// Binary names whisper.cpp has shipped under, newest first
+const WHISPER_BINARIES = ['whisper-cli', 'whisper-cpp', 'whisper'];
+
+class Transcriber {
+  constructor(config = {}) {
+    this.config = {
+      engine: config.engine || null, // force an engine instead of auto-detecting
+      language: config.language || 'en',
+      whisperModel: config.whisperModel || null, // path to a ggml model, e.g. ggml-base.en.bin
+      voskModel: config.voskModel || null, // path to an unpacked Vosk model folder
+      timeout: config.timeout || 60000,
+      ...config
+    };
+
+    this.available = [];
+    this.engine = null;
+    this.whisperBinary = null;
+    this.hasFfmpeg = false;
+  }
+
+  async hasBinary(binary) {
+    try {
+      await execFileAsync('which', [binary]);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Detect installed engines and pick one
+   */
+  async detect() {
+    this.hasFfmpeg = await this.hasBinary('ffmpeg');
+    this.available = [];
+
+    if (this.config.whisperModel) {
+      for (const binary of WHISPER_BINARIES) {
+        if (await this.hasBinary(binary)) {
+          this.whisperBinary = binary;
+          this.available.push('whisper.cpp');
+          break;
+        }
+      }
+    }
+
+    if (this.config.voskModel && await this.hasBinary('vosk-transcriber')) {
+      this.available.push('vosk');
+    }
+
+    if (this.config.engine && this.available.includes(this.config.engine)) {
+      this.engine = this.config.engine;
+    } else {
+      this.engine = this.available[0] || null;
+    }
+
+    if (!this.hasFfmpeg) {
+      console.warn('⚠️  ffmpeg not found - server-side transcription needs it to convert browser audio');
+      this.engine = null;
+    }
+
+    if (this.engine) {
+      console.log(`🎙️  Speech-to-text: ${this.engine} (language: ${this.config.language})`);
+    } else {
+      console.warn('⚠️  No speech-to-text engine found. Install whisper.cpp and set WHISPER_MODEL for Firefox/Safari voice input');
+    }
+
+    return this.available;
+  }
+
+  isAvailable() {
+    return this.engine !== null;
+  }
+
+  /**
+   * Transcribe an uploaded audio file (WebM, Ogg, MP4...)
+   * Returns { text, words: [{ word, confidence, start, end }], language, engine }
+   */
+  async transcribe(audioPath, options = {}) {
+    if (!this.engine) {
+      throw new Error('No speech-to-text engine available');
+    }
+
+    const language = this.normalizeLanguage(options.language) || this.config.language;
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'juzgofoo-stt-'));
+
+    try {
+      const wavPath = path.join(workDir, 'audio.wav');
+      await this.convertToWav(audioPath, wavPath);
+
+      const result = this.engine === 'whisper.cpp'
+        ? await this.transcribeWithWhisper(wavPath, language, workDir)
+        : await this.transcribeWithVosk(wavPath, language, workDir);
+
+      return { ...result, language, engine: this.engine };
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * 'en-US' -> 'en'; anything odd is ignored
+   */
+  normalizeLanguage(language) {
+    if (typeof language !== 'string') return null;
+    const match = language.trim().toLowerCase().match(/^([a-z]{2,3})(?:[-_][a-z0-9]+)?$/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Both engines want 16kHz mono 16-bit PCM
+   */
+  async convertToWav(inputPath, wavPath) {
+    await execFileAsync('ffmpeg', [
+      '-hide_banner', '-loglevel', 'error',
+      '-i', inputPath,
+      '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le',
+      '-y', wavPath
+    ], { timeout: this.config.timeout });
+  }
+
+  /**
+   * whisper.cpp with full JSON output - token probabilities become word confidences
+   */
+  async transcribeWithWhisper(wavPath, language, workDir) {
+    const outputBase = path.join(workDir, 'transcript');
+
+    await execFileAsync(this.whisperBinary, [
+      '-m', this.config.whisperModel,
+      '-f', wavPath,
+      '-l', language,
+      '-ojf', // full JSON including tokens
+      '-of', outputBase,
+      '-np' // no progress output
+    ], { timeout: this.config.timeout, maxBuffer: 5 * 1024 * 1024 });
+
+    const output = JSON.parse(await fs.readFile(`${outputBase}.json`, 'utf8'));
+    const segments = output.transcription || [];
+    const words = [];
+
+    for (const segment of segments) {
+      for (const token of segment.tokens || []) {
+        // Skip special tokens like [_BEG_] and [_TT_150]
+        if (!token.text || /^\[_.*_?\]$/.test(token.text.trim())) continue;
+
+        const start = token.offsets ? token.offsets.from / 1000 : null;
+        const end = token.offsets ? token.offsets.to / 1000 : null;
+
+        // Tokens starting with a space begin a new word; others continue the previous one
+        if (token.text.startsWith(' ') || words.length === 0) {
+          words.push({ word: token.text.trim(), confidence: token.p, start, end, tokens: 1 });
+        } else {
+          const word = words[words.length - 1];
+          word.word += token.text;
+          word.confidence = Math.min(word.confidence, token.p);
+          word.end = end;
+          word.tokens++;
+        }
+      }
+    }
+
+    const text = segments.map(s => s.text).join('').trim();
+
+    return {
+      text,
+      words: words
+        .filter(w => /\w/.test(w.word))
+        .map(({ word, confidence, start, end }) => ({ word, confidence, start, end }))
+    };
+  }
+
+  /**
+   * Vosk's CLI with JSON output - it reports per-word confidence directly
+   * The language comes from the model, so pick a model per language
+   */
+  async transcribeWithVosk(wavPath, language, workDir) {
+    const outputPath = path.join(workDir, 'transcript.json');
+
+    await execFileAsync('vosk-transcriber', [
+      '-m', this.config.voskModel,
+      '-i', wavPath,
+      '-t', 'json',
+      '-o', outputPath
+    ], { timeout: this.config.timeout, maxBuffer: 5 * 1024 * 1024 });
+
+    // One JSON result per utterance, either as an array or one per line
+    const raw = (await fs.readFile(outputPath, 'utf8')).trim();
+    let results;
+    try {
+      const parsed = JSON.parse(raw);
+      results = Array.isArray(parsed) ? parsed : [parsed];
+    } catch (error) {
+      results = raw.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    }
+
+    const words = results.flatMap(r => r.result || []).map(w => ({
+      word: w.word,
+      confidence: w.conf,
+      start: w.start,
+      end: w.end
+    }));
+
+    return {
+      text: results.map(r => r.text).filter(Boolean).join(' ').trim(),
+      words
+    };
+  }
+}
+
+module.exports = Transcriber;
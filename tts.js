@@ -0,0 +1,275 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { spawn, execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Text-to-Speech
+ * Pluggable TTS backends (say, espeak-ng, espeak, piper, browser)
+ * The best available backend is detected at startup; sessions can pick another
+ */
+
+// Speaking rate is a multiplier: 1.0 = normal, 1.5 = fast
+const BACKENDS = {
+  say: {
+    binary: 'say',
+    platforms: ['darwin'],
+    args: (opts) => [
+      ...(opts.voice ? ['-v', opts.voice] : []),
+      '-r', String(Math.round(180 * opts.rate))
+    ]
+  },
+  'espeak-ng': {
+    binary: 'espeak-ng',
+    args: (opts) => [
+      '--stdin',
+      ...(opts.voice ? ['-v', opts.voice] : []),
+      '-s', String(Math.round(175 * opts.rate))
+    ]
+  },
+  espeak: {
+    binary: 'espeak',
+    args: (opts) => [
+      '--stdin',
+      ...(opts.voice ? ['-v', opts.voice] : []),
+      '-s', String(Math.round(175 * opts.rate))
+    ]
+  },
+  piper: {
+    binary: 'piper',
+    needsModel: true
+  },
+  browser: {
+    binary: null // Spoken by the client with speechSynthesis
+  }
+};
+
+// Players for piper's WAV output, first available wins
+const WAV_PLAYERS = ['afplay', 'paplay', 'aplay'];
+
+class TextToSpeech {
+  constructor(config = {}) {
+    this.config = {
+      backend: config.backend || null, // force a backend instead of auto-detecting
+      voice: config.voice || null,
+      rate: config.rate || 1.0,
+      piperModel: config.piperModel || null, // path to a .onnx voice model
+      piperVoicesDir: config.piperVoicesDir || null, // folder of .onnx models to offer as voices
+      ...config
+    };
+
+    this.available = ['browser'];
+    this.defaultBackend = 'browser';
+    this.wavPlayer = null;
+    this.voiceCache = new Map();
+  }
+
+  /**
+   * Check whether a binary is on the PATH (no shell involved)
+   */
+  async hasBinary(binary) {
+    try {
+      await execFileAsync('which', [binary]);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Detect available backends and choose the default
+   */
+  async detect() {
+    const found = [];
+
+    for (const [name, backend] of Object.entries(BACKENDS)) {
+      if (!backend.binary) continue;
+      if (backend.platforms && !backend.platforms.includes(process.platform)) continue;
+      if (!(await this.hasBinary(backend.binary))) continue;
+      if (backend.needsModel && !this.config.piperModel) continue;
+      found.push(name);
+    }
+
+    for (const player of WAV_PLAYERS) {
+      if (await this.hasBinary(player)) {
+        this.wavPlayer = player;
+        break;
+      }
+    }
+
+    // Piper can't be heard without something to play its WAV output
+    this.available = found.filter(name => name !== 'piper' || this.wavPlayer).concat('browser');
+
+    if (this.config.backend && this.available.includes(this.config.backend)) {
+      this.defaultBackend = this.config.backend;
+    } else {
+      if (this.config.backend) {
+        console.warn(`⚠️  TTS backend "${this.config.backend}" not available, auto-detecting`);
+      }
+      // Prefer the neural voice, then the platform default, then espeak
+      const preference = ['piper', 'say', 'espeak-ng', 'espeak', 'browser'];
+      this.defaultBackend = preference.find(name => this.available.includes(name));
+    }
+
+    console.log(`🔊 TTS backends: ${this.available.join(', ')} (default: ${this.defaultBackend})`);
+    return this.available;
+  }
+
+  /**
+   * Pick the backend to use, falling back to the default
+   */
+  resolveBackend(name) {
+    return name && this.available.includes(name) ? name : this.defaultBackend;
+  }
+
+  /**
+   * List voices a backend offers as [{ id, name, language }]
+   * The browser backend's voices live in the client, so it reports none
+   */
+  async listVoices(backendName) {
+    const name = this.resolveBackend(backendName);
+    if (this.voiceCache.has(name)) {
+      return this.voiceCache.get(name);
+    }
+
+    let voices = [];
+    try {
+      if (name === 'say') {
+        // "Samantha            en_US    # Hello! My name is Samantha."
+        const { stdout } = await execFileAsync('say', ['-v', '?']);
+        voices = stdout.split('\n')
+          .map(line => line.match(/^(.+?)\s{2,}([a-z]{2,3}[_-][\w-]+)\s+#/i))
+          .filter(Boolean)
+          .map(([, voice, language]) => ({ id: voice.trim(), name: voice.trim(), language }));
+      } else if (name === 'espeak-ng' || name === 'espeak') {
+        // "Pty Language       Age/Gender VoiceName          File                 Other Languages"
+        const { stdout } = await execFileAsync(name, ['--voices']);
+        voices = stdout.split('\n').slice(1)
+          .map(line => line.trim().split(/\s+/))
+          .filter(cols => cols.length >= 4)
+          .map(cols => ({ id: cols[1], name: `${cols[3].replace(/_/g, ' ')} (${cols[1]})`, language: cols[1] }));
+      } else if (name === 'piper') {
+        const models = this.config.piperVoicesDir
+          ? (await fs.readdir(this.config.piperVoicesDir)).filter(file => file.endsWith('.onnx'))
+          : [path.basename(this.config.piperModel)];
+        voices = models.map(file => ({
+          id: file,
+          name: file.replace(/\.onnx$/, ''),
+          language: file.split('-')[0]
+        }));
+      }
+    } catch (error) {
+      console.error(`Could not list ${name} voices:`, error.message);
+    }
+
+    this.voiceCache.set(name, voices);
+    return voices;
+  }
+
+  /**
+   * Speak text
+   * options: { backend, voice, rate, muted, ws, signal } - browser mode sends a 'speak' frame over ws,
+   * other backends report 'tts_state' frames so the client can tell its mic hears the assistant.
+   * Aborting signal stops playback (barge-in).
+   */
+  async speak(text, options = {}) {
+    if (!text || !text.trim() || options.muted || options.signal?.aborted) return;
+
+    const backendName = this.resolveBackend(options.backend);
+    const opts = {
+      voice: options.voice || this.config.voice,
+      rate: options.rate || this.config.rate
+    };
+
+    try {
+      if (backendName === 'browser') {
+        if (options.ws && options.ws.readyState === 1) {
+          options.ws.send(JSON.stringify({ type: 'speak', text, voice: opts.voice, rate: opts.rate }));
+        }
+        return;
+      }
+
+      this.sendState(options.ws, { speaking: true, text });
+      if (backendName === 'piper') {
+        await this.speakWithPiper(text, opts, options.signal);
+      } else {
+        const backend = BACKENDS[backendName];
+        await this.run(backend.binary, backend.args(opts), text, options.signal);
+      }
+    } catch (error) {
+      console.error(`TTS error (${backendName}):`, error.message);
+    } finally {
+      if (backendName !== 'browser') {
+        this.sendState(options.ws, { speaking: false });
+      }
+    }
+  }
+
+  sendState(ws, state) {
+    if (ws && ws.readyState === 1) {
+      ws.send(JSON.stringify({ type: 'tts_state', ...state }));
+    }
+  }
+
+  /**
+   * Piper writes a WAV file which is then played with the system player
+   */
+  async speakWithPiper(text, opts, signal) {
+    const model = opts.voice && this.config.piperVoicesDir
+      ? path.join(this.config.piperVoicesDir, path.basename(opts.voice))
+      : this.config.piperModel;
+    const wavFile = path.join(os.tmpdir(), `juzgofoo-tts-${process.pid}-${Date.now()}.wav`);
+
+    try {
+      await this.run('piper', [
+        '--model', model,
+        '--length_scale', String(1 / opts.rate),
+        '--output_file', wavFile
+      ], text, signal);
+      if (!signal?.aborted) {
+        await this.run(this.wavPlayer, [wavFile], null, signal);
+      }
+    } finally {
+      await fs.unlink(wavFile).catch(() => {});
+    }
+  }
+
+  /**
+   * Run a TTS binary with text on stdin so nothing reaches a shell
+   * Aborting signal kills it and resolves - being interrupted isn't an error
+   */
+  run(binary, args, input = null, signal = null) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(binary, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+      let stderr = '';
+
+      const stop = () => child.kill('SIGTERM');
+      signal?.addEventListener('abort', stop, { once: true });
+
+      child.stderr.on('data', (chunk) => {
+        stderr += chunk;
+      });
+      child.on('error', reject);
+      child.on('close', (code) => {
+        signal?.removeEventListener('abort', stop);
+        if (code === 0 || signal?.aborted) {
+          resolve();
+        } else {
+          reject(new Error(`${binary} exited with code ${code}: ${stderr.trim()}`));
+        }
+      });
+
+      // Killed mid-sentence, it may not have read all of its input
+      child.stdin.on('error', () => {});
+      if (input !== null) {
+        child.stdin.write(input);
+      }
+      child.stdin.end();
+    });
+  }
+}
+
+module.exports = TextToSpeech;
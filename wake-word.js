@@ -0,0 +1,158 @@
+/**
+ * Wake Word Matching
+ * Used by the server (nlp-handler.js, corrections.js, path-resolver.js), which also serves
+ * this file to the browser (app.js) as /wake-word.js. A transcript wakes the assistant when
+ * a run of its words sounds close enough to a wake phrase: the words are compared by
+ * Levenshtein similarity both as spelled and by a rough phonetic key, so "hay foo" and
+ * "hey fu" still match "hey foo".
+ * Also holds the stop words both sides use to cut the assistant off.
+ */
+(function (root) {
+  const DEFAULT_PHRASES = ['hey foo'];
+
+  // "Stop", "cancel", "be quiet"... - matched against a lowercase transcript without punctuation
+  const STOP_PATTERN = /^(?:(?:ok(?:ay)?|no|please|hey)\s+)*(?:stop(?:\s+(?:it|that|talking|now))?|cancel(?:\s+(?:it|that))?|abort|be quiet|quiet|shut up|(?:that'?s\s+)?enough|never\s?mind|hold on|wait)(?:\s+please)?$/;
+
+  // Phonetic keys lose detail, so a perfect phonetic match scores a little below a perfect spelling
+  const PHONETIC_WEIGHT = 0.9;
+
+  /**
+   * Calculate Levenshtein distance between two strings
+   */
+  function levenshteinDistance(str1, str2) {
+    const matrix = [];
+
+    for (let i = 0; i <= str2.length; i++) {
+      matrix[i] = [i];
+    }
+
+    for (let j = 0; j <= str1.length; j++) {
+      matrix[0][j] = j;
+    }
+
+    for (let i = 1; i <= str2.length; i++) {
+      for (let j = 1; j <= str1.length; j++) {
+        if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
+          matrix[i][j] = matrix[i - 1][j - 1];
+        } else {
+          matrix[i][j] = Math.min(
+            matrix[i - 1][j - 1] + 1,
+            matrix[i][j - 1] + 1,
+            matrix[i - 1][j] + 1
+          );
+        }
+      }
+    }
+
+    return matrix[str2.length][str1.length];
+  }
+
+  // 0-1, where 1 means identical
+  function similarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    return longest === 0 ? 1 : 1 - levenshteinDistance(a, b) / longest;
+  }
+
+  // Lowercase words without punctuation
+  function normalize(text) {
+    return String(text || '').toLowerCase().replace(/[^\w\s']/g, ' ').replace(/'/g, '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Rough sound-alike key for a phrase: common spellings of the same sound are merged
+   * and every vowel run becomes '*', so "hey foo", "hay phu" and "hey fu" all give "h* f*"
+   */
+  function phoneticKey(text) {
+    return normalize(text).split(' ').map(word => word
+      .replace(/^kn/, 'n')
+      .replace(/^wr/, 'r')
+      .replace(/^wh/, 'w')
+      .replace(/ph/g, 'f')
+      .replace(/ck/g, 'k')
+      .replace(/dg/g, 'j')
+      .replace(/c(?=[eiy])/g, 's')
+      .replace(/[cq]/g, 'k')
+      .replace(/x/g, 'ks')
+      .replace(/z/g, 's')
+      .replace(/(.)\1+/g, '$1')
+      .replace(/(?!^)y/g, 'a') // y after the first letter is a vowel
+      .replace(/[aeiou]+/g, '*')
+    ).join(' ');
+  }
+
+  class WakeWordMatcher {
+    constructor(config = {}) {
+      this.configure({ phrases: DEFAULT_PHRASES, sensitivity: 0.5, ...config });
+    }
+
+    /**
+     * phrases: wake phrases, sensitivity: 0 (strict) - 1 (wakes on loose matches)
+     */
+    configure({ phrases, sensitivity } = {}) {
+      if (phrases !== undefined) {
+        const cleaned = [...new Set(phrases.map(normalize).filter(Boolean))];
+        this.phrases = cleaned.length > 0 ? cleaned : DEFAULT_PHRASES;
+        this.keys = this.phrases.map(phoneticKey);
+      }
+      if (sensitivity !== undefined) {
+        this.sensitivity = Math.min(1, Math.max(0, Number(sensitivity) || 0));
+      }
+    }
+
+    // Similarity a transcript needs to wake: 0.95 at sensitivity 0, 0.55 at 1
+    threshold() {
+      return 0.95 - 0.4 * this.sensitivity;
+    }
+
+    /**
+     * Best-scoring window of the transcript, even when it is below the threshold
+     * Returns { phrase, score, heard, remainder } or null for an empty transcript
+     */
+    score(transcript) {
+      const words = normalize(transcript).split(' ').filter(Boolean);
+      let best = null;
+
+      this.phrases.forEach((phrase, p) => {
+        const length = phrase.split(' ').length;
+
+        // Windows one word shorter or longer catch merged and split words ("hey foo" / "heyfoo")
+        for (let size = Math.max(1, length - 1); size <= length + 1; size++) {
+          for (let start = 0; start + size <= words.length; start++) {
+            const heard = words.slice(start, start + size).join(' ');
+            const score = Math.max(
+              similarity(heard, phrase),
+              similarity(phoneticKey(heard), this.keys[p]) * PHONETIC_WEIGHT
+            );
+
+            if (!best || score > best.score) {
+              best = {
+                phrase,
+                score: Math.round(score * 1000) / 1000,
+                heard,
+                remainder: words.slice(start + size).join(' ')
+              };
+            }
+          }
+        }
+      });
+
+      return best;
+    }
+
+    /**
+     * The wake phrase heard in a transcript, or null
+     */
+    match(transcript) {
+      const best = this.score(transcript);
+      return best && best.score >= this.threshold() ? best : null;
+    }
+  }
+
+  const WakeWord = { DEFAULT_PHRASES, STOP_PATTERN, levenshteinDistance, similarity, normalize, phoneticKey, WakeWordMatcher };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WakeWord;
+  } else {
+    root.WakeWord = WakeWord;
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,356 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+/**
+ * Workspace Sandbox
+ * Confines file tools to configured workspace roots and runs shell commands
+ * inside the primary root with a scrubbed environment and resource limits.
+ */
+
+class WorkspaceError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'WorkspaceError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class Workspace {
+  constructor(config = {}) {
+    this.config = {
+      roots: config.roots || [process.cwd()],
+      commandTimeout: config.commandTimeout || 30000, // wall clock limit per command
+      cpuSeconds: config.cpuSeconds || 20, // ulimit -t
+      maxOutputBytes: config.maxOutputBytes || 100 * 1024, // stdout + stderr
+      maxReadBytes: config.maxReadBytes || 1024 * 1024, // read_file limit
+      // Environment variables matching this never reach shell commands
+      secretPattern: config.secretPattern || /KEY|TOKEN|SECRET|PASSWORD|PASSWD|CREDENTIAL|AUTH/i,
+      // File names tools may never open - the server's own .env holds its API keys
+      secretFilePattern: config.secretFilePattern || /^(?:\.env(?!\.(?:example|sample|template)$)(?:\..+)?|.*\.(?:pem|key|p12|pfx)|id_(?:rsa|dsa|ecdsa|ed25519)(?:\.pub)?|\.netrc|\.npmrc|\.pgpass|credentials(?:\.json)?)$/i,
+      ...config
+    };
+
+    // Lexical roots for path math, real roots for symlink checks
+    this.roots = this.config.roots.map(root => path.resolve(this.expandHome(root)));
+    this.realRoots = this.roots.map(root => {
+      try {
+        return fs.realpathSync(root);
+      } catch (error) {
+        console.warn(`⚠️  Workspace root does not exist: ${root}`);
+        return root;
+      }
+    });
+  }
+
+  get primaryRoot() {
+    return this.roots[0];
+  }
+
+  expandHome(p) {
+    return p === '~' || p.startsWith('~/') ? path.join(os.homedir(), p.slice(1)) : p;
+  }
+
+  isInside(child, parent) {
+    const rel = path.relative(parent, child);
+    return rel === '' || (rel !== '..' && !rel.startsWith('..' + path.sep) && !path.isAbsolute(rel));
+  }
+
+  /**
+   * Real path with every symlink followed one component at a time - including a dangling
+   * link, whose target a write would create wherever it points. Missing components are kept as is
+   */
+  followLinks(p, hops = 0) {
+    if (hops > 40) {
+      throw new WorkspaceError('SYMLINK_LOOP', `Too many symlinks in path: ${p}`, { path: p });
+    }
+
+    const parts = p.split(path.sep).filter(Boolean);
+    let current = path.parse(p).root;
+    for (let i = 0; i < parts.length; i++) {
+      const next = path.join(current, parts[i]);
+      let stats;
+      try {
+        stats = fs.lstatSync(next);
+      } catch (error) {
+        return path.join(next, ...parts.slice(i + 1));
+      }
+      if (stats.isSymbolicLink()) {
+        const target = path.resolve(current, fs.readlinkSync(next));
+        return this.followLinks(path.join(target, ...parts.slice(i + 1)), hops + 1);
+      }
+      current = next;
+    }
+    return current;
+  }
+
+  /**
+   * Resolve a tool path against the workspace
+   * Relative paths resolve against the primary root; '..' and symlink escapes are rejected
+   */
+  resolvePath(inputPath) {
+    if (typeof inputPath !== 'string' || inputPath.trim() === '') {
+      throw new WorkspaceError('INVALID_PATH', 'A file path is required');
+    }
+
+    const candidate = path.resolve(this.primaryRoot, this.expandHome(inputPath.trim()));
+
+    if (!this.roots.some(root => this.isInside(candidate, root))) {
+      throw new WorkspaceError('OUTSIDE_WORKSPACE', `Path is outside the workspace: ${inputPath}`, {
+        path: inputPath,
+        workspace_roots: this.roots
+      });
+    }
+
+    const real = this.followLinks(candidate);
+    if (!this.realRoots.some(root => this.isInside(real, root))) {
+      throw new WorkspaceError('SYMLINK_ESCAPE', `Path leaves the workspace through a symlink: ${inputPath}`, {
+        path: inputPath,
+        resolved: real,
+        workspace_roots: this.roots
+      });
+    }
+
+    if (this.isSecretFile(candidate) || this.isSecretFile(real)) {
+      throw new WorkspaceError('SECRET_FILE', `Refusing to open a file that holds secrets: ${inputPath}`, {
+        path: inputPath
+      });
+    }
+
+    return candidate;
+  }
+
+  /**
+   * Whether a path names a secrets file (.env, private keys, credentials)
+   */
+  isSecretFile(p) {
+    return this.config.secretFilePattern.test(path.basename(p));
+  }
+
+  /**
+   * Path relative to its workspace root, for display
+   */
+  relativePath(absolutePath) {
+    const root = this.roots.find(r => this.isInside(absolutePath, r)) || this.primaryRoot;
+    return path.relative(root, absolutePath) || '.';
+  }
+
+  /**
+   * Walk a directory tree depth-first, yielding absolute file paths
+   * Skips dependency/VCS folders and secrets files, and never follows symlinked directories
+   */
+  *walk(directory, options = {}) {
+    const skip = options.skip || this.config.skipDirectories || ['.git', 'node_modules'];
+    const stack = [directory];
+
+    while (stack.length > 0) {
+      const current = stack.pop();
+      let entries;
+      try {
+        entries = fs.readdirSync(current, { withFileTypes: true });
+      } catch (error) {
+        continue; // Unreadable directory
+      }
+
+      entries.sort((a, b) => b.name.localeCompare(a.name));
+      for (const entry of entries) {
+        const fullPath = path.join(current, entry.name);
+        if (entry.isDirectory()) {
+          if (!skip.includes(entry.name)) {
+            stack.push(fullPath);
+          }
+        } else if (entry.isFile() && !this.isSecretFile(fullPath)) {
+          yield fullPath;
+        }
+      }
+    }
+  }
+
+  /**
+   * Convert a glob (*, **, ?, {a,b}, [abc]) into a RegExp matched against '/'-separated relative paths
+   */
+  globToRegExp(glob) {
+    let regex = '';
+    let inGroup = false;
+
+    for (let i = 0; i < glob.length; i++) {
+      const c = glob[i];
+
+      if (c === '*') {
+        if (glob[i + 1] === '*') {
+          // '**/' matches zero or more directories, a bare '**' matches anything
+          if (glob[i + 2] === '/') {
+            regex += '(?:.*/)?';
+            i += 2;
+          } else {
+            regex += '.*';
+            i += 1;
+          }
+        } else {
+          regex += '[^/]*';
+        }
+      } else if (c === '?') {
+        regex += '[^/]';
+      } else if (c === '{') {
+        inGroup = true;
+        regex += '(?:';
+      } else if (c === '}' && inGroup) {
+        inGroup = false;
+        regex += ')';
+      } else if (c === ',' && inGroup) {
+        regex += '|';
+      } else if (c === '[') {
+        const end = glob.indexOf(']', i);
+        if (end === -1) {
+          regex += '\\[';
+        } else {
+          regex += glob.slice(i, end + 1).replace(/^\[!/, '[^');
+          i = end;
+        }
+      } else {
+        regex += c.replace(/[.+^$()|\\]/g, '\\$&');
+      }
+    }
+
+    return new RegExp(`^${regex}$`);
+  }
+
+  /**
+   * Cheap binary check: a NUL byte in the first 8KB
+   */
+  isBinaryFile(filePath) {
+    let fd;
+    try {
+      fd = fs.openSync(filePath, 'r');
+      const buffer = Buffer.alloc(8192);
+      const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+      return buffer.subarray(0, bytesRead).includes(0);
+    } catch (error) {
+      return true;
+    } finally {
+      if (fd !== undefined) {
+        fs.closeSync(fd);
+      }
+    }
+  }
+
+  /**
+   * Copy of process.env without secrets
+   */
+  scrubbedEnv() {
+    const env = {};
+    for (const [key, value] of Object.entries(process.env)) {
+      if (!this.config.secretPattern.test(key)) {
+        env[key] = value;
+      }
+    }
+    return env;
+  }
+
+  /**
+   * Run a shell command inside the primary root with CPU, time and output limits
+   * Resolves { exitCode, stdout, stderr, truncated, timedOut, cancelled } - never rejects for command failures
+   * Aborting signal kills the command's process group
+   */
+  runCommand(command, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (typeof command !== 'string' || command.trim() === '') {
+        reject(new WorkspaceError('INVALID_COMMAND', 'A command is required'));
+        return;
+      }
+
+      const child = spawn('bash', ['-c', `ulimit -t ${this.config.cpuSeconds}; ${command}`], {
+        cwd: this.primaryRoot,
+        env: this.scrubbedEnv(),
+        detached: true, // own process group so limits kill the whole tree
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+
+      let stdout = '';
+      let stderr = '';
+      let outputBytes = 0;
+      let truncated = false;
+      let timedOut = false;
+      let cancelled = false;
+
+      const killGroup = () => {
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch (error) {
+          // Already exited
+        }
+      };
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        killGroup();
+      }, this.config.commandTimeout);
+
+      const cancel = () => {
+        cancelled = true;
+        killGroup();
+      };
+      signal?.addEventListener('abort', cancel, { once: true });
+
+      const collect = (stream) => (chunk) => {
+        if (truncated) {
+          return;
+        }
+
+        const remaining = this.config.maxOutputBytes - outputBytes;
+        const text = chunk.length > remaining ? chunk.slice(0, remaining).toString() : chunk.toString();
+        outputBytes += chunk.length;
+
+        if (stream === 'stdout') {
+          stdout += text;
+        } else {
+          stderr += text;
+        }
+
+        if (outputBytes >= this.config.maxOutputBytes) {
+          truncated = true;
+          killGroup();
+        }
+      };
+
+      child.stdout.on('data', collect('stdout'));
+      child.stderr.on('data', collect('stderr'));
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', cancel);
+        reject(error);
+      });
+
+      child.on('close', (code, exitSignal) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', cancel);
+        resolve({
+          exitCode: code,
+          signal: exitSignal,
+          stdout,
+          stderr,
+          truncated,
+          timedOut,
+          cancelled
+        });
+      });
+    });
+  }
+
+  /**
+   * Turn an error into a structured tool result Claude can reason about
+   */
+  toToolError(error) {
+    if (error instanceof WorkspaceError) {
+      return { success: false, error: error.message, code: error.code, ...error.details };
+    }
+    return { success: false, error: error.message, code: error.code || 'ERROR' };
+  }
+}
+
+Workspace.WorkspaceError = WorkspaceError;
+
+module.exports = Workspace;